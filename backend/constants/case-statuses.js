@@ -0,0 +1,11 @@
+/**
+ * Licensing case constants
+ * Shared by the case store and the request validation, so validation does not load the store
+ */
+
+// Checklist item statuses, in the order an item usually goes through them
+const CASE_ITEM_STATUSES = ['not_started', 'in_progress', 'submitted', 'approved', 'rejected'];
+
+module.exports = {
+    CASE_ITEM_STATUSES
+};
@@ -1,13 +1,18 @@
 const Joi = require('joi');
+const { CASE_ITEM_STATUSES } = require('../constants/case-statuses');
 
 /**
  * Validation middleware for API endpoints
  */
 
+const BUSINESS_TYPES = ['restaurant', 'cafe', 'fast_food', 'delivery_only', 'catering', 'food_truck', 'bar_pub', 'hotel_restaurant'];
+const MAX_SECONDARY_ACTIVITIES = 7;
+
 // Business profile validation schema
+// Each field is asked by a question of data/questionnaire.json; a new question needs its field and option values here too
 const businessProfileSchema = Joi.object({
     businessType: Joi.string()
-        .valid('restaurant', 'cafe', 'fast_food', 'delivery_only', 'catering', 'food_truck', 'bar_pub', 'hotel_restaurant')
+        .valid(...BUSINESS_TYPES)
         .required()
         .messages({
             'string.base': 'Business type must be a string',
@@ -27,6 +32,22 @@ const businessProfileSchema = Joi.object({
             'number.max': 'Seating capacity cannot exceed 1000',
             'any.required': 'Seating capacity is required'
         }),
+
+    // Mixed use: further business types run in the same venue (e.g. a cafe that is also a bar)
+    secondaryActivities: Joi.array()
+        .items(Joi.string().valid(...BUSINESS_TYPES))
+        .unique()
+        .max(MAX_SECONDARY_ACTIVITIES)
+        .custom((value, helpers) => value.includes(helpers.state.ancestors[0].businessType)
+            ? helpers.error('array.includesPrimary')
+            : value)
+        .default([])
+        .messages({
+            'any.only': `Secondary activities must be business types: ${BUSINESS_TYPES.join(', ')}`,
+            'array.unique': 'Secondary activities cannot contain duplicates',
+            'array.max': `At most ${MAX_SECONDARY_ACTIVITIES} secondary activities are allowed`,
+            'array.includesPrimary': 'Secondary activities cannot repeat the business type'
+        }),
     
     floorArea: Joi.number()
         .positive()
@@ -38,24 +59,66 @@ const businessProfileSchema = Joi.object({
             'number.max': 'Floor area cannot exceed 5000 square meters',
             'any.required': 'Floor area is required'
         }),
+
+    // Municipalities without an overlay in the dataset get the national requirements only
+    municipality: Joi.string()
+        .trim()
+        .lowercase()
+        .max(50)
+        .pattern(/^[a-z0-9-]+$/)
+        .messages({
+            'string.base': 'Municipality must be a string',
+            'string.max': 'Municipality cannot exceed 50 characters',
+            'string.pattern.base': 'Municipality must be a municipality ID (e.g., tel-aviv)'
+        }),
     
     services: Joi.object({
         alcoholService: Joi.boolean().default(false),
         deliveryService: Joi.boolean().default(false),
+        takeaway: Joi.boolean().default(false),
         liveMusic: Joi.boolean().default(false),
-        outdoorSeating: Joi.boolean().default(false)
+        outdoorSeating: Joi.boolean().default(false),
+        // Follow-up answers of the questionnaire
+        alcoholServiceMode: Joi.string().valid('on_premise', 'takeaway')
+            .messages({ 'any.only': 'Alcohol service mode must be one of: on_premise, takeaway' }),
+        liveMusicLocation: Joi.string().valid('indoor', 'outdoor')
+            .messages({ 'any.only': 'Live music location must be one of: indoor, outdoor' })
     }).default({}),
     
     kitchenFeatures: Joi.object({
         gasUsage: Joi.boolean().default(false),
-        meatHandling: Joi.boolean().default(false)
+        smokingArea: Joi.boolean().default(false),
+        meatHandling: Joi.boolean().default(false),
+        dairyProducts: Joi.boolean().default(false),
+        gasType: Joi.string().valid('lpg', 'natural_gas')
+            .messages({ 'any.only': 'Gas type must be one of: lpg, natural_gas' })
     }).default({}),
     
     operationalHours: Joi.object({
-        lateNightOperation: Joi.boolean().default(false)
+        lateNightOperation: Joi.boolean().default(false),
+        twentyFourSeven: Joi.boolean().default(false)
     }).default({})
 });
 
+// Scenario comparison: the first scenario is the baseline the others are compared to
+const MAX_SCENARIOS = 5;
+
+const scenarioComparisonSchema = Joi.object({
+    scenarios: Joi.array()
+        .items(Joi.object({
+            name: Joi.string().trim().max(100),
+            profile: businessProfileSchema.required()
+        }))
+        .min(2)
+        .max(MAX_SCENARIOS)
+        .required()
+        .messages({
+            'array.min': 'At least 2 scenarios are required for a comparison',
+            'array.max': `No more than ${MAX_SCENARIOS} scenarios can be compared at once`,
+            'any.required': 'Scenarios are required'
+        })
+});
+
 // Requirement ID validation schema
 const requirementIdSchema = Joi.object({
     requirementId: Joi.string()
@@ -64,15 +127,78 @@ const requirementIdSchema = Joi.object({
         .messages({
             'string.pattern.base': 'Requirement ID must follow pattern: XXX-000 (e.g., GEN-001)',
             'any.required': 'Requirement ID is required'
+        }),
+
+    // Show the requirement as this municipality's overlay changes it
+    municipality: Joi.string()
+        .trim()
+        .lowercase()
+        .max(50)
+        .pattern(/^[a-z0-9-]+$/)
+        .messages({
+            'string.pattern.base': 'Municipality must be a municipality ID (e.g., tel-aviv)'
+        })
+});
+
+const reportIdSchema = Joi.object({
+    reportId: Joi.string()
+        .guid({ version: 'uuidv4' })
+        .required()
+        .messages({
+            'string.guid': 'Report ID must be a UUID',
+            'any.required': 'Report ID is required'
+        })
+});
+
+// Licensing case: created from a business profile, optionally linked to the report it was opened from
+const caseCreateSchema = Joi.object({
+    businessProfile: businessProfileSchema.required(),
+    name: Joi.string().trim().max(100),
+    reportId: Joi.string().guid({ version: 'uuidv4' })
+});
+
+// Checklist item update: at least one field; empty values clear notes, assignee and dates
+const caseItemUpdateSchema = Joi.object({
+    status: Joi.string()
+        .valid(...CASE_ITEM_STATUSES)
+        .messages({
+            'any.only': `Status must be one of: ${CASE_ITEM_STATUSES.join(', ')}`
+        }),
+    notes: Joi.string().allow('').max(2000),
+    assignee: Joi.string().trim().max(100).allow(null, ''),
+    dueDate: Joi.date().iso().allow(null),
+    startedAt: Joi.date().iso().allow(null),
+    submittedAt: Joi.date().iso().allow(null),
+    decidedAt: Joi.date().iso().allow(null)
+}).min(1).messages({
+    'object.min': 'At least one field must be updated'
+});
+
+const caseParamsSchema = Joi.object({
+    caseId: Joi.string()
+        .guid({ version: 'uuidv4' })
+        .required()
+        .messages({
+            'string.guid': 'Case ID must be a UUID',
+            'any.required': 'Case ID is required'
+        }),
+    requirementId: Joi.string()
+        .pattern(/^[A-Z]+-\d{3}$/)
+        .messages({
+            'string.pattern.base': 'Requirement ID must follow pattern: XXX-000 (e.g., GEN-001)'
         })
 });
 
 /**
- * Middleware to validate business profile data
+ * Build a middleware that validates the request body against a schema
+ * The body is replaced by the validated value, or by mapValue(value) when given
+ * @param {Joi.ObjectSchema} schema - Request body schema
+ * @param {Function} [mapValue] - Converts the validated value before it replaces the body
+ * @returns {Function} Express middleware
  */
-const validateBusinessProfile = (req, res, next) => {
+const validate = (schema, mapValue = value => value) => (req, res, next) => {
     try {
-        const { error, value } = businessProfileSchema.validate(req.body, {
+        const { error, value } = schema.validate(req.body, {
             abortEarly: false, // Show all validation errors
             stripUnknown: true, // Remove unknown fields
             convert: true // Convert types when possible
@@ -94,9 +220,9 @@ const validateBusinessProfile = (req, res, next) => {
         }
 
         // Replace request body with validated and cleaned data
-        req.body = value;
+        req.body = mapValue(value);
         next();
-        
+
     } catch (err) {
         console.error('Validation middleware error:', err);
         return res.status(500).json({
@@ -107,25 +233,88 @@ const validateBusinessProfile = (req, res, next) => {
     }
 };
 
+/**
+ * Middleware to validate business profile data
+ */
+const validateBusinessProfile = validate(businessProfileSchema);
+
+/**
+ * Middleware to validate a scenario comparison request
+ */
+const validateScenarioComparison = validate(scenarioComparisonSchema);
+
+/**
+ * Middleware to validate a licensing case creation request
+ */
+const validateCaseCreate = validate(caseCreateSchema);
+
+/**
+ * Middleware to validate a checklist item update
+ * Dates are passed on as ISO strings and an empty assignee as null
+ */
+const validateCaseItemUpdate = validate(caseItemUpdateSchema, value => Object.fromEntries(
+    Object.entries(value).map(([field, fieldValue]) => [
+        field,
+        fieldValue instanceof Date ? fieldValue.toISOString() : (fieldValue === '' && field === 'assignee' ? null : fieldValue)
+    ])
+));
+
+/**
+ * Middleware to validate case ID (and requirement ID) parameters
+ */
+const validateCaseParams = (req, res, next) => {
+    try {
+        const { error, value } = caseParamsSchema.validate({
+            caseId: req.params.caseId,
+            requirementId: req.params.requirementId
+        });
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid case parameters',
+                details: error.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        req.params.caseId = value.caseId;
+        if (value.requirementId) {
+            req.params.requirementId = value.requirementId;
+        }
+        next();
+
+    } catch (err) {
+        console.error('Case parameter validation error:', err);
+        return res.status(500).json({
+            success: false,
+            error: 'Internal validation error',
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
 /**
  * Middleware to validate requirement ID parameter
  */
 const validateRequirementId = (req, res, next) => {
     try {
         const { error, value } = requirementIdSchema.validate({
-            requirementId: req.params.requirementId
+            requirementId: req.params.requirementId,
+            municipality: req.query.municipality
         });
 
         if (error) {
             return res.status(400).json({
                 success: false,
-                error: 'Invalid requirement ID format',
+                error: error.details[0].path[0] === 'municipality' ? 'Invalid municipality' : 'Invalid requirement ID format',
                 details: error.details[0].message,
                 timestamp: new Date().toISOString()
             });
         }
 
         req.params.requirementId = value.requirementId;
+        req.query.municipality = value.municipality;
         next();
         
     } catch (err) {
@@ -138,6 +327,37 @@ const validateRequirementId = (req, res, next) => {
     }
 };
 
+/**
+ * Middleware to validate report ID parameter
+ */
+const validateReportId = (req, res, next) => {
+    try {
+        const { error, value } = reportIdSchema.validate({
+            reportId: req.params.reportId
+        });
+
+        if (error) {
+            return res.status(400).json({
+                success: false,
+                error: 'Invalid report ID format',
+                details: error.details[0].message,
+                timestamp: new Date().toISOString()
+            });
+        }
+
+        req.params.reportId = value.reportId;
+        next();
+
+    } catch (err) {
+        console.error('Report ID validation error:', err);
+        return res.status(500).json({
+            success: false,
+            error: 'Internal validation error',
+            timestamp: new Date().toISOString()
+        });
+    }
+};
+
 /**
  * Generic error handler for validation
  */
@@ -242,9 +462,19 @@ const rateLimit = (req, res, next) => {
 module.exports = {
     validateBusinessProfile,
     validateRequirementId,
+    validateReportId,
+    validateScenarioComparison,
+    validateCaseCreate,
+    validateCaseItemUpdate,
+    validateCaseParams,
     handleValidationError,
     sanitizeInput,
     rateLimit,
     businessProfileSchema,
-    requirementIdSchema
+    scenarioComparisonSchema,
+    requirementIdSchema,
+    reportIdSchema,
+    caseCreateSchema,
+    caseItemUpdateSchema,
+    caseParamsSchema
 };
\ No newline at end of file
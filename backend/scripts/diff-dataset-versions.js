@@ -0,0 +1,113 @@
+const DatasetVersionStore = require('../services/dataset-versions');
+const DatasetDiff = require('../services/dataset-diff');
+
+/**
+ * Dataset Diff Script
+ * Shows what changed between two versions of the licensing requirements dataset
+ *
+ * Usage:
+ *   node scripts/diff-dataset-versions.js                  # two newest versions
+ *   node scripts/diff-dataset-versions.js <from> <to>      # version IDs, "current" or file paths
+ *   node scripts/diff-dataset-versions.js <from> <to> --json
+ */
+
+class DatasetDiffReporter {
+    constructor() {
+        this.store = new DatasetVersionStore();
+        this.differ = new DatasetDiff();
+    }
+
+    /**
+     * Resolve the versions to compare and print the diff
+     * @param {Array<string>} args - Command line arguments
+     */
+    run(args) {
+        const asJson = args.includes('--json');
+        let [from, to] = args.filter(arg => arg !== '--json');
+
+        if (!from) {
+            const versions = this.store.listVersions();
+            if (versions.length < 2) {
+                throw new Error(`At least two dataset versions are needed, found ${versions.length}. Archived versions live in data/versions/`);
+            }
+            [to, from] = versions.map(version => version.versionId);
+        }
+        to = to || 'current';
+
+        const diff = this.differ.diff(this.store.loadVersion(from), this.store.loadVersion(to));
+
+        if (asJson) {
+            console.log(JSON.stringify(diff, null, 2));
+        } else {
+            this.printDiff(from, to, diff);
+        }
+    }
+
+    /**
+     * Print a readable summary of a diff
+     * @param {string} from - Earlier version reference
+     * @param {string} to - Later version reference
+     * @param {Object} diff - Diff from DatasetDiff
+     */
+    printDiff(from, to, diff) {
+        console.log(`Dataset diff: ${from} -> ${to}`);
+        console.log(`  ${diff.from.sourceDocument} (${diff.from.processedDate}) -> ${diff.to.sourceDocument} (${diff.to.processedDate})\n`);
+
+        if (!diff.summary.hasChanges) {
+            console.log('No requirement or rule changes.');
+            return;
+        }
+
+        const { requirements, rules } = diff;
+
+        this.printSection('Requirements added', requirements.added, req => `${req.requirementId} - ${req.title}`);
+        this.printSection('Requirements removed', requirements.removed, req => `${req.requirementId} - ${req.title}`);
+        this.printSection('Requirements changed', requirements.changed, req =>
+            `${req.requirementId} - ${req.title}\n` +
+            req.changes.map(change =>
+                `      ${change.field}: ${JSON.stringify(change.before)} -> ${JSON.stringify(change.after)}`
+            ).join('\n'));
+
+        this.printSection('Rules added', rules.added, rule => `${rule.ruleId} -> ${rule.applicableRequirements.join(', ')}`);
+        this.printSection('Rules removed', rules.removed, rule => rule.ruleId);
+        this.printSection('Rules changed', rules.changed, rule => {
+            const lines = [rule.ruleId];
+            if (rule.condition) {
+                lines.push(`      condition: ${JSON.stringify(rule.condition.before)} -> ${JSON.stringify(rule.condition.after)}`);
+            }
+            if (rule.addedRequirements.length > 0) {
+                lines.push(`      + ${rule.addedRequirements.join(', ')}`);
+            }
+            if (rule.removedRequirements.length > 0) {
+                lines.push(`      - ${rule.removedRequirements.join(', ')}`);
+            }
+            return lines.join('\n');
+        });
+    }
+
+    /**
+     * Print one section of the diff if it has entries
+     * @param {string} title - Section title
+     * @param {Array} items - Section entries
+     * @param {Function} format - Entry formatter
+     */
+    printSection(title, items, format) {
+        if (items.length === 0) {
+            return;
+        }
+        console.log(`${title} (${items.length}):`);
+        items.forEach(item => console.log(`  - ${format(item)}`));
+        console.log('');
+    }
+}
+
+if (require.main === module) {
+    try {
+        new DatasetDiffReporter().run(process.argv.slice(2));
+    } catch (error) {
+        console.error('Diff failed:', error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = DatasetDiffReporter;
@@ -1,23 +1,50 @@
 const fs = require('fs');
 const path = require('path');
+const DocumentParser = require('../services/document-parser');
+const DatasetValidator = require('../services/dataset-validator');
+const DatasetVersionStore = require('../services/dataset-versions');
 
 /**
  * Document Processing Script for Business Licensing Requirements
  * Processes the Hebrew regulatory PDF/Word document and converts to structured JSON
  */
 
+// Sections that hold definitions, legislation lists or forms rather than obligations
+const SKIPPED_SECTION_PATTERN = /הגדרות|הוראות חקיקה|הוראות חוק|נספח|מסירת תנאים|תחילה|הקלות/;
+
+// Section headings that limit a requirement to businesses with a given feature
+const SECTION_FEATURE_KEYWORDS = [
+    { pattern: /משקאות/, feature: 'alcoholService' },
+    { pattern: /גז|גפ"מ/, feature: 'gasUsage' },
+    { pattern: /בשר/, feature: 'meatHandling' },
+    { pattern: /מוסיקה|מוזיקה|הופעות/, feature: 'liveMusic' },
+    { pattern: /משלוח/, feature: 'deliveryService' }
+];
+
+// Business types covered by item 4.2A (בית אוכל)
+const DEFAULT_BUSINESS_TYPES = ["restaurant", "cafe", "fast_food", "delivery_only", "catering", "bar_pub", "hotel_restaurant"];
+
+const MAX_DESCRIPTION_LENGTH = 200;
+const MAX_EXCERPT_LENGTH = 800;
+
 class LicensingDocumentProcessor {
-    constructor() {
-        this.documentPath = path.join(__dirname, '../../18-07-2022_4.2A.pdf');
+    /**
+     * @param {string} [documentPath] - PDF or DOCX specification to process
+     */
+    constructor(documentPath) {
+        this.documentPath = documentPath || path.join(__dirname, '../../18-07-2022_4.2A.pdf');
         this.outputPath = path.join(__dirname, '../data/licensing-requirements.json');
         this.schemaPath = path.join(__dirname, '../schema/business-licensing-schema.json');
+        this.catalogPath = path.join(__dirname, '../data/requirement-catalog.json');
+        this.parser = new DocumentParser();
+        this.versionStore = new DatasetVersionStore({ currentPath: this.outputPath });
     }
 
     /**
      * Main processing function
      */
     async processDocument() {
-        console.log('Starting document processing...');
+        console.log(`Starting document processing: ${this.documentPath}`);
         
         try {
             // Create output directories if they don't exist
@@ -29,8 +56,10 @@ class LicensingDocumentProcessor {
             // Validate against schema
             this.validateData(structuredData);
             
-            // Save to JSON file
+            // Save to JSON file and archive it as a dataset version
             this.saveToJson(structuredData);
+            const versionPath = this.versionStore.saveVersion(structuredData);
+            console.log(`Dataset version ${this.versionStore.getVersionId(structuredData)} archived to: ${versionPath}`);
             
             console.log('Document processing completed successfully!');
             console.log(`Output saved to: ${this.outputPath}`);
@@ -53,20 +82,40 @@ class LicensingDocumentProcessor {
 
     /**
      * Extract structured data from the document
-     * Based on analysis of the Hebrew regulatory document
+     * Parses the document into chapters and clauses and merges it with the curated catalog
      */
     async extractStructuredData() {
+        const document = await this.parser.parse(this.documentPath);
+        const catalog = this.loadCatalog();
+        const processedDate = new Date().toISOString();
+        const documentDate = this.versionStore.getDocumentDate(document.sourceDocument, processedDate);
+        const extracted = this.extractRegulatoryRequirements(document, catalog);
+
         const structuredData = {
             metadata: {
-                sourceDocument: "18-07-2022_4.2A.pdf",
-                documentTitle: "מפרט אחיד לפריט 4.2 א'",
-                processedDate: new Date().toISOString(),
+                version: documentDate,
+                sourceDocument: document.sourceDocument,
+                documentTitle: document.title,
+                documentDate,
+                processedDate,
                 language: "hebrew",
-                totalPages: 59
+                totalPages: document.totalPages,
+                sourceFormat: document.format,
+                clauseNumbering: document.numbering,
+                chapters: document.chapters.map(chapter => ({
+                    number: chapter.number,
+                    title: chapter.title,
+                    page: chapter.page,
+                    clauseCount: chapter.clauses.length
+                }))
             },
             businessFeatures: this.defineBusinessFeatures(),
-            regulatoryRequirements: this.extractRegulatoryRequirements(),
-            businessLicensingMapping: this.createLicensingMapping()
+            authorities: catalog.authorities,
+            regulatoryRequirements: extracted.regulatoryRequirements,
+            businessLicensingMapping: {
+                rules: [...catalog.rules, ...extracted.rules]
+            },
+            municipalOverlays: catalog.municipalOverlays || []
         };
 
         return structuredData;
@@ -80,6 +129,7 @@ class LicensingDocumentProcessor {
             businessType: null, // To be filled by user input
             seatingCapacity: null, // To be filled by user input  
             floorArea: null, // To be filled by user input
+            municipality: null, // To be filled by user input
             services: {
                 alcoholService: false,
                 deliveryService: false,
@@ -101,338 +151,250 @@ class LicensingDocumentProcessor {
     }
 
     /**
-     * Extract regulatory requirements from document chapters
+     * Load the curated requirement catalog (authorities, stable IDs, conditions, matching rules and municipal overlays)
      */
-    extractRegulatoryRequirements() {
-        return {
-            generalRequirements: this.extractGeneralRequirements(),
-            policeRequirements: this.extractPoliceRequirements(),
-            healthMinistryRequirements: this.extractHealthRequirements(),
-            fireAuthorityRequirements: this.extractFireRequirements()
-        };
+    loadCatalog() {
+        if (!fs.existsSync(this.catalogPath)) {
+            throw new Error(`Requirement catalog not found: ${this.catalogPath}`);
+        }
+        return JSON.parse(fs.readFileSync(this.catalogPath, 'utf8'));
     }
 
     /**
-     * Extract general cross-cutting requirements (Chapter 2)
+     * Extract regulatory requirements from document chapters
+     * Curated catalog requirements come first; every other section of a chapter owned by an
+     * authority (its chapterPattern in the catalog) becomes a requirement of its own, matched by
+     * one rule per chapter and limited by the chapter's size limits and the section's features
+     * @param {Object} document - Parsed document from DocumentParser
+     * @param {Object} catalog - Curated requirement catalog
+     * @returns {Object} { regulatoryRequirements: one collection per authority, rules: rules of the extracted requirements }
      */
-    extractGeneralRequirements() {
-        return [
-            {
-                requirementId: "GEN-001",
-                title: "רישיון עסק כללי",
-                description: "קבלת רישיון עסק מהרשות המקומית",
-                authority: "רשות מקומית",
-                mandatory: true,
-                applicableBusinessTypes: ["restaurant", "cafe", "fast_food", "delivery_only", "catering", "bar_pub"],
-                conditions: {}
-            },
-            {
-                requirementId: "GEN-002", 
-                title: "ביטוח אחריות כלפי צד שלישי",
-                description: "ביטוח אחריות המעסיק כלפי צד שלישי",
-                authority: "רשות מקומית",
-                mandatory: true,
-                applicableBusinessTypes: ["restaurant", "cafe", "fast_food", "delivery_only", "catering", "bar_pub"],
-                conditions: {}
-            },
-            {
-                requirementId: "GEN-003",
-                title: "תעודת השכלה/הכשרה מקצועית",
-                description: "תעודת השכלה או הכשרה מקצועית רלוונטית",
-                authority: "רשות מקומית",
-                mandatory: false,
-                applicableBusinessTypes: ["restaurant", "cafe", "catering"],
-                conditions: {
-                    minSeatingCapacity: 20
-                }
+    extractRegulatoryRequirements(document, catalog) {
+        const authorities = catalog.authorities.map(authority => ({
+            ...authority,
+            pattern: authority.chapterPattern ? new RegExp(authority.chapterPattern) : null
+        }));
+
+        const regulatoryRequirements = {};
+        authorities.forEach(authority => {
+            regulatoryRequirements[authority.collection] = [];
+        });
+
+        const sections = new Map();
+        document.chapters.forEach(chapter => {
+            chapter.clauses
+                .filter(clause => clause.level === 2)
+                .forEach(clause => sections.set(clause.reference, { chapter, section: clause }));
+        });
+
+        // Curated requirements keep their IDs and conditions
+        const claimedClauses = new Set();
+        for (const entry of catalog.requirements) {
+            const authority = authorities.find(a => a.authorityId === entry.category);
+            if (!authority) {
+                throw new Error(`Unknown category "${entry.category}" for requirement ${entry.requirementId}`);
             }
-        ];
-    }
 
-    /**
-     * Extract Israel Police requirements (Chapter 3)
-     */
-    extractPoliceRequirements() {
-        return [
-            {
-                requirementId: "POL-001",
-                title: "אישור משטרה לפתיחת עסק",
-                description: "אישור משטרת ישראל לפתיחת מקום עסק",
-                authority: "משטרת ישראל",
-                mandatory: true,
-                applicableBusinessTypes: ["restaurant", "cafe", "bar_pub"],
-                conditions: {
-                    minSeatingCapacity: 10
-                }
-            },
-            {
-                requirementId: "POL-002",
-                title: "רישיון למכירת משקאות אלכוהוליים",
-                description: "רישיון למכירת משקאות אלכוהוליים למגוון סוגים",
-                authority: "משטרת ישראל", 
-                mandatory: true,
-                applicableBusinessTypes: ["restaurant", "bar_pub"],
-                conditions: {
-                    requiredServices: ["alcoholService"]
-                }
-            },
-            {
-                requirementId: "POL-003",
-                title: "רישיון לאירועים ומוזיקה",
-                description: "רישיון לקיום אירועים ונגינה במקום",
-                authority: "משטרת ישראל",
-                mandatory: true,
-                applicableBusinessTypes: ["restaurant", "bar_pub"],
-                conditions: {
-                    requiredServices: ["liveMusic"]
+            const sources = [];
+            for (const reference of entry.sourceClauses || []) {
+                if (!sections.has(reference)) {
+                    console.warn(`Warning: clause ${reference} of ${entry.requirementId} not found in ${document.sourceDocument}`);
+                    continue;
                 }
+                const { chapter, section } = sections.get(reference);
+                sources.push(this.buildSource(document, chapter, section));
+                claimedClauses.add(reference);
             }
-        ];
-    }
 
-    /**
-     * Extract Ministry of Health requirements (Chapter 4)
-     */
-    extractHealthRequirements() {
-        return [
-            {
-                requirementId: "MOH-001",
-                title: "רישיון לעסק מזון",
-                description: "רישיון מהמשרד לבריאות לניהול עסק מזון",
-                authority: "משרד הבריאות",
-                mandatory: true,
-                applicableBusinessTypes: ["restaurant", "cafe", "fast_food", "delivery_only", "catering"],
-                conditions: {}
-            },
-            {
-                requirementId: "MOH-002",
-                title: "תעודת הכשרה בטיפול במזון", 
-                description: "תעודת השלמת קורס בטיפול במזון לבעל העסק או מנהל",
-                authority: "משרד הבריאות",
-                mandatory: true,
-                applicableBusinessTypes: ["restaurant", "cafe", "fast_food", "delivery_only", "catering"],
-                conditions: {}
-            },
-            {
-                requirementId: "MOH-003",
-                title: "בדיקות מעבדה תקופתיות",
-                description: "ביצוע בדיקות מעבדה תקופתיות למזון ולמים",
-                authority: "משרד הבריאות", 
-                mandatory: true,
-                applicableBusinessTypes: ["restaurant", "cafe", "fast_food", "catering"],
-                conditions: {
-                    minSeatingCapacity: 15
-                }
-            },
-            {
-                requirementId: "MOH-004",
-                title: "רישיון למכירת בשר",
-                description: "רישיון מיוחד למכירת בשר ומוצרי בשר",
-                authority: "משרד הבריאות",
-                mandatory: true, 
-                applicableBusinessTypes: ["restaurant", "fast_food", "catering"],
-                conditions: {
-                    requiredServices: ["meatHandling"]
+            regulatoryRequirements[authority.collection].push({
+                requirementId: entry.requirementId,
+                title: entry.title,
+                description: entry.description,
+                authority: authority.name.he,
+                mandatory: entry.mandatory,
+                applicableBusinessTypes: entry.applicableBusinessTypes,
+                conditions: entry.conditions || {},
+                ...(entry.prerequisites ? { prerequisites: entry.prerequisites } : {}),
+                ...(entry.estimates ? { estimates: entry.estimates } : {}),
+                sources
+            });
+        }
+
+        // Remaining sections of authority chapters
+        const authorityChapters = document.chapters
+            .map(chapter => ({ chapter, authority: authorities.find(a => a.pattern && a.pattern.test(chapter.title)) }))
+            .filter(entry => entry.authority); // Skips the definitions chapter
+        const rules = [];
+        let extractedCount = 0;
+        for (const { chapter, authority } of authorityChapters) {
+            const chapterConditions = this.extractChapterConditions(chapter, authorityChapters
+                .filter(entry => entry.authority === authority && entry.chapter !== chapter)
+                .map(entry => entry.chapter));
+            const requirementIds = [];
+
+            for (const section of chapter.clauses.filter(clause => clause.level === 2)) {
+                if (claimedClauses.has(section.reference) || !section.heading ||
+                    SKIPPED_SECTION_PATTERN.test(section.heading)) {
+                    continue;
                 }
+
+                const requirementId = this.buildRequirementId(authority.idPrefix, section.reference);
+                regulatoryRequirements[authority.collection].push({
+                    requirementId,
+                    title: section.heading,
+                    description: this.summarizeSection(chapter, section),
+                    authority: authority.name.he,
+                    mandatory: true,
+                    applicableBusinessTypes: DEFAULT_BUSINESS_TYPES,
+                    conditions: {
+                        ...chapterConditions,
+                        ...this.extractSectionConditions(section)
+                    },
+                    sources: [this.buildSource(document, chapter, section)]
+                });
+                requirementIds.push(requirementId);
+                extractedCount++;
             }
-        ];
+
+            if (requirementIds.length > 0) {
+                rules.push({
+                    ruleId: `DOC-RULE-${chapter.number}`,
+                    condition: { businessType: DEFAULT_BUSINESS_TYPES },
+                    applicableRequirements: requirementIds
+                });
+            }
+        }
+
+        console.log(`Catalog requirements: ${catalog.requirements.length}, extracted from document: ${extractedCount}`);
+        return { regulatoryRequirements, rules };
     }
 
     /**
-     * Extract Fire and Rescue Authority requirements (Chapters 5-6)
+     * Build a stable requirement ID from the section number (section 6.14 -> FIRE-614)
+     * @param {string} prefix - Authority prefix
+     * @param {string} reference - Section reference "chapter.section"
+     * @returns {string} Requirement ID
      */
-    extractFireRequirements() {
-        return [
-            {
-                requirementId: "FIRE-001", 
-                title: "אישור בטיחות אש",
-                description: "אישור בטיחות אש ממכבי האש וההצלה הארצי",
-                authority: "מכבי האש וההצלה הארצי",
-                mandatory: true,
-                applicableBusinessTypes: ["restaurant", "cafe", "fast_food", "bar_pub"],
-                conditions: {
-                    minFloorArea: 50
-                }
-            },
-            {
-                requirementId: "FIRE-002",
-                title: "מערכת כיבוי אש", 
-                description: "התקנת מערכת כיבוי אש אוטומטית במטבח",
-                authority: "מכבי האש וההצלה הארצי",
-                mandatory: true,
-                applicableBusinessTypes: ["restaurant", "fast_food", "catering"],
-                conditions: {
-                    requiredServices: ["gasUsage"],
-                    minFloorArea: 100
-                }
-            },
-            {
-                requirementId: "FIRE-003",
-                title: "יציאות חירום",
-                description: "הבטחת יציאות חירום מתאימות ונגישות",
-                authority: "מכבי האש וההצלה הארצי", 
-                mandatory: true,
-                applicableBusinessTypes: ["restaurant", "cafe", "bar_pub"],
-                conditions: {
-                    minSeatingCapacity: 30
-                }
-            }
-        ];
+    buildRequirementId(prefix, reference) {
+        const [chapter, section] = reference.split('.');
+        return `${prefix}-${chapter}${section.padStart(2, '0')}`;
     }
 
     /**
-     * Create licensing mapping rules
+     * Build a citation of a section in the source document
+     * @param {Object} document - Parsed document
+     * @param {Object} chapter - Parsed chapter
+     * @param {Object} section - Level-2 clause
+     * @returns {Object} Source with document, page, chapter, clause and original excerpt
      */
-    createLicensingMapping() {
+    buildSource(document, chapter, section) {
+        const excerpt = chapter.clauses
+            .filter(clause => clause === section || clause.reference.startsWith(`${section.reference}.`))
+            .map(clause => `${clause.reference}. ${clause.text}`)
+            .join(' ');
+
         return {
-            rules: [
-                {
-                    ruleId: "RULE-001",
-                    condition: {
-                        businessType: "restaurant",
-                        seatingCapacity: { min: 1 }
-                    },
-                    applicableRequirements: [
-                        "GEN-001", "GEN-002", "MOH-001", "MOH-002", "FIRE-001"
-                    ]
-                },
-                {
-                    ruleId: "RULE-002", 
-                    condition: {
-                        businessType: "restaurant",
-                        seatingCapacity: { min: 20 },
-                        hasService: ["alcoholService"]
-                    },
-                    applicableRequirements: [
-                        "GEN-001", "GEN-002", "GEN-003", "POL-001", "POL-002", 
-                        "MOH-001", "MOH-002", "MOH-003", "FIRE-001", "FIRE-003"
-                    ]
-                },
-                {
-                    ruleId: "RULE-003",
-                    condition: {
-                        businessType: "cafe",
-                        seatingCapacity: { min: 1, max: 15 }
-                    },
-                    applicableRequirements: [
-                        "GEN-001", "GEN-002", "MOH-001", "MOH-002"
-                    ]
-                },
-                {
-                    ruleId: "RULE-004",
-                    condition: {
-                        businessType: "fast_food",
-                        hasService: ["meatHandling"]
-                    },
-                    applicableRequirements: [
-                        "GEN-001", "GEN-002", "MOH-001", "MOH-002", "MOH-004", "FIRE-001"
-                    ]
-                },
-                {
-                    ruleId: "RULE-005",
-                    condition: {
-                        floorArea: { min: 100 },
-                        hasService: ["gasUsage"]
-                    },
-                    applicableRequirements: [
-                        "FIRE-002"
-                    ]
-                }
-            ]
+            document: document.sourceDocument,
+            page: section.page,
+            chapter: chapter.number,
+            chapterTitle: chapter.title,
+            clause: section.reference,
+            excerpt: excerpt.length > MAX_EXCERPT_LENGTH
+                ? `${excerpt.slice(0, MAX_EXCERPT_LENGTH).trim()}...`
+                : excerpt
         };
     }
 
     /**
-     * Validate data against schema (basic validation)
+     * Summarize a section as the first sentence of its first sub-clause
+     * @param {Object} chapter - Parsed chapter
+     * @param {Object} section - Level-2 clause
+     * @returns {string} Short description
      */
-    validateData(data) {
-        const requiredFields = ['businessFeatures', 'regulatoryRequirements', 'businessLicensingMapping'];
-        
-        for (const field of requiredFields) {
-            if (!data[field]) {
-                throw new Error(`Missing required field: ${field}`);
-            }
+    summarizeSection(chapter, section) {
+        const firstChild = chapter.clauses.find(clause => clause.reference === `${section.reference}.1`);
+        let text = firstChild ? firstChild.text : section.text;
+        if (firstChild && firstChild.heading && text.startsWith(firstChild.heading)) {
+            text = text.slice(firstChild.heading.length).trim();
         }
+        const sentence = text.split(/(?<=\.)\s/)[0];
 
-        console.log('Data validation passed');
+        return sentence.length > MAX_DESCRIPTION_LENGTH
+            ? `${sentence.slice(0, MAX_DESCRIPTION_LENGTH).trim()}...`
+            : sentence;
     }
 
     /**
-     * Save structured data to JSON file
+     * Extract size limits stated in a chapter preamble
+     * e.g. "המיועד ל-50 איש לכל היותר ששטחו המבונה עד 150 מ"ר"
+     * An authority may have a chapter for businesses within such limits and another one without
+     * limits for all other businesses; that chapter applies above the limits of the first
+     * @param {Object} chapter - Parsed chapter
+     * @param {Array<Object>} [otherChapters] - Other chapters of the same authority
+     * @returns {Object} Requirement conditions
      */
-    saveToJson(data) {
-        const jsonContent = JSON.stringify(data, null, 2);
-        fs.writeFileSync(this.outputPath, jsonContent, 'utf8');
-        console.log(`Structured data saved to: ${this.outputPath}`);
+    extractChapterConditions(chapter, otherChapters = []) {
+        const limits = this.extractSizeLimits(chapter);
+        if (limits.length > 0) {
+            return Object.fromEntries(limits.map(({ key, value }) => [key, value]));
+        }
+
+        const siblingLimits = otherChapters.map(other => this.extractSizeLimits(other)).find(found => found.length > 0);
+        return siblingLimits
+            ? { any: siblingLimits.map(({ field, value }) => ({ field, op: 'gt', value })) }
+            : {};
     }
 
     /**
-     * Get applicable requirements for a business profile
+     * Size limits stated in a chapter preamble
+     * @param {Object} chapter - Parsed chapter
+     * @returns {Array<Object>} [{ key, field, value }] - key is the requirement condition key limiting the field
      */
-    getApplicableRequirements(businessProfile) {
-        const allRequirements = [
-            ...this.structuredData.regulatoryRequirements.generalRequirements,
-            ...this.structuredData.regulatoryRequirements.policeRequirements,
-            ...this.structuredData.regulatoryRequirements.healthMinistryRequirements,
-            ...this.structuredData.regulatoryRequirements.fireAuthorityRequirements
-        ];
-
-        const applicableRequirements = [];
-        const rules = this.structuredData.businessLicensingMapping.rules;
-
-        for (const rule of rules) {
-            if (this.matchesCondition(businessProfile, rule.condition)) {
-                for (const reqId of rule.applicableRequirements) {
-                    const requirement = allRequirements.find(req => req.requirementId === reqId);
-                    if (requirement && !applicableRequirements.find(r => r.requirementId === reqId)) {
-                        applicableRequirements.push(requirement);
-                    }
-                }
-            }
+    extractSizeLimits(chapter) {
+        const limits = [];
+
+        const seating = chapter.preamble.match(/(\d+)\s*איש לכל היותר/);
+        if (seating) {
+            limits.push({ key: 'maxSeatingCapacity', field: 'seatingCapacity', value: Number(seating[1]) });
+        }
+
+        const area = chapter.preamble.match(/עד\s*(\d+)\s*מ"ר/);
+        if (area) {
+            limits.push({ key: 'maxFloorArea', field: 'floorArea', value: Number(area[1]) });
         }
 
-        return applicableRequirements;
+        return limits;
     }
 
     /**
-     * Check if business profile matches rule condition
+     * Detect business features a section heading is specific to
+     * @param {Object} section - Level-2 clause
+     * @returns {Object} Requirement conditions
      */
-    matchesCondition(profile, condition) {
-        // Business type match
-        if (condition.businessType && profile.businessType !== condition.businessType) {
-            return false;
-        }
-
-        // Seating capacity match
-        if (condition.seatingCapacity) {
-            if (condition.seatingCapacity.min && profile.seatingCapacity < condition.seatingCapacity.min) {
-                return false;
-            }
-            if (condition.seatingCapacity.max && profile.seatingCapacity > condition.seatingCapacity.max) {
-                return false;
-            }
-        }
+    extractSectionConditions(section) {
+        const requiredServices = SECTION_FEATURE_KEYWORDS
+            .filter(({ pattern }) => pattern.test(section.heading))
+            .map(({ feature }) => feature);
 
-        // Floor area match
-        if (condition.floorArea) {
-            if (condition.floorArea.min && profile.floorArea < condition.floorArea.min) {
-                return false;
-            }
-            if (condition.floorArea.max && profile.floorArea > condition.floorArea.max) {
-                return false;
-            }
-        }
+        return requiredServices.length > 0 ? { requiredServices } : {};
+    }
 
-        // Service requirements match
-        if (condition.hasService) {
-            for (const service of condition.hasService) {
-                if (!profile.services[service] && !profile.kitchenFeatures[service]) {
-                    return false;
-                }
-            }
-        }
+    /**
+     * Validate data against the JSON schema and check rule references
+     * Throws with every offending path so a bad dataset is never written
+     */
+    validateData(data) {
+        new DatasetValidator(this.schemaPath).assertValid(data);
+        console.log('Data validation passed');
+    }
 
-        return true;
+    /**
+     * Save structured data to JSON file
+     */
+    saveToJson(data) {
+        const jsonContent = JSON.stringify(data, null, 2);
+        fs.writeFileSync(this.outputPath, jsonContent, 'utf8');
+        console.log(`Structured data saved to: ${this.outputPath}`);
     }
 }
 
@@ -441,7 +403,8 @@ module.exports = LicensingDocumentProcessor;
 
 // CLI usage
 if (require.main === module) {
-    const processor = new LicensingDocumentProcessor();
+    const documentPath = process.argv[2] ? path.resolve(process.argv[2]) : undefined;
+    const processor = new LicensingDocumentProcessor(documentPath);
     processor.processDocument()
         .then(() => {
             console.log('Processing completed successfully!');
@@ -1,5 +1,20 @@
-const LicensingDocumentProcessor = require('./process-licensing-document');
+const DatasetValidator = require('../services/dataset-validator');
+const ConditionEvaluator = require('../services/condition-evaluator');
+const MatchingEngine = require('../services/matching-engine');
+const QuestionnaireService = require('../services/questionnaire-service');
+const DatasetVersionStore = require('../services/dataset-versions');
+const OpenRouterService = require('../services/openrouter-service');
+const ReportCache = require('../services/report-cache');
+const ReportStore = require('../services/report-store');
+const ReportExporter = require('../services/report-exporter');
+const LicensingCaseStore = require('../services/licensing-case-store');
+const { AnthropicProvider, OpenRouterProvider, readEventStream } = require('../services/llm-providers');
+const axios = require('axios');
+const { Readable } = require('stream');
+const { businessProfileSchema, reportIdSchema } = require('../middleware/validation');
+const crypto = require('crypto');
 const fs = require('fs');
+const os = require('os');
 const path = require('path');
 
 /**
@@ -8,7 +23,7 @@ const path = require('path');
 
 class RequirementsMatchingTester {
     constructor() {
-        this.processor = new LicensingDocumentProcessor();
+        this.engine = new MatchingEngine();
         this.dataPath = path.join(__dirname, '../data/licensing-requirements.json');
     }
 
@@ -17,7 +32,10 @@ class RequirementsMatchingTester {
         
         // Load the processed data
         const data = JSON.parse(fs.readFileSync(this.dataPath, 'utf8'));
-        this.processor.structuredData = data;
+
+        // Fail fast on a dataset that does not match the schema
+        new DatasetValidator().assertValid(data);
+        console.log('Dataset matches business-licensing-schema.json');
 
         console.log('Running requirement matching tests...\n');
 
@@ -129,9 +147,1098 @@ class RequirementsMatchingTester {
             }
         });
 
+        this.testConditionLanguage();
+        this.testExtractedRequirements(data);
+        this.testPrerequisites(data);
+        this.testEstimates();
+        this.testMunicipalOverlays();
+        this.testAuthorityRegistry(data);
+        this.testBusinessRecommendations(data);
+        this.testProfileFeatures();
+        this.testMobileAndHotelBusinesses();
+        this.testMixedUse();
+        this.testQuestionnaire();
+        this.testDatasetVersions(data);
+        await this.testProviderStreams();
+        await this.testReportValidation();
+        this.testReportVerification();
+        this.testReportCache();
+        this.testReportStore();
+        await this.testReportExport();
+        this.testLicensingCases();
+
         console.log('All tests completed!');
     }
 
+    /**
+     * Check the all/any/not condition language on a few hand-written cases
+     */
+    testConditionLanguage() {
+        console.log('=== Testing: Condition language ===');
+        const evaluator = new ConditionEvaluator();
+
+        // (bar_pub OR restaurant with alcohol) AND NOT delivery_only AND (seating > 50 OR area > 200)
+        const condition = {
+            all: [
+                {
+                    any: [
+                        { field: 'businessType', op: 'eq', value: 'bar_pub' },
+                        { all: [{ businessType: 'restaurant' }, { has: 'alcoholService' }] }
+                    ]
+                },
+                { not: { field: 'businessType', op: 'eq', value: 'delivery_only' } },
+                {
+                    any: [
+                        { field: 'seatingCapacity', op: 'gt', value: 50 },
+                        { field: 'floorArea', op: 'gt', value: 200 }
+                    ]
+                }
+            ]
+        };
+
+        const cases = [
+            { profile: { businessType: 'bar_pub', seatingCapacity: 60, floorArea: 100 }, expected: true },
+            { profile: { businessType: 'restaurant', seatingCapacity: 20, floorArea: 250, services: { alcoholService: true } }, expected: true },
+            { profile: { businessType: 'restaurant', seatingCapacity: 80, floorArea: 250, services: { alcoholService: false } }, expected: false },
+            { profile: { businessType: 'bar_pub', seatingCapacity: 50, floorArea: 200 }, expected: false },
+            { profile: { businessType: 'restaurant', seatingCapacity: 30, floorArea: 120, services: { alcoholService: true } }, expected: false }
+        ];
+
+        cases.forEach(({ profile, expected }) => {
+            const actual = evaluator.evaluate(condition, profile);
+            console.log(`- ${profile.businessType}, ${profile.seatingCapacity} seats, ${profile.floorArea} m²: ${actual}`);
+            if (actual !== expected) {
+                throw new Error(`Condition evaluated to ${actual}, expected ${expected}`);
+            }
+        });
+
+        console.log('==========================================\n');
+    }
+
+    /**
+     * Requirements extracted from the document match through their chapter's rule and size track,
+     * and a requirement no rule lists is rejected
+     * @param {Object} data - Licensing dataset
+     */
+    testExtractedRequirements(data) {
+        console.log('=== Testing: Requirements extracted from the document ===');
+        const engine = new MatchingEngine();
+        const matchedIds = (profile) => engine.flattenGroupedRequirements(
+            engine.findApplicableRequirements({ businessType: 'restaurant', kitchenFeatures: { gasUsage: true }, ...profile }).requirements
+        ).map(req => req.requirementId);
+
+        // Chapter 5 covers businesses up to 50 seats and 150 m², chapter 6 all larger ones
+        const small = matchedIds({ seatingCapacity: 40, floorArea: 120 });
+        const large = matchedIds({ seatingCapacity: 40, floorArea: 200 });
+        console.log(`- 40 seats, 120 m²: ${small.filter(id => /^(FIRE-5|FIRE-6|MOH-4)/.test(id)).join(', ')}`);
+        console.log(`- 40 seats, 200 m²: ${large.filter(id => /^(FIRE-5|FIRE-6|MOH-4)/.test(id)).join(', ')}`);
+        if (!small.includes('FIRE-507') || small.includes('FIRE-623') || !small.includes('MOH-407')) {
+            throw new Error('A small restaurant must get the extracted requirements of the small business track');
+        }
+        if (large.includes('FIRE-507') || !large.includes('FIRE-623') || !large.includes('MOH-407')) {
+            throw new Error('A large restaurant must get the extracted requirements of the general track');
+        }
+
+        const unlisted = JSON.parse(JSON.stringify(data));
+        unlisted.businessLicensingMapping.rules.forEach(rule => {
+            rule.applicableRequirements = rule.applicableRequirements.filter(id => id !== 'POL-307');
+        });
+        const { valid, errors } = new DatasetValidator().validate(unlisted);
+        console.log(`- Unlisted requirement rejected: ${!valid} (${errors.map(error => error.message).join('; ')})`);
+        if (valid || !errors.some(error => error.message.includes('POL-307 is not listed by any rule'))) {
+            throw new Error('A requirement that no rule lists must be rejected');
+        }
+
+        console.log('==========================================\n');
+    }
+
+    /**
+     * Check the action plan order and that prerequisite cycles are rejected
+     * @param {Object} data - Licensing dataset
+     */
+    testPrerequisites(data) {
+        console.log('=== Testing: Prerequisites and action plan ===');
+        const engine = new MatchingEngine();
+        const { actionPlan } = engine.findApplicableRequirements({
+            businessType: 'restaurant',
+            seatingCapacity: 60,
+            floorArea: 150,
+            services: { alcoholService: true }
+        });
+
+        const stepOf = {};
+        actionPlan.steps.forEach(step => {
+            console.log(`- Step ${step.step}${step.parallel ? ' (parallel)' : ''}: ${step.requirements.map(req => req.requirementId).join(', ')}`);
+            step.requirements.forEach(req => {
+                stepOf[req.requirementId] = step.step;
+            });
+        });
+
+        [['FIRE-001', 'GEN-001'], ['MOH-002', 'MOH-001'], ['POL-001', 'POL-002']].forEach(([before, after]) => {
+            if (!(stepOf[before] < stepOf[after])) {
+                throw new Error(`${before} must come before ${after} in the action plan`);
+            }
+        });
+
+        // GEN-001 -> FIRE-001 -> GEN-001
+        const cyclic = JSON.parse(JSON.stringify(data));
+        cyclic.regulatoryRequirements.fireAuthorityRequirements
+            .find(req => req.requirementId === 'FIRE-001')
+            .prerequisites.push('GEN-001');
+        const { valid, errors } = new DatasetValidator().validate(cyclic);
+        console.log(`- Cycle rejected: ${!valid} (${errors.map(error => error.message).join('; ')})`);
+        if (valid || !errors.some(error => error.message.startsWith('prerequisite cycle'))) {
+            throw new Error('Prerequisite cycle was not detected');
+        }
+
+        console.log('==========================================\n');
+    }
+
+    /**
+     * Check the critical-path timeline, cost totals and size-dependent estimate overrides
+     */
+    testEstimates() {
+        console.log('=== Testing: Timeline and cost estimates ===');
+        const engine = new MatchingEngine();
+        const { estimates } = engine.findApplicableRequirements({
+            businessType: 'restaurant',
+            seatingCapacity: 60,
+            floorArea: 400,
+            kitchenFeatures: { gasUsage: true }
+        });
+
+        const { timeline, costs } = estimates;
+        console.log(`- Timeline: ${timeline.minDays}-${timeline.maxDays} days, critical path ${timeline.criticalPath.join(' -> ')}`);
+        console.log(`- Cost: ${costs.min}-${costs.max} ILS (${costs.byAuthority.map(a => `${a.authorityKey} ${a.min}-${a.max}`).join(', ')})`);
+
+        const byId = Object.fromEntries(estimates.requirements.map(entry => [entry.requirementId, entry]));
+        const pathDays = timeline.criticalPath.reduce((sum, requirementId) => sum + byId[requirementId].durationDays.max, 0);
+        if (pathDays !== timeline.maxDays) {
+            throw new Error(`Critical path takes ${pathDays} days, timeline says ${timeline.maxDays}`);
+        }
+        if (costs.max !== costs.byAuthority.reduce((sum, authority) => sum + authority.max, 0)) {
+            throw new Error('Authority costs do not add up to the total');
+        }
+        // FIRE-002 costs more above 300 m², FIRE-001 adds a per-m² fee
+        if (byId['FIRE-002'].feeILS.min !== 15000 || byId['FIRE-001'].feeILS.min !== 1000 + 5 * 400) {
+            throw new Error('Size-dependent fees were not applied');
+        }
+
+        console.log('==========================================\n');
+    }
+
+    /**
+     * Check that municipal overlays add local requirements, override conditions and add local fees
+     */
+    testMunicipalOverlays() {
+        console.log('=== Testing: Municipal overlays ===');
+        const engine = new MatchingEngine();
+        const profile = {
+            businessType: 'restaurant',
+            seatingCapacity: 12,
+            floorArea: 90,
+            services: { outdoorSeating: true },
+            kitchenFeatures: { gasUsage: true }
+        };
+
+        const match = (municipality) => {
+            const result = engine.findApplicableRequirements({ ...profile, municipality });
+            const requirements = engine.flattenGroupedRequirements(result.requirements);
+            console.log(`- ${municipality || 'national'}: ${requirements.map(req => req.requirementId).join(', ')} (${result.estimates.costs.min}-${result.estimates.costs.max} ILS)`);
+            return { result, ids: requirements.map(req => req.requirementId) };
+        };
+
+        const national = match();
+        const telAviv = match('tel-aviv');
+        const haifa = match('haifa');
+        const unknown = match('eilat');
+
+        if (!telAviv.ids.includes('TLV-001') || national.ids.includes('TLV-001') || haifa.ids.includes('TLV-001')) {
+            throw new Error('Local requirements must only apply in their municipality');
+        }
+        // Haifa lowers the area threshold of the fire suppression system from 100 to 80 m²
+        if (!haifa.ids.includes('FIRE-002') || national.ids.includes('FIRE-002')) {
+            throw new Error('Haifa condition override was not applied');
+        }
+        const fee = (scenario, requirementId) => scenario.result.estimates.requirements
+            .find(entry => entry.requirementId === requirementId).feeILS;
+        if (fee(telAviv, 'GEN-001').min !== fee(national, 'GEN-001').min + 300) {
+            throw new Error('Tel Aviv local fee was not added to GEN-001');
+        }
+        if (unknown.result.municipality !== null || unknown.ids.join() !== national.ids.join()) {
+            throw new Error('A municipality without an overlay must get the national requirements');
+        }
+
+        // Local requirements returned by a match can be looked up by ID, with or without their municipality
+        const local = engine.getRequirementDetails('TLV-001');
+        console.log(`- details of TLV-001: ${local.title} (${local.municipality})`);
+        if (engine.getRequirementDetails('TLV-001', 'tel-aviv').requirementId !== 'TLV-001' ||
+            local.relatedRequirements.some(req => req.requirementId === 'TLV-001')) {
+            throw new Error('Local requirement details must be found in their overlay');
+        }
+        const haifaFire = engine.getRequirementDetails('FIRE-002', 'haifa');
+        if (!haifaFire.conditionOverride || engine.getRequirementDetails('FIRE-002').conditionOverride) {
+            throw new Error('Requirement details must show the condition override of the given municipality only');
+        }
+
+        console.log('==========================================\n');
+    }
+
+    /**
+     * A new authority added only in the dataset is grouped, described and validated without code changes
+     * @param {Object} data - Licensing dataset
+     */
+    testAuthorityRegistry(data) {
+        console.log('=== Testing: Authority registry ===');
+        const extended = JSON.parse(JSON.stringify(data));
+        extended.authorities.push({
+            authorityId: 'environment',
+            name: { he: 'המשרד להגנת הסביבה', en: 'Ministry of Environmental Protection' },
+            collection: 'environmentRequirements',
+            idPrefix: 'ENV',
+            contact: { office: 'המחוז של המשרד להגנת הסביבה' },
+            submission: { channel: 'via_municipality', description: 'הבקשה מועברת למשרד על ידי הרשות המקומית' },
+            tips: ['יש לצרף חוות דעת אקוסטית'],
+            reportFocus: 'מותאם למערכת ההגברה ולשעות הפעילות'
+        });
+        extended.regulatoryRequirements.environmentRequirements = [{
+            requirementId: 'ENV-001',
+            title: 'היתר למניעת מפגעי רעש',
+            description: 'אישור המשרד להגנת הסביבה למערכת הגברה',
+            authority: 'המשרד להגנת הסביבה',
+            mandatory: true,
+            applicableBusinessTypes: ['restaurant', 'cafe', 'fast_food', 'bar_pub'],
+            conditions: { hasService: ['liveMusic'] }
+        }];
+        extended.businessLicensingMapping.rules.push({
+            ruleId: 'RULE-ENV-001',
+            condition: { hasService: ['liveMusic'] },
+            applicableRequirements: ['ENV-001']
+        });
+
+        const validator = new DatasetValidator();
+        validator.assertValid(extended, 'extended dataset');
+
+        const engine = new MatchingEngine();
+        engine.requirementsData = extended;
+        const result = engine.findApplicableRequirements({
+            businessType: 'restaurant',
+            seatingCapacity: 40,
+            floorArea: 80,
+            services: { liveMusic: true }
+        });
+        const environment = result.authorities.find(authority => authority.authorityId === 'environment');
+        console.log(`- Authorities: ${result.authorities.map(authority => `${authority.authorityId} (${authority.requirementIds.length})`).join(', ')}`);
+        if (!result.requirements.environment?.some(req => req.requirementId === 'ENV-001')) {
+            throw new Error('Requirements of a new authority must be grouped under its ID');
+        }
+        if (!environment || environment.tips.length !== 1 || environment.submission.channel !== 'via_municipality') {
+            throw new Error('A new authority must be described from the registry');
+        }
+
+        // The report prompt asks for a section per involved authority, with the registry's focus
+        const prompt = new OpenRouterService({ displayName: 'Test provider', model: 'test-model', getConfigurationWarning: () => null })
+            .buildReportPrompt(result, { businessType: 'restaurant', seatingCapacity: 40, floorArea: 80 });
+        if (!prompt.includes('המשרד להגנת הסביבה: מותאם למערכת ההגברה ולשעות הפעילות') || prompt.includes('משרד התחבורה:')) {
+            throw new Error('The report prompt must list the involved authorities from the registry');
+        }
+
+        // A requirement collection without an authority would never be matched
+        extended.authorities.pop();
+        const { valid, errors } = validator.validate(extended);
+        if (valid || !errors.some(error => error.message.includes('environmentRequirements'))) {
+            throw new Error('A requirement collection without an authority must be rejected');
+        }
+
+        console.log('==========================================\n');
+    }
+
+    /**
+     * Size-based recommendations follow the thresholds of the dataset
+     * @param {Object} data - Licensing dataset
+     */
+    testBusinessRecommendations(data) {
+        console.log('=== Testing: Business recommendations ===');
+        const profile = { businessType: 'restaurant', seatingCapacity: 30, floorArea: 130, kitchenFeatures: { gasUsage: true } };
+        const recommend = (engine, floorArea) => {
+            const result = engine.findApplicableRequirements({ ...profile, floorArea });
+            return engine.getBusinessRecommendations({ ...profile, floorArea }, result.thresholdAlerts);
+        };
+        const mentionsSuppression = (recommendations) => recommendations.some(recommendation =>
+            recommendation.type === 'threshold_alert' && recommendation.message.includes('מערכת כיבוי אש'));
+
+        const engine = new MatchingEngine();
+        const nearThreshold = recommend(engine, 90);
+        console.log(`- gas, 90 m²: ${nearThreshold.map(recommendation => recommendation.message).join(' | ')}`);
+        if (!mentionsSuppression(nearThreshold) || mentionsSuppression(recommend(engine, 40))) {
+            throw new Error('The fire suppression threshold must be recommended only near its floor area');
+        }
+
+        // Moving the threshold in the dataset moves the recommendation with it
+        const moved = JSON.parse(JSON.stringify(data));
+        moved.businessLicensingMapping.rules.find(rule => rule.ruleId === 'RULE-005').condition.floorArea.min = 150;
+        moved.regulatoryRequirements.fireAuthorityRequirements
+            .find(req => req.requirementId === 'FIRE-002').conditions.minFloorArea = 150;
+        engine.requirementsData = moved;
+        const movedThreshold = recommend(engine, 130);
+        console.log(`- gas, 130 m², threshold at 150 m²: ${movedThreshold.map(recommendation => recommendation.type).join(', ')}`);
+        if (!mentionsSuppression(movedThreshold) || movedThreshold.some(recommendation => recommendation.type === 'fire_safety')) {
+            throw new Error('Size-based recommendations must come from the dataset thresholds');
+        }
+
+        console.log('==========================================\n');
+    }
+
+    /**
+     * Takeaway, smoking area, dairy products and 24/7 operation survive request validation
+     * and each adds its requirement
+     */
+    testProfileFeatures() {
+        console.log('=== Testing: Profile features ===');
+        const engine = new MatchingEngine();
+        const baseline = {
+            businessType: 'restaurant',
+            seatingCapacity: 20,
+            floorArea: 60
+        };
+        const features = [
+            { section: 'services', feature: 'takeaway', requirementId: 'MOH-006' },
+            { section: 'kitchenFeatures', feature: 'smokingArea', requirementId: 'MOH-005' },
+            { section: 'kitchenFeatures', feature: 'dairyProducts', requirementId: 'MOH-007' },
+            { section: 'operationalHours', feature: 'twentyFourSeven', requirementId: 'POL-004' }
+        ];
+
+        const matchIds = (profile) => {
+            const { error, value } = businessProfileSchema.validate(profile, { stripUnknown: true });
+            if (error) {
+                throw new Error(`Profile rejected: ${error.message}`);
+            }
+            const result = engine.findApplicableRequirements(value);
+            return engine.flattenGroupedRequirements(result.requirements).map(req => req.requirementId);
+        };
+
+        const baselineIds = matchIds(baseline);
+        features.forEach(({ section, feature, requirementId }) => {
+            const ids = matchIds({ ...baseline, [section]: { [feature]: true } });
+            const added = ids.filter(id => !baselineIds.includes(id));
+            console.log(`- ${feature}: +${added.join(', +') || ' nothing'}`);
+            if (!added.includes(requirementId)) {
+                throw new Error(`${feature} must add ${requirementId}`);
+            }
+        });
+
+        console.log('==========================================\n');
+    }
+
+    /**
+     * Food trucks get vehicle and mobile vending requirements (with local permits), hotel restaurants get hotel kitchen rules
+     */
+    testMobileAndHotelBusinesses() {
+        console.log('=== Testing: Food trucks and hotel restaurants ===');
+        const engine = new MatchingEngine();
+        const scenarios = [
+            {
+                name: 'food truck',
+                profile: { businessType: 'food_truck', seatingCapacity: 0, floorArea: 12, kitchenFeatures: { gasUsage: true } },
+                expected: ['GEN-004', 'TRN-001', 'TRN-002', 'MOH-008', 'FIRE-004']
+            },
+            {
+                name: 'food truck in Tel Aviv',
+                profile: { businessType: 'food_truck', seatingCapacity: 0, floorArea: 12, municipality: 'tel-aviv' },
+                expected: ['GEN-004', 'TLV-003']
+            },
+            {
+                name: 'hotel restaurant',
+                profile: { businessType: 'hotel_restaurant', seatingCapacity: 120, floorArea: 300, kitchenFeatures: { gasUsage: true } },
+                expected: ['GEN-001', 'MOH-001', 'MOH-009', 'FIRE-001', 'FIRE-005']
+            }
+        ];
+
+        scenarios.forEach(scenario => {
+            const result = engine.findApplicableRequirements(scenario.profile);
+            const ids = engine.flattenGroupedRequirements(result.requirements).map(req => req.requirementId);
+            console.log(`- ${scenario.name}: ${ids.join(', ')}`);
+            const missing = scenario.expected.filter(id => !ids.includes(id));
+            if (missing.length > 0) {
+                throw new Error(`${scenario.name} is missing ${missing.join(', ')}`);
+            }
+        });
+
+        // The vehicle conversion comes before every other food truck permit
+        const { actionPlan } = engine.findApplicableRequirements(scenarios[0].profile);
+        const firstStep = actionPlan.steps[0].requirements.map(req => req.requirementId);
+        if (!firstStep.includes('TRN-001') || firstStep.includes('GEN-004')) {
+            throw new Error('TRN-001 must be in the first step of the food truck action plan');
+        }
+
+        console.log('==========================================\n');
+    }
+
+    /**
+     * A mixed-use profile gets the union of its activities' requirements, each attributed to the activities that need it
+     */
+    testMixedUse() {
+        console.log('=== Testing: Mixed-use business ===');
+        const engine = new MatchingEngine();
+        const profile = {
+            businessType: 'cafe',
+            secondaryActivities: ['bar_pub', 'catering'],
+            seatingCapacity: 25,
+            floorArea: 80,
+            services: { alcoholService: true }
+        };
+
+        const { error, value } = businessProfileSchema.validate(profile, { stripUnknown: true });
+        if (error) {
+            throw new Error(`Profile rejected: ${error.message}`);
+        }
+
+        const result = engine.findApplicableRequirements(value);
+        const requirements = engine.flattenGroupedRequirements(result.requirements);
+        const ids = requirements.map(req => req.requirementId);
+        requirements.forEach(req => {
+            console.log(`- ${req.requirementId}: ${req.activities.join(', ')}`);
+        });
+
+        if (new Set(ids).size !== ids.length) {
+            throw new Error('Requirements shared by several activities must be listed once');
+        }
+        const byId = Object.fromEntries(requirements.map(req => [req.requirementId, req]));
+        if (!byId['POL-002'] || byId['POL-002'].activities.join() !== 'bar_pub') {
+            throw new Error('POL-002 must be attributed to bar_pub only');
+        }
+        if (!byId['MOH-003'] || byId['MOH-003'].activity !== 'catering') {
+            throw new Error('MOH-003 must be attributed to catering');
+        }
+        if (!byId['GEN-001'] || byId['GEN-001'].activities.length < 2) {
+            throw new Error('GEN-001 must be shared by several activities');
+        }
+        if (result.activities.map(activity => activity.businessType).join() !== 'cafe,bar_pub,catering') {
+            throw new Error('Activities must list the business type first, then the secondary activities');
+        }
+
+        const repeated = businessProfileSchema.validate({ ...profile, secondaryActivities: ['cafe'] });
+        if (!repeated.error) {
+            throw new Error('A secondary activity repeating the business type must be rejected');
+        }
+
+        console.log('==========================================\n');
+    }
+
+    /**
+     * Every questionnaire answer, follow-ups included, maps to a profile field the API accepts
+     */
+    testQuestionnaire() {
+        console.log('=== Testing: Questionnaire definition ===');
+        const engine = new MatchingEngine();
+        const service = new QuestionnaireService();
+        const questionnaire = service.getQuestionnaire({
+            businessTypes: [
+                { id: 'restaurant', name: 'מסעדה', description: 'מסעדה עם שירות מלא', typicalSeating: '20-100', typicalArea: '80-300' },
+                { id: 'bar_pub', name: 'בר/פאב', description: 'בר או פאב עם אלכוהול', typicalSeating: '20-80', typicalArea: '60-200' }
+            ],
+            municipalities: engine.getMunicipalities()
+        });
+
+        // Answer yes to every question and pick the first option, so every follow-up is asked
+        const profile = {};
+        const questions = service.flattenQuestions(questionnaire);
+        questions.forEach(question => {
+            const answers = {
+                choice: () => question.options[0].value,
+                multiChoice: () => question.options.slice(1).map(option => option.value),
+                number: () => question.min,
+                select: () => question.options[0].value,
+                boolean: () => true
+            };
+            const keys = question.field.split('.');
+            const parent = keys.slice(0, -1).reduce((section, key) => (section[key] = section[key] || {}), profile);
+            parent[keys[keys.length - 1]] = answers[question.type]();
+        });
+        console.log(`- ${questionnaire.steps.length} steps, ${questions.length} questions`);
+
+        const { error, value } = businessProfileSchema.validate(profile);
+        if (error) {
+            throw new Error(`Questionnaire answers are not a valid profile: ${error.message}`);
+        }
+        if (value.services.alcoholServiceMode !== 'on_premise' || value.kitchenFeatures.gasType !== 'lpg' ||
+            value.services.liveMusicLocation !== 'indoor') {
+            throw new Error('Follow-up answers must be kept in the profile');
+        }
+        engine.findApplicableRequirements(value);
+
+        // The profile schema is written separately from the questionnaire: the two must list the same fields,
+        // and every option of a question must be a value the schema accepts
+        const schemaFields = [];
+        const collectFields = (keys, prefix) => Object.entries(keys).forEach(([key, description]) => {
+            const field = prefix ? `${prefix}.${key}` : key;
+            if (description.type === 'object') {
+                collectFields(description.keys, field);
+            } else {
+                schemaFields.push(field);
+            }
+        });
+        collectFields(businessProfileSchema.describe().keys, '');
+
+        const questionFields = questions.map(question => question.field);
+        const unknownFields = questionFields.filter(field => !schemaFields.includes(field));
+        const unaskedFields = schemaFields.filter(field => !questionFields.includes(field));
+        if (unknownFields.length > 0 || unaskedFields.length > 0) {
+            throw new Error(`Questionnaire and profile schema disagree - not in the schema: ${unknownFields.join(', ') || 'none'}; ` +
+                `not asked: ${unaskedFields.join(', ') || 'none'}`);
+        }
+
+        questions
+            .filter(question => question.options)
+            .forEach(question => {
+                const keys = question.field.split('.');
+                question.options
+                    .filter(option => option.value !== value[question.excludeAnswerOf])
+                    .forEach(option => {
+                        const answered = JSON.parse(JSON.stringify({ ...value, secondaryActivities: [] }));
+                        const parent = keys.slice(0, -1).reduce((section, key) => section[key], answered);
+                        parent[keys[keys.length - 1]] = question.type === 'multiChoice' ? [option.value] : option.value;
+                        const result = businessProfileSchema.validate(answered);
+                        if (result.error) {
+                            throw new Error(`Option ${option.value} of question ${question.questionId} is rejected: ${result.error.message}`);
+                        }
+                    });
+            });
+        console.log(`- ${schemaFields.length} profile fields, each answered by one question`);
+
+        // Follow-up answers add requirements of their own
+        const followUps = [
+            { field: 'services', answer: { alcoholService: true, alcoholServiceMode: 'takeaway' }, requirementId: 'POL-005' },
+            { field: 'services', answer: { liveMusic: true, liveMusicLocation: 'outdoor' }, requirementId: 'GEN-005' },
+            { field: 'kitchenFeatures', answer: { gasUsage: true, gasType: 'lpg' }, requirementId: 'FIRE-006' }
+        ];
+        followUps.forEach(({ field, answer, requirementId }) => {
+            const base = { businessType: 'restaurant', seatingCapacity: 40, floorArea: 120 };
+            const matchedIds = (profile) => engine.flattenGroupedRequirements(
+                engine.findApplicableRequirements(businessProfileSchema.validate(profile).value).requirements
+            ).map(req => req.requirementId);
+
+            const withFollowUp = matchedIds({ ...base, [field]: answer });
+            const [feature] = Object.keys(answer);
+            const withoutFollowUp = matchedIds({ ...base, [field]: { [feature]: true } });
+            // A follow-up answer left over after its feature was switched off must not count
+            const staleFollowUp = matchedIds({ ...base, [field]: { ...answer, [feature]: false } });
+            console.log(`- ${JSON.stringify(answer)}: ${requirementId} ${withFollowUp.includes(requirementId) ? 'added' : 'missing'}`);
+            if (!withFollowUp.includes(requirementId) || withoutFollowUp.includes(requirementId)) {
+                throw new Error(`${requirementId} must apply only with the follow-up answer ${JSON.stringify(answer)}`);
+            }
+            if (staleFollowUp.includes(requirementId)) {
+                throw new Error(`${requirementId} must not apply when ${feature} is off, whatever the follow-up answer`);
+            }
+        });
+
+        const errors = service.validateDefinition({
+            steps: [{ stepId: 'broken', questions: [
+                { questionId: 'floorArea', field: 'floorArea', type: 'number', followUps: [] },
+                { questionId: 'floorArea', field: 'floorArea', type: 'slider' }
+            ] }]
+        });
+        if (errors.length !== 4) {
+            throw new Error(`Broken questionnaire definition must be rejected, got: ${errors.join('; ')}`);
+        }
+
+        console.log('==========================================\n');
+    }
+
+    /**
+     * A changed dataset gets a new version ID, and archives must hold the content their ID names
+     */
+    testDatasetVersions(data) {
+        console.log('=== Testing: Dataset versions ===');
+        const store = new DatasetVersionStore();
+
+        // The archived versions in the repository must not drift from their IDs
+        fs.readdirSync(store.versionsDir)
+            .filter(file => file.endsWith('.json'))
+            .forEach(file => {
+                const versionId = path.basename(file, '.json');
+                const contentId = store.getVersionId(store.readDataset(path.join(store.versionsDir, file)));
+                console.log(`- archived ${versionId}`);
+                if (contentId !== versionId) {
+                    throw new Error(`Archived dataset ${versionId} holds the content of version ${contentId}`);
+                }
+            });
+
+        const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'dataset-versions-'));
+        try {
+            const tempStore = new DatasetVersionStore({ versionsDir: tempDir, currentPath: this.dataPath });
+            const reprocessed = { ...data, metadata: { ...data.metadata, processedDate: new Date().toISOString() } };
+            const edited = JSON.parse(JSON.stringify(data));
+            edited.businessLicensingMapping.rules.pop();
+
+            const currentId = tempStore.getVersionId(data);
+            if (tempStore.getVersionId(reprocessed) !== currentId) {
+                throw new Error('Reprocessing unchanged inputs must keep the version ID');
+            }
+            if (tempStore.getVersionId(edited) === currentId) {
+                throw new Error('A catalog edit from the same document must get a new version ID');
+            }
+            // The report cache is keyed by the engine's dataset version, so it must be the same ID
+            if (new MatchingEngine().datasetVersion !== currentId) {
+                throw new Error('The matching engine must report the dataset version ID of the version store');
+            }
+
+            tempStore.saveVersion(data);
+            tempStore.saveVersion(edited);
+            const editedId = tempStore.getVersionId(edited);
+            if (tempStore.listVersions().length !== 2 ||
+                tempStore.loadVersion(editedId).businessLicensingMapping.rules.length !== edited.businessLicensingMapping.rules.length) {
+                throw new Error('Both versions must be archived and loadable by ID');
+            }
+
+            // An archive rewritten with other content under the same name is refused
+            fs.writeFileSync(tempStore.getVersionPath(currentId), JSON.stringify(edited, null, 2), 'utf8');
+            let stale = null;
+            try {
+                tempStore.loadVersion(currentId);
+            } catch (error) {
+                stale = error;
+            }
+            if (!stale) {
+                throw new Error('An archive whose content does not match its version ID must be refused');
+            }
+        } finally {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+
+        console.log('==========================================\n');
+    }
+
+    /**
+     * Streamed completions survive split Hebrew characters and bad lines, and provider error events fail the request
+     */
+    async testProviderStreams() {
+        console.log('=== Testing: LLM provider streams ===');
+
+        // "שלום" with its second letter split between two chunks
+        const event = Buffer.from('data: {"choices":[{"delta":{"content":"שלום"}}]}\n');
+        const split = event.indexOf(Buffer.from('ל')) + 1;
+        const payloads = [];
+        await readEventStream(Readable.from([event.subarray(0, split), event.subarray(split)]), data => payloads.push(data));
+        if (!payloads[0] || JSON.parse(payloads[0]).choices[0].delta.content !== 'שלום') {
+            throw new Error(`A character split across chunks must be decoded whole, got: ${payloads[0]}`);
+        }
+
+        // Replace the HTTP call with a canned event stream
+        const streamWith = async (provider, lines) => {
+            const originalPost = axios.post;
+            axios.post = async () => ({ data: Readable.from(lines.map(line => Buffer.from(`${line}\n`))) });
+            try {
+                let streamed = '';
+                const text = await provider.stream({ system: '', prompt: '', maxTokens: 10, temperature: 0 }, token => {
+                    streamed += token;
+                });
+                return { text, streamed };
+            } finally {
+                axios.post = originalPost;
+            }
+        };
+        const options = { baseUrl: 'http://localhost', apiKey: 'test', model: 'test' };
+
+        const { text } = await streamWith(new OpenRouterProvider(options), [
+            ': OPENROUTER PROCESSING',
+            'data: {"choices":[{"delta":{"content":"דוח "}}]}',
+            'data: {"choices":[{"delta":',
+            'data: {"choices":[{"delta":{"content":"רישוי"}}]}',
+            'data: [DONE]'
+        ]);
+        console.log(`- malformed line skipped: "${text}"`);
+        if (text !== 'דוח רישוי') {
+            throw new Error('Malformed stream lines must be skipped');
+        }
+
+        const expectRejection = async (provider, lines) => {
+            try {
+                await streamWith(provider, lines);
+            } catch (error) {
+                console.log(`- ${provider.displayName} error event rejected: ${error.message}`);
+                return;
+            }
+            throw new Error(`${provider.displayName} error events must reject the stream`);
+        };
+        await expectRejection(new AnthropicProvider(options), [
+            'data: {"type":"content_block_delta","delta":{"type":"text_delta","text":"דוח"}}',
+            'data: {"type":"error","error":{"type":"overloaded_error","message":"Overloaded"}}'
+        ]);
+        await expectRejection(new OpenRouterProvider(options), [
+            'data: {"error":{"code":502,"message":"Provider returned error"}}'
+        ]);
+
+        console.log('==========================================\n');
+    }
+
+    /**
+     * Invalid AI reports get one repair round-trip; what is still invalid is taken from the fallback report
+     */
+    async testReportValidation() {
+        console.log('=== Testing: Report validation ===');
+        const engine = new MatchingEngine();
+        const profile = { businessType: 'restaurant', seatingCapacity: 30, floorArea: 100 };
+        const requirementsData = engine.findApplicableRequirements(profile);
+
+        // Provider returning canned responses, one per call
+        const responses = [];
+        const provider = {
+            displayName: 'Test provider',
+            model: 'test-model',
+            getConfigurationWarning: () => null,
+            complete: async () => responses.shift()
+        };
+        const service = new OpenRouterService(provider);
+
+        const validReport = {
+            title: 'דוח רישוי למסעדה',
+            summary: 'המסעדה נדרשת לרישיון עסק ולאישורי הרשויות',
+            sections: [{ title: 'רישיון עסק', content: 'יש להגיש בקשה לרישיון עסק', priority: 'high', requirementIds: ['GEN-001'] }],
+            actions: [{ title: 'הגשת בקשה לרישיון עסק', priority: 'high', requirementIds: ['GEN-001'] }],
+            recommendations: ['להתחיל באישור בטיחות האש'],
+            personalizedInsights: [],
+            totalEstimatedCost: '5,000-10,000 ₪',
+            estimatedTimeframe: '3-6 חודשים',
+            criticalDeadlines: []
+        };
+
+        // Truncated JSON that the repair round-trip fixes
+        responses.push(JSON.stringify(validReport));
+        const repaired = await service.parseAIResponse(
+            JSON.stringify(validReport).slice(0, 80), requirementsData, profile
+        );
+        console.log(`- truncated JSON: valid ${repaired.metadata.validation.valid}, repaired ${repaired.metadata.validation.repaired}`);
+        if (repaired.metadata.validation.valid || !repaired.metadata.validation.repaired ||
+            repaired.metadata.validation.fallbackFields.length > 0 || repaired.title !== validReport.title) {
+            throw new Error('A report fixed by the repair round-trip must be used as is');
+        }
+
+        // Still not JSON after the repair: the whole report comes from the fallback
+        responses.push('מצטער, לא ניתן להחזיר JSON');
+        const fallback = await service.parseAIResponse('אין כאן דוח', requirementsData, profile);
+        console.log(`- still invalid after repair: ${fallback.metadata.validation.fallbackFields.length} fallback fields, ${fallback.metadata.generatedBy}`);
+        if (fallback.metadata.validation.repaired ||
+            fallback.metadata.validation.fallbackFields.length !== service.reportValidator.getFields().length ||
+            !fallback.metadata.generatedBy.endsWith('(Fallback)')) {
+            throw new Error('A report still invalid after the repair must fall back entirely');
+        }
+        // Fallback deadlines come from the computed critical path, one per estimated requirement on it
+        const criticalIds = requirementsData.estimates.requirements
+            .filter(entry => entry.critical && entry.estimated)
+            .map(entry => entry.requirementId);
+        console.log(`- fallback deadlines: ${fallback.criticalDeadlines.length} (critical path ${criticalIds.join(' ← ')})`);
+        if (criticalIds.length === 0 || fallback.criticalDeadlines.length !== criticalIds.length ||
+            fallback.criticalDeadlines.some((deadline, index) => !deadline.includes(`(${criticalIds[index]})`))) {
+            throw new Error('Fallback deadlines must follow the critical path of the estimates');
+        }
+
+        // Partly valid report: valid fields and sections are kept, the rest comes from the fallback
+        const withoutActions = { ...validReport, actions: undefined };
+        const partial = service.reportValidator.parse(JSON.stringify({
+            ...withoutActions,
+            sections: [...validReport.sections, { title: 'סעיף שבור', content: 'תוכן', priority: 'urgent', requirementIds: [] }]
+        }));
+        const { report, fallbackFields } = service.mergeWithFallback(partial, requirementsData, profile);
+        console.log(`- partial report: fallback fields ${fallbackFields.join(', ')}`);
+        if (fallbackFields.join() !== 'actions' || report.title !== validReport.title ||
+            report.sections.length !== 1 || report.sections[0].title !== validReport.sections[0].title ||
+            !Array.isArray(report.actions) || report.actions.length === 0) {
+            throw new Error('Partial reports must keep their valid fields and sections and take the rest from the fallback');
+        }
+
+        console.log('==========================================\n');
+    }
+
+    /**
+     * The verifier scores citation coverage and flags unknown IDs; uncited mandatory requirements are added to the report
+     */
+    testReportVerification() {
+        console.log('=== Testing: Report verification ===');
+        const engine = new MatchingEngine();
+        const requirementsData = engine.findApplicableRequirements({
+            businessType: 'bar_pub',
+            seatingCapacity: 40,
+            floorArea: 90,
+            services: { alcoholService: true }
+        });
+        const mandatoryIds = engine.flattenGroupedRequirements(requirementsData.requirements)
+            .filter(req => req.mandatory)
+            .map(req => req.requirementId);
+
+        const service = new OpenRouterService({
+            displayName: 'Test provider',
+            model: 'test-model',
+            getConfigurationWarning: () => null
+        });
+        const report = {
+            title: 'דוח רישוי לבר',
+            summary: 'יש להגיש בקשה לרישיון עסק ולהסדיר את XXX-999',
+            sections: [
+                { title: 'רישיון עסק', content: 'הגשת בקשה לרשות המקומית', priority: 'high', requirementIds: ['GEN-001'] },
+                { title: 'הערות כלליות', content: 'מומלץ להיעזר ביועץ רישוי', priority: 'low', requirementIds: [] }
+            ],
+            actions: [{ title: 'אישור משטרה', priority: 'high', requirementIds: ['POL-001'] }]
+        };
+
+        const verification = service.reportVerifier.verify(report, requirementsData);
+        console.log(`- coverage ${verification.coverage}, mandatory coverage ${verification.mandatoryCoverage}, ` +
+            `unknown ${verification.unknownRequirementIds.map(ref => ref.requirementId).join(', ')}`);
+        if (verification.passed || verification.citedRequirementIds.join() !== 'GEN-001,POL-001' ||
+            verification.mandatoryCoverage !== Math.round((2 / mandatoryIds.length) * 100) / 100 ||
+            verification.unknownRequirementIds.map(ref => `${ref.requirementId}@${ref.location}`).join() !== 'XXX-999@summary' ||
+            verification.uncitedClaims.map(claim => claim.location).join() !== 'sections[1]') {
+            throw new Error(`Unexpected verification result: ${JSON.stringify(verification)}`);
+        }
+
+        // Every mandatory requirement the report left out is added in a section of its own
+        const supplemented = service.verifyReport(report, requirementsData);
+        const added = supplemented.sections[supplemented.sections.length - 1];
+        const missingIds = mandatoryIds.filter(id => !['GEN-001', 'POL-001'].includes(id));
+        console.log(`- supplemented ${supplemented.metadata.verification.supplementedRequirementIds.join(', ')}`);
+        if (added.requirementIds.join() !== missingIds.join() ||
+            supplemented.metadata.verification.supplementedRequirementIds.join() !== missingIds.join() ||
+            service.reportVerifier.verify(supplemented, requirementsData).mandatoryCoverage !== 1) {
+            throw new Error('Uncited mandatory requirements must be added to the report');
+        }
+
+        console.log('==========================================\n');
+    }
+
+    /**
+     * Equal profiles share a cache key; a new dataset or prompt version, or an expired entry, misses the cache
+     */
+    testReportCache() {
+        console.log('=== Testing: Report cache ===');
+        const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-cache-'));
+        try {
+            const cache = new ReportCache({ cacheDir: tempDir, enabled: true });
+            const parts = {
+                businessProfile: { businessType: 'cafe', seatingCapacity: 12, floorArea: 40, services: { takeaway: true, alcoholService: false } },
+                datasetVersion: '2022-07-18-c3a04904',
+                promptVersion: '10',
+                model: 'openrouter:test-model'
+            };
+            const key = cache.buildKey(parts);
+            const reordered = cache.buildKey({
+                ...parts,
+                businessProfile: { services: { alcoholService: false, takeaway: true }, floorArea: 40, seatingCapacity: 12, businessType: 'cafe' }
+            });
+            if (key !== reordered) {
+                throw new Error('Profiles that differ only in key order must share a cache key');
+            }
+            if (cache.buildKey({ ...parts, datasetVersion: '2022-07-18-f7a9b155' }) === key ||
+                cache.buildKey({ ...parts, promptVersion: '9' }) === key) {
+                throw new Error('The dataset and prompt versions must be part of the cache key');
+            }
+
+            const report = { title: 'דוח רישוי לבית קפה' };
+            cache.set(key, report, parts);
+            if (cache.get(key)?.title !== report.title) {
+                throw new Error('A cached report must be returned for its key');
+            }
+            console.log('- cached report returned for a reordered profile');
+
+            // Entries from another dataset version are removed, current ones are kept
+            const staleKey = cache.buildKey({ ...parts, datasetVersion: '2022-07-18-f7a9b155' });
+            cache.set(staleKey, report, { ...parts, datasetVersion: '2022-07-18-f7a9b155' });
+            const removed = cache.invalidate(parts.datasetVersion);
+            console.log(`- invalidate removed ${removed} stale entry`);
+            if (removed !== 1 || cache.get(staleKey) !== null || cache.get(key) === null) {
+                throw new Error('Invalidation must remove only the entries of other dataset versions');
+            }
+
+            const expiring = new ReportCache({ cacheDir: tempDir, enabled: true, ttlMs: -1000 });
+            expiring.set(key, report, parts);
+            if (expiring.get(key) !== null || fs.existsSync(expiring.getEntryPath(key))) {
+                throw new Error('Expired entries must miss the cache and be removed');
+            }
+            cache.set(key, report, parts);
+            if (new ReportCache({ cacheDir: tempDir, enabled: false }).get(key) !== null) {
+                throw new Error('A disabled cache must always miss');
+            }
+            console.log('- expired entries and a disabled cache miss');
+        } finally {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+
+        console.log('==========================================\n');
+    }
+
+    /**
+     * Stored reports are reopened by ID with the profile and requirements they were generated from
+     */
+    testReportStore() {
+        console.log('=== Testing: Report store ===');
+        const engine = new MatchingEngine();
+        const { value: businessProfile } = businessProfileSchema.validate({ businessType: 'restaurant', seatingCapacity: 30, floorArea: 100 });
+        const rawRequirements = engine.findApplicableRequirements(businessProfile);
+        const report = { title: 'דוח רישוי למסעדה', sections: [] };
+
+        const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'report-store-'));
+        try {
+            const store = new ReportStore(tempDir);
+            const saved = store.save({ report, businessProfile, rawRequirements });
+            const other = store.save({ report, businessProfile, rawRequirements });
+            console.log(`- saved report ${saved.reportId}`);
+            if (saved.reportId === other.reportId || reportIdSchema.validate({ reportId: saved.reportId }).error) {
+                throw new Error('Every stored report must get its own UUID');
+            }
+
+            const loaded = new ReportStore(tempDir).get(saved.reportId);
+            if (loaded.report.title !== report.title || loaded.businessProfile.businessType !== 'restaurant' ||
+                loaded.rawRequirements.summary.totalRequirements !== rawRequirements.summary.totalRequirements ||
+                loaded.createdAt !== saved.createdAt) {
+                throw new Error('A stored report must be reopened with its profile and requirements');
+            }
+            console.log(`- reopened with ${loaded.rawRequirements.summary.totalRequirements} requirements`);
+
+            let notFound = null;
+            try {
+                store.get(crypto.randomUUID());
+            } catch (error) {
+                notFound = error;
+            }
+            if (!notFound || !notFound.message.startsWith('Report not found')) {
+                throw new Error('Unknown report IDs must fail with "Report not found"');
+            }
+        } finally {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+
+        console.log('==========================================\n');
+    }
+
+    /**
+     * Stored reports export to Markdown, DOCX and PDF with their sections and requirement table
+     */
+    async testReportExport() {
+        console.log('=== Testing: Report export ===');
+        const engine = new MatchingEngine();
+        const { value: businessProfile } = businessProfileSchema.validate({ businessType: 'cafe', seatingCapacity: 12, floorArea: 40 });
+        const record = {
+            reportId: crypto.randomUUID(),
+            createdAt: new Date().toISOString(),
+            businessProfile,
+            rawRequirements: engine.findApplicableRequirements(businessProfile),
+            report: {
+                title: 'דוח רישוי לבית קפה',
+                summary: 'בית הקפה נדרש לרישיון עסק ולרישיון לעסק מזון',
+                sections: [{ title: 'רישיון עסק', content: 'הגשת בקשה לרשות המקומית', priority: 'high', requirementIds: ['GEN-001'] }],
+                actions: [{ title: 'הגשת בקשה לרישיון עסק', priority: 'high', requirementIds: ['GEN-001'] }],
+                recommendations: ['להתחיל בהכשרת העובדים בטיפול במזון'],
+                metadata: { generatedAt: new Date().toISOString(), generatedBy: 'Test provider' }
+            }
+        };
+        const exporter = new ReportExporter();
+
+        const markdown = await exporter.export(record, 'md');
+        const text = markdown.content.toString('utf8');
+        console.log(`- md: ${markdown.content.length} bytes, ${markdown.filename}`);
+        if (!text.includes('דוח רישוי לבית קפה') || !text.includes('דרישות: GEN-001') ||
+            !text.includes('רישיון עסק כללי') || markdown.filename !== `licensing-report-${record.reportId}.md`) {
+            throw new Error('The Markdown export must hold the title, the section citations and the requirement table');
+        }
+
+        // Binary formats: a DOCX is a ZIP package, a PDF starts with its header and ends with its trailer
+        const docxFile = await exporter.export(record, 'docx');
+        const pdfFile = await exporter.export(record, 'pdf');
+        console.log(`- docx: ${docxFile.content.length} bytes, pdf: ${pdfFile.content.length} bytes`);
+        if (docxFile.content.subarray(0, 2).toString('latin1') !== 'PK' ||
+            docxFile.contentType !== 'application/vnd.openxmlformats-officedocument.wordprocessingml.document') {
+            throw new Error('The DOCX export must be a Word document');
+        }
+        if (pdfFile.content.subarray(0, 5).toString('latin1') !== '%PDF-' ||
+            !pdfFile.content.toString('latin1').trimEnd().endsWith('%%EOF') || pdfFile.contentType !== 'application/pdf') {
+            throw new Error('The PDF export must be a complete PDF file');
+        }
+
+        let unsupported = null;
+        try {
+            await exporter.export(record, 'html');
+        } catch (error) {
+            unsupported = error;
+        }
+        if (!unsupported) {
+            throw new Error('Unsupported export formats must be rejected');
+        }
+
+        console.log('==========================================\n');
+    }
+
+    /**
+     * A case turns every matched requirement into a checklist item and counts progress per authority
+     */
+    testLicensingCases() {
+        console.log('=== Testing: Licensing cases ===');
+        const engine = new MatchingEngine();
+        const requirementsData = engine.findApplicableRequirements({
+            businessType: 'restaurant',
+            seatingCapacity: 30,
+            floorArea: 100,
+            services: { alcoholService: true },
+            kitchenFeatures: { gasUsage: true }
+        });
+        const requirementIds = engine.flattenGroupedRequirements(requirementsData.requirements)
+            .map(req => req.requirementId);
+
+        const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'licensing-cases-'));
+        try {
+            const store = new LicensingCaseStore(tempDir);
+            const created = store.create({ requirementsData, name: 'מסעדה ברחוב הרצל' });
+            console.log(`- created ${created.items.length} items for ${created.progress.authorities.length} authorities`);
+            if (created.items.map(item => item.requirementId).sort().join() !== [...requirementIds].sort().join() ||
+                created.items.some(item => item.status !== 'not_started') || created.progress.completion !== 0) {
+                throw new Error('A new case must hold every matched requirement, not started');
+            }
+            if (store.list().length !== 1 || store.get(created.caseId).name !== 'מסעדה ברחוב הרצל') {
+                throw new Error('A created case must be stored');
+            }
+
+            // Status changes record their dates unless the client sends one
+            const [first, second] = created.items;
+            store.updateItem(created.caseId, first.requirementId, { status: 'in_progress' });
+            store.updateItem(created.caseId, first.requirementId, { status: 'submitted', submittedAt: '2026-01-15T00:00:00.000Z' });
+            const updated = store.updateItem(created.caseId, first.requirementId, { status: 'approved', notes: 'התקבל אישור' });
+            const item = updated.items.find(entry => entry.requirementId === first.requirementId);
+            console.log(`- ${item.requirementId}: ${item.status}, started ${Boolean(item.startedAt)}, submitted ${item.submittedAt}`);
+            if (!item.startedAt || item.submittedAt !== '2026-01-15T00:00:00.000Z' || !item.decidedAt || item.notes !== 'התקבל אישור') {
+                throw new Error('Status changes must record their dates and keep the submitted ones');
+            }
+            store.updateItem(created.caseId, second.requirementId, { status: 'rejected' });
+
+            // Progress counts approved items, overall and per authority
+            const { progress } = store.get(created.caseId);
+            const authority = progress.authorities.find(entry => entry.authorityKey === first.authorityKey);
+            progress.authorities.forEach(entry => {
+                console.log(`- ${entry.authorityKey}: ${entry.byStatus.approved}/${entry.total} approved, completion ${entry.completion}`);
+            });
+            if (progress.byStatus.approved !== 1 || progress.byStatus.rejected !== 1 ||
+                progress.completion !== Math.round((1 / created.items.length) * 100) / 100) {
+                throw new Error(`Case progress must count approved items, got ${JSON.stringify(progress.byStatus)}`);
+            }
+            if (authority.byStatus.approved !== 1 ||
+                authority.total !== created.items.filter(entry => entry.authorityKey === first.authorityKey).length ||
+                progress.authorities.reduce((total, entry) => total + entry.total, 0) !== created.items.length) {
+                throw new Error('Authority progress must count the items of each authority');
+            }
+
+            let missingItemError = null;
+            try {
+                store.updateItem(created.caseId, 'XXX-999', { status: 'approved' });
+            } catch (error) {
+                missingItemError = error;
+            }
+            if (!missingItemError) {
+                throw new Error('Updating a requirement that is not in the case must fail');
+            }
+        } finally {
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+
+        console.log('==========================================\n');
+    }
+
     async testBusinessProfile(testCase) {
         console.log(`=== Testing: ${testCase.name} ===`);
         console.log('Business Profile:');
@@ -150,7 +1257,9 @@ class RequirementsMatchingTester {
         console.log(`- Kitchen Features: ${kitchenFeatures.join(', ') || 'None'}`);
 
         console.log('\nApplicable Requirements:');
-        const requirements = this.processor.getApplicableRequirements(testCase.profile);
+        const requirements = this.engine.flattenGroupedRequirements(
+            this.engine.findApplicableRequirements(testCase.profile).requirements
+        );
         
         if (requirements.length === 0) {
             console.log('- No specific requirements found');
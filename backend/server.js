@@ -9,9 +9,20 @@ const path = require('path');
 // Import services and middleware
 const MatchingEngine = require('./services/matching-engine');
 const OpenRouterService = require('./services/openrouter-service');
+const DatasetVersionStore = require('./services/dataset-versions');
+const ReportCache = require('./services/report-cache');
+const ReportStore = require('./services/report-store');
+const ReportExporter = require('./services/report-exporter');
+const LicensingCaseStore = require('./services/licensing-case-store');
+const QuestionnaireService = require('./services/questionnaire-service');
 const {
     validateBusinessProfile,
     validateRequirementId,
+    validateReportId,
+    validateScenarioComparison,
+    validateCaseCreate,
+    validateCaseItemUpdate,
+    validateCaseParams,
     handleValidationError,
     sanitizeInput,
     rateLimit
@@ -28,6 +39,7 @@ class BusinessLicensingAPI {
         this.port = process.env.PORT || 3001;
         this.matchingEngine = null;
         this.openRouterService = null;
+        this.datasetVersionStore = null;
         
         this.setupMiddleware();
         this.setupRoutes();
@@ -81,14 +93,71 @@ class BusinessLicensingAPI {
         try {
             this.matchingEngine = new MatchingEngine();
             this.openRouterService = new OpenRouterService();
+            this.datasetVersionStore = new DatasetVersionStore();
+            this.reportCache = new ReportCache();
+            this.reportStore = new ReportStore();
+            this.reportExporter = new ReportExporter();
+            this.caseStore = new LicensingCaseStore();
+            this.questionnaireService = new QuestionnaireService();
+            this.questionnaireService.loadDefinition();
             console.log('Matching engine initialized successfully');
-            console.log('OpenRouter service initialized successfully');
+            console.log(`Report service initialized successfully (provider: ${this.openRouterService.provider.name})`);
+
+            // Reports generated from an older dataset must not be served again
+            const removedEntries = this.reportCache.invalidate(this.matchingEngine.datasetVersion);
+            console.log(`Report cache ${this.reportCache.enabled ? 'enabled' : 'disabled'} (dataset ${this.matchingEngine.datasetVersion}, ${removedEntries} stale entries removed)`);
         } catch (error) {
             console.error('Failed to initialize services:', error);
             process.exit(1);
         }
     }
 
+    /**
+     * Report cache key for a validated business profile
+     * @param {Object} businessProfile - Profile normalized by validateBusinessProfile
+     * @returns {string} Cache key
+     */
+    getReportCacheKey(businessProfile) {
+        const { provider } = this.openRouterService;
+        return this.reportCache.buildKey({
+            businessProfile,
+            datasetVersion: this.matchingEngine.datasetVersion,
+            promptVersion: this.openRouterService.promptVersion,
+            model: `${provider.name}:${provider.model}`
+        });
+    }
+
+    /**
+     * Cache a generated report unless it is a fallback report
+     * @param {string} cacheKey - Cache key
+     * @param {Object} report - Generated report
+     */
+    cacheReport(cacheKey, report) {
+        if (this.openRouterService.isFallbackReport(report)) {
+            return;
+        }
+        this.reportCache.set(cacheKey, report, {
+            datasetVersion: this.matchingEngine.datasetVersion,
+            promptVersion: this.openRouterService.promptVersion
+        });
+    }
+
+    /**
+     * Store a generated report so it can be reopened by ID
+     * @param {Object} report - Generated report
+     * @param {Object} businessProfile - Validated business profile
+     * @param {Object} requirementsData - Requirements data from the matching engine
+     * @returns {string|null} Report ID, or null if the report could not be stored
+     */
+    storeReport(report, businessProfile, requirementsData) {
+        try {
+            return this.reportStore.save({ report, businessProfile, rawRequirements: requirementsData }).reportId;
+        } catch (error) {
+            console.error('Failed to store report:', error.message);
+            return null;
+        }
+    }
+
     /**
      * Setup API routes
      */
@@ -110,10 +179,21 @@ class BusinessLicensingAPI {
                 version: '1.0.0',
                 description: 'API for Israeli business licensing requirements matching',
                 endpoints: {
-                    'POST /api/requirements/match': 'Get applicable requirements for business profile',
-                    'GET /api/requirements/:requirementId': 'Get detailed requirement information',
+                    'POST /api/requirements/match': 'Get applicable requirements for business profile (?explain=true for a match trace)',
+                    'GET /api/requirements/:requirementId': 'Get detailed requirement information (?municipality= for a municipality\'s version)',
+                    'POST /api/requirements/compare': 'Compare requirements across what-if business scenarios',
                     'POST /api/generate-report': 'Generate user-friendly report from requirements',
+                    'POST /api/generate-report/stream': 'Generate report with progress streamed over Server-Sent Events',
+                    'GET /api/reports/:reportId': 'Get a previously generated report',
+                    'GET /api/reports/:reportId/export': 'Export a stored report (format=pdf|docx|md)',
+                    'POST /api/cases': 'Open a licensing case (compliance checklist) for a business profile',
+                    'GET /api/cases': 'List licensing cases with their progress',
+                    'GET /api/cases/:caseId': 'Get a licensing case with progress per authority',
+                    'PATCH /api/cases/:caseId/items/:requirementId': 'Update the status, notes, dates or assignee of a checklist item',
                     'GET /api/business-types': 'Get available business types',
+                    'GET /api/municipalities': 'List municipalities with local requirements, condition overrides or fees',
+                    'GET /api/questionnaire': 'Get the questionnaire wizard: steps, questions, follow-ups and the profile field each answers',
+                    'GET /api/datasets/versions': 'List available licensing dataset versions',
                     'GET /health': 'Health check'
                 },
                 documentation: 'See README.md for detailed API documentation'
@@ -123,50 +203,7 @@ class BusinessLicensingAPI {
         // Get available business types
         this.app.get('/api/business-types', (req, res) => {
             try {
-                const businessTypes = [
-                    { 
-                        id: 'restaurant', 
-                        name: 'מסעדה', 
-                        description: 'מסעדה עם שירות מלא',
-                        typicalSeating: '20-100',
-                        typicalArea: '80-300'
-                    },
-                    { 
-                        id: 'cafe', 
-                        name: 'בית קפה', 
-                        description: 'בית קפה עם מזון קל',
-                        typicalSeating: '10-40',
-                        typicalArea: '30-100'
-                    },
-                    { 
-                        id: 'fast_food', 
-                        name: 'מזון מהיר', 
-                        description: 'מזון מהיר ושירות עצמי',
-                        typicalSeating: '15-50',
-                        typicalArea: '40-150'
-                    },
-                    { 
-                        id: 'delivery_only', 
-                        name: 'משלוחים בלבד', 
-                        description: 'עסק משלוחים ללא ישיבה',
-                        typicalSeating: '0-5',
-                        typicalArea: '20-80'
-                    },
-                    { 
-                        id: 'catering', 
-                        name: 'קייטרינג', 
-                        description: 'שירותי קייטרינג ואירועים',
-                        typicalSeating: '0-20',
-                        typicalArea: '50-200'
-                    },
-                    { 
-                        id: 'bar_pub', 
-                        name: 'בר/פאב', 
-                        description: 'בר או פאב עם אלכוהול',
-                        typicalSeating: '20-80',
-                        typicalArea: '60-200'
-                    }
-                ];
+                const businessTypes = this.getBusinessTypes();
 
                 res.json({
                     success: true,
@@ -183,6 +220,52 @@ class BusinessLicensingAPI {
             }
         });
 
+        // Municipalities whose overlays add local requirements on top of the national ones
+        this.app.get('/api/municipalities', (req, res) => {
+            try {
+                const municipalities = this.matchingEngine.getMunicipalities();
+
+                res.json({
+                    success: true,
+                    data: {
+                        total: municipalities.length,
+                        municipalities
+                    },
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                console.error('Error fetching municipalities:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to fetch municipalities',
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
+        // Questionnaire wizard: steps and questions, each answering a business profile field
+        this.app.get('/api/questionnaire', (req, res) => {
+            try {
+                const questionnaire = this.questionnaireService.getQuestionnaire({
+                    businessTypes: this.getBusinessTypes(),
+                    municipalities: this.matchingEngine.getMunicipalities()
+                });
+
+                res.json({
+                    success: true,
+                    data: questionnaire,
+                    timestamp: new Date().toISOString()
+                });
+            } catch (error) {
+                console.error('Error fetching questionnaire:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to fetch questionnaire',
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
         // Main endpoint: Match requirements to business profile
         this.app.post('/api/requirements/match', validateBusinessProfile, async (req, res) => {
             try {
@@ -192,11 +275,13 @@ class BusinessLicensingAPI {
                     floorArea: req.body.floorArea
                 });
 
-                // Get applicable requirements using matching engine
-                const result = this.matchingEngine.findApplicableRequirements(req.body);
+                // Get applicable requirements using matching engine (?explain=true adds the match trace)
+                const result = this.matchingEngine.findApplicableRequirements(req.body, {
+                    explain: req.query.explain === 'true'
+                });
                 
                 // Add business recommendations
-                const recommendations = this.matchingEngine.getBusinessRecommendations(req.body);
+                const recommendations = this.matchingEngine.getBusinessRecommendations(req.body, result.thresholdAlerts);
                 result.recommendations = recommendations;
 
                 console.log(`Found ${result.summary.totalRequirements} applicable requirements`);
@@ -228,6 +313,41 @@ class BusinessLicensingAPI {
             }
         });
 
+        // Compare what-if scenarios (e.g. current cafe vs. adding alcohol and 20 seats)
+        this.app.post('/api/requirements/compare', validateScenarioComparison, async (req, res) => {
+            try {
+                const { scenarios } = req.body;
+                console.log(`Comparing ${scenarios.length} business scenarios`);
+
+                const comparison = this.matchingEngine.compareScenarios(scenarios);
+
+                res.json({
+                    success: true,
+                    data: comparison,
+                    timestamp: new Date().toISOString()
+                });
+
+            } catch (error) {
+                console.error('Error comparing scenarios:', error);
+
+                if (error.message.includes('Missing required field') ||
+                    error.message.includes('Invalid business type')) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid business profile',
+                        details: error.message,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+
+                res.status(500).json({
+                    success: false,
+                    error: 'Internal server error during scenario comparison',
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
         // Generate user-friendly report from requirements
         this.app.post('/api/generate-report', validateBusinessProfile, async (req, res) => {
             try {
@@ -242,19 +362,32 @@ class BusinessLicensingAPI {
                 const requirementsData = this.matchingEngine.findApplicableRequirements(req.body);
                 
                 // Add business recommendations
-                const recommendations = this.matchingEngine.getBusinessRecommendations(req.body);
+                const recommendations = this.matchingEngine.getBusinessRecommendations(req.body, requirementsData.thresholdAlerts);
                 requirementsData.recommendations = recommendations;
 
                 console.log(`Generating report for ${requirementsData.summary.totalRequirements} requirements`);
 
-                // Generate user-friendly report using OpenRouter
-                const report = await this.openRouterService.generateReport(requirementsData, req.body);
+                // Identical profiles reuse the cached report instead of calling the LLM again
+                const cacheKey = this.getReportCacheKey(req.body);
+                let report = this.reportCache.get(cacheKey);
+
+                if (report) {
+                    report.metadata.cache = 'hit';
+                    console.log('Report served from cache');
+                } else {
+                    // Generate user-friendly report using the configured LLM provider
+                    report = await this.openRouterService.generateReport(requirementsData, req.body);
+                    this.cacheReport(cacheKey, report);
+                    report.metadata.cache = 'miss';
+                    console.log('Report generated successfully');
+                }
 
-                console.log('Report generated successfully');
+                const reportId = this.storeReport(report, req.body, requirementsData);
 
                 res.json({
                     success: true,
                     data: {
+                        reportId,
                         report: report,
                         rawRequirements: requirementsData // Include raw data for reference
                     },
@@ -283,13 +416,291 @@ class BusinessLicensingAPI {
             }
         });
 
+        // Generate report with progress streamed over Server-Sent Events
+        // Events: placeholder (deterministic fallback report), token, section, complete, error
+        this.app.post('/api/generate-report/stream', validateBusinessProfile, async (req, res) => {
+            let requirementsData;
+            try {
+                requirementsData = this.matchingEngine.findApplicableRequirements(req.body);
+                requirementsData.recommendations = this.matchingEngine.getBusinessRecommendations(
+                    req.body,
+                    requirementsData.thresholdAlerts
+                );
+            } catch (error) {
+                console.error('Error matching requirements for streamed report:', error);
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid business profile',
+                    details: error.message,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            res.set({
+                'Content-Type': 'text/event-stream; charset=utf-8',
+                'Cache-Control': 'no-cache',
+                'Connection': 'keep-alive',
+                'X-Accel-Buffering': 'no'
+            });
+            res.flushHeaders();
+
+            const sendEvent = (event, data) => {
+                res.write(`event: ${event}\ndata: ${JSON.stringify(data)}\n\n`);
+                // compression() buffers responses unless flushed explicitly
+                if (res.flush) {
+                    res.flush();
+                }
+            };
+
+            const abortController = new AbortController();
+            res.on('close', () => abortController.abort());
+
+            try {
+                const cacheKey = this.getReportCacheKey(req.body);
+                let report = this.reportCache.get(cacheKey);
+
+                if (report) {
+                    report.metadata.cache = 'hit';
+                } else {
+                    sendEvent('placeholder', {
+                        report: this.openRouterService.applyEngineResults(
+                            this.openRouterService.generateFallbackReport(requirementsData, req.body),
+                            requirementsData
+                        )
+                    });
+
+                    report = await this.openRouterService.generateReportStream(requirementsData, req.body, {
+                        signal: abortController.signal,
+                        onToken: (text) => sendEvent('token', { text }),
+                        onSection: (index, section) => sendEvent('section', { index, section })
+                    });
+                    this.cacheReport(cacheKey, report);
+                    report.metadata.cache = 'miss';
+                }
+
+                sendEvent('complete', {
+                    reportId: this.storeReport(report, req.body, requirementsData),
+                    report,
+                    rawRequirements: requirementsData
+                });
+            } catch (error) {
+                if (!abortController.signal.aborted) {
+                    console.error('Error streaming report:', error);
+                    sendEvent('error', {
+                        error: 'Report generation failed',
+                        details: process.env.NODE_ENV === 'development' ? error.message : undefined
+                    });
+                }
+            } finally {
+                res.end();
+            }
+        });
+
+        // Get a stored report
+        this.app.get('/api/reports/:reportId', validateReportId, (req, res) => {
+            try {
+                const record = this.reportStore.get(req.params.reportId);
+
+                res.json({
+                    success: true,
+                    data: record,
+                    timestamp: new Date().toISOString()
+                });
+
+            } catch (error) {
+                if (error.message.includes('Report not found')) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Report not found',
+                        details: error.message,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+
+                console.error('Error fetching report:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Internal server error while fetching report',
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
+        // Export a stored report as a PDF, Word or Markdown document
+        this.app.get('/api/reports/:reportId/export', validateReportId, async (req, res) => {
+            const format = String(req.query.format || 'pdf').toLowerCase();
+            const supportedFormats = this.reportExporter.getSupportedFormats();
+
+            if (!supportedFormats.includes(format)) {
+                return res.status(400).json({
+                    success: false,
+                    error: 'Invalid export format',
+                    details: `Format must be one of: ${supportedFormats.join(', ')}`,
+                    timestamp: new Date().toISOString()
+                });
+            }
+
+            try {
+                const record = this.reportStore.get(req.params.reportId);
+                const exported = await this.reportExporter.export(record, format);
+
+                res.set({
+                    'Content-Type': exported.contentType,
+                    'Content-Disposition': `attachment; filename="${exported.filename}"`
+                });
+                res.send(exported.content);
+
+            } catch (error) {
+                if (error.message.includes('Report not found')) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Report not found',
+                        details: error.message,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+
+                console.error('Error exporting report:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Internal server error while exporting report',
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
+        // Open a licensing case: every applicable requirement becomes a checklist item
+        this.app.post('/api/cases', validateCaseCreate, (req, res) => {
+            try {
+                const { businessProfile, name, reportId } = req.body;
+                const requirementsData = this.matchingEngine.findApplicableRequirements(businessProfile);
+                const licensingCase = this.caseStore.create({
+                    requirementsData,
+                    name,
+                    reportId,
+                    datasetVersion: this.matchingEngine.datasetVersion
+                });
+
+                console.log(`Opened licensing case ${licensingCase.caseId} with ${licensingCase.items.length} items`);
+
+                res.status(201).json({
+                    success: true,
+                    data: licensingCase,
+                    timestamp: new Date().toISOString()
+                });
+
+            } catch (error) {
+                if (error.message.includes('Missing required field') ||
+                    error.message.includes('Invalid business type')) {
+                    return res.status(400).json({
+                        success: false,
+                        error: 'Invalid business profile',
+                        details: error.message,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+
+                console.error('Error creating licensing case:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Internal server error while creating licensing case',
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
+        // List licensing cases
+        this.app.get('/api/cases', (req, res) => {
+            try {
+                const cases = this.caseStore.list();
+
+                res.json({
+                    success: true,
+                    data: {
+                        total: cases.length,
+                        cases
+                    },
+                    timestamp: new Date().toISOString()
+                });
+
+            } catch (error) {
+                console.error('Error listing licensing cases:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to list licensing cases',
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
+        // Get a licensing case with its progress
+        this.app.get('/api/cases/:caseId', validateCaseParams, (req, res) => {
+            try {
+                const licensingCase = this.caseStore.get(req.params.caseId);
+
+                res.json({
+                    success: true,
+                    data: licensingCase,
+                    timestamp: new Date().toISOString()
+                });
+
+            } catch (error) {
+                if (error.message.includes('Case not found')) {
+                    return res.status(404).json({
+                        success: false,
+                        error: 'Case not found',
+                        details: error.message,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+
+                console.error('Error fetching licensing case:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Internal server error while fetching licensing case',
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
+        // Update one checklist item of a case
+        this.app.patch('/api/cases/:caseId/items/:requirementId', validateCaseParams, validateCaseItemUpdate, (req, res) => {
+            try {
+                const licensingCase = this.caseStore.updateItem(req.params.caseId, req.params.requirementId, req.body);
+
+                res.json({
+                    success: true,
+                    data: licensingCase,
+                    timestamp: new Date().toISOString()
+                });
+
+            } catch (error) {
+                if (error.message.includes('Case not found') ||
+                    error.message.includes('Requirement not in case')) {
+                    return res.status(404).json({
+                        success: false,
+                        error: error.message.includes('Case not found') ? 'Case not found' : 'Requirement not in case',
+                        details: error.message,
+                        timestamp: new Date().toISOString()
+                    });
+                }
+
+                console.error('Error updating licensing case:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Internal server error while updating licensing case',
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
         // Get detailed requirement information
         this.app.get('/api/requirements/:requirementId', validateRequirementId, async (req, res) => {
             try {
                 const requirementId = req.params.requirementId;
                 console.log(`Fetching requirement details for: ${requirementId}`);
 
-                const requirementDetails = this.matchingEngine.getRequirementDetails(requirementId);
+                const requirementDetails = this.matchingEngine.getRequirementDetails(requirementId, req.query.municipality);
 
                 res.json({
                     success: true,
@@ -347,6 +758,31 @@ class BusinessLicensingAPI {
             }
         });
 
+        // List archived versions of the licensing dataset
+        this.app.get('/api/datasets/versions', (req, res) => {
+            try {
+                const versions = this.datasetVersionStore.listVersions();
+
+                res.json({
+                    success: true,
+                    data: {
+                        total: versions.length,
+                        current: versions.find(version => version.current).versionId,
+                        versions
+                    },
+                    timestamp: new Date().toISOString()
+                });
+
+            } catch (error) {
+                console.error('Error listing dataset versions:', error);
+                res.status(500).json({
+                    success: false,
+                    error: 'Failed to list dataset versions',
+                    timestamp: new Date().toISOString()
+                });
+            }
+        });
+
         // 404 handler for unknown routes
         this.app.use((req, res) => {
             res.status(404).json({
@@ -356,16 +792,92 @@ class BusinessLicensingAPI {
                     'GET /health',
                     'GET /api/info',
                     'GET /api/business-types',
+                    'GET /api/municipalities',
+                    'GET /api/questionnaire',
                     'POST /api/requirements/match',
+                    'POST /api/requirements/compare',
                     'POST /api/generate-report',
+                    'POST /api/generate-report/stream',
+                    'GET /api/reports/:reportId',
+                    'GET /api/reports/:reportId/export',
+                    'POST /api/cases',
+                    'GET /api/cases',
+                    'GET /api/cases/:caseId',
+                    'PATCH /api/cases/:caseId/items/:requirementId',
                     'GET /api/requirements/:requirementId',
-                    'GET /api/requirements'
+                    'GET /api/requirements',
+                    'GET /api/datasets/versions'
                 ],
                 timestamp: new Date().toISOString()
             });
         });
     }
 
+    /**
+     * Business types with their typical seating and floor area ranges ("min-max")
+     * @returns {Array<Object>} Business types
+     */
+    getBusinessTypes() {
+        return [
+            { 
+                id: 'restaurant', 
+                name: 'מסעדה', 
+                description: 'מסעדה עם שירות מלא',
+                typicalSeating: '20-100',
+                typicalArea: '80-300'
+            },
+            { 
+                id: 'cafe', 
+                name: 'בית קפה', 
+                description: 'בית קפה עם מזון קל',
+                typicalSeating: '10-40',
+                typicalArea: '30-100'
+            },
+            { 
+                id: 'fast_food', 
+                name: 'מזון מהיר', 
+                description: 'מזון מהיר ושירות עצמי',
+                typicalSeating: '15-50',
+                typicalArea: '40-150'
+            },
+            { 
+                id: 'delivery_only', 
+                name: 'משלוחים בלבד', 
+                description: 'עסק משלוחים ללא ישיבה',
+                typicalSeating: '0-5',
+                typicalArea: '20-80'
+            },
+            { 
+                id: 'catering', 
+                name: 'קייטרינג', 
+                description: 'שירותי קייטרינג ואירועים',
+                typicalSeating: '0-20',
+                typicalArea: '50-200'
+            },
+            { 
+                id: 'bar_pub', 
+                name: 'בר/פאב', 
+                description: 'בר או פאב עם אלכוהול',
+                typicalSeating: '20-80',
+                typicalArea: '60-200'
+            },
+            { 
+                id: 'food_truck', 
+                name: 'מזון נייד', 
+                description: 'רכב מזון או עגלת מזון ניידת',
+                typicalSeating: '0-10',
+                typicalArea: '8-30'
+            },
+            { 
+                id: 'hotel_restaurant', 
+                name: 'מסעדת מלון', 
+                description: 'מסעדה או חדר אוכל בבית מלון',
+                typicalSeating: '40-300',
+                typicalArea: '150-800'
+            }
+        ];
+    }
+
     /**
      * Setup error handling middleware
      */
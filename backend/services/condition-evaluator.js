@@ -0,0 +1,305 @@
+/**
+ * Condition Evaluator
+ * Shared boolean condition language for matching rules and requirement conditions
+ *
+ * A condition is one of:
+ *   { "all": [condition, ...] }                               every condition holds
+ *   { "any": [condition, ...] }                               at least one condition holds
+ *   { "not": condition }                                      the condition does not hold
+ *   { "field": "seatingCapacity", "op": "gt", "value": 50 }   comparison against a profile field
+ *   { "has": "alcoholService" }                               boolean feature is enabled
+ *
+ * The original shorthand keys are still accepted and are combined with AND:
+ *   rules:        businessType, seatingCapacity {min, max}, floorArea {min, max}, hasService
+ *   requirements: minSeatingCapacity, maxSeatingCapacity, minFloorArea, maxFloorArea,
+ *                 requiredServices, applicableBusinessTypes
+ */
+
+// Profile sections holding boolean features (services, kitchen features, operating hours)
+const FEATURE_SECTIONS = ['services', 'kitchenFeatures', 'operationalHours'];
+
+const OPERATORS = {
+    eq: (actual, expected) => actual === expected,
+    neq: (actual, expected) => actual !== expected,
+    gt: (actual, expected) => typeof actual === 'number' && actual > expected,
+    gte: (actual, expected) => typeof actual === 'number' && actual >= expected,
+    lt: (actual, expected) => typeof actual === 'number' && actual < expected,
+    lte: (actual, expected) => typeof actual === 'number' && actual <= expected,
+    in: (actual, expected) => Array.isArray(expected) && expected.includes(actual),
+    notIn: (actual, expected) => Array.isArray(expected) && !expected.includes(actual)
+};
+
+const OPERATOR_SYMBOLS = {
+    eq: '=',
+    neq: '!=',
+    gt: '>',
+    gte: '>=',
+    lt: '<',
+    lte: '<=',
+    in: 'in',
+    notIn: 'not in'
+};
+
+// Operator that holds when the original one fails, used to describe failed comparisons
+const NEGATED_OPERATORS = {
+    eq: 'neq',
+    neq: 'eq',
+    gt: 'lte',
+    gte: 'lt',
+    lt: 'gte',
+    lte: 'gt',
+    in: 'notIn',
+    notIn: 'in'
+};
+
+class ConditionEvaluator {
+    /**
+     * Evaluate a condition against a business profile
+     * @param {Object} condition - Condition in the DSL or shorthand form
+     * @param {Object} profile - Business profile
+     * @returns {boolean} True if the profile satisfies the condition
+     */
+    evaluate(condition, profile) {
+        return this.evaluateNode(this.normalize(condition), profile);
+    }
+
+    /**
+     * Convert a condition to its canonical form (all/any/not/field/has nodes only)
+     * Shorthand keys become comparisons combined with "all" and remember their key in `source`;
+     * an empty condition always holds
+     * @param {Object} condition - Condition in the DSL or shorthand form
+     * @returns {Object} Canonical condition
+     */
+    normalize(condition) {
+        if (!condition || Object.keys(condition).length === 0) {
+            return { all: [] };
+        }
+
+        const nodes = [];
+
+        Object.entries(condition).forEach(([key, value]) => {
+            switch (key) {
+                case 'all':
+                case 'any':
+                    nodes.push({ [key]: value.map(child => this.normalize(child)) });
+                    break;
+                case 'not':
+                    nodes.push({ not: this.normalize(value) });
+                    break;
+                case 'field':
+                    nodes.push({ field: value, op: condition.op, value: condition.value });
+                    break;
+                case 'op':
+                case 'value':
+                    break; // Part of the "field" comparison
+                case 'has':
+                    nodes.push({ has: value });
+                    break;
+                case 'businessType':
+                    nodes.push(Array.isArray(value)
+                        ? { field: 'businessType', op: 'in', value, source: key }
+                        : { field: 'businessType', op: 'eq', value, source: key });
+                    break;
+                case 'applicableBusinessTypes':
+                    nodes.push({ field: 'businessType', op: 'in', value, source: key });
+                    break;
+                case 'seatingCapacity':
+                case 'floorArea':
+                    nodes.push(...this.normalizeRange(key, value.min, value.max));
+                    break;
+                case 'minSeatingCapacity':
+                    nodes.push({ field: 'seatingCapacity', op: 'gte', value, source: key });
+                    break;
+                case 'maxSeatingCapacity':
+                    nodes.push({ field: 'seatingCapacity', op: 'lte', value, source: key });
+                    break;
+                case 'minFloorArea':
+                    nodes.push({ field: 'floorArea', op: 'gte', value, source: key });
+                    break;
+                case 'maxFloorArea':
+                    nodes.push({ field: 'floorArea', op: 'lte', value, source: key });
+                    break;
+                case 'hasService':
+                case 'requiredServices':
+                    value.forEach(feature => nodes.push({ has: feature, source: key }));
+                    break;
+                default:
+                    throw new Error(`Unknown condition key: ${key}`);
+            }
+        });
+
+        return nodes.length === 1 ? nodes[0] : { all: nodes };
+    }
+
+    /**
+     * Build comparisons for a { min, max } range
+     * @param {string} field - Numeric profile field
+     * @param {number} [min] - Inclusive minimum
+     * @param {number} [max] - Inclusive maximum
+     * @returns {Array<Object>} Comparison nodes
+     */
+    normalizeRange(field, min, max) {
+        const nodes = [];
+        if (min !== undefined) {
+            nodes.push({ field, op: 'gte', value: min, source: `${field}.min` });
+        }
+        if (max !== undefined) {
+            nodes.push({ field, op: 'lte', value: max, source: `${field}.max` });
+        }
+        return nodes;
+    }
+
+    /**
+     * Evaluate a canonical condition node
+     * @param {Object} node - Canonical condition
+     * @param {Object} profile - Business profile
+     * @returns {boolean} Result
+     */
+    evaluateNode(node, profile) {
+        if (node.all) {
+            return node.all.every(child => this.evaluateNode(child, profile));
+        }
+        if (node.any) {
+            return node.any.some(child => this.evaluateNode(child, profile));
+        }
+        if (node.not) {
+            return !this.evaluateNode(node.not, profile);
+        }
+        if (node.has) {
+            return this.hasFeature(profile, node.has);
+        }
+        return this.compare(node, this.getFieldValue(profile, node.field));
+    }
+
+    /**
+     * Evaluate a condition and record how every clause was decided
+     * @param {Object} condition - Condition in the DSL or shorthand form
+     * @param {Object} profile - Business profile
+     * @returns {Object} Trace tree: { type, passed, clauses | clause | field, op, expected, actual, description }
+     */
+    explain(condition, profile) {
+        return this.explainNode(this.normalize(condition), profile);
+    }
+
+    /**
+     * Build the trace of a canonical condition node
+     * @param {Object} node - Canonical condition
+     * @param {Object} profile - Business profile
+     * @returns {Object} Trace node
+     */
+    explainNode(node, profile) {
+        if (node.all || node.any) {
+            const type = node.all ? 'all' : 'any';
+            const clauses = node[type].map(child => this.explainNode(child, profile));
+            return {
+                type,
+                passed: type === 'all' ? clauses.every(c => c.passed) : clauses.some(c => c.passed),
+                clauses
+            };
+        }
+
+        if (node.not) {
+            const clause = this.explainNode(node.not, profile);
+            return { type: 'not', passed: !clause.passed, clause };
+        }
+
+        if (node.has) {
+            const passed = this.hasFeature(profile, node.has);
+            return {
+                type: 'has',
+                feature: node.has,
+                actual: passed,
+                passed,
+                description: `${node.has} is ${passed ? '' : 'not '}enabled`
+            };
+        }
+
+        const actual = this.getFieldValue(profile, node.field);
+        const passed = this.compare(node, actual);
+        return {
+            type: 'compare',
+            field: node.field,
+            op: node.op,
+            expected: node.value,
+            actual: actual === undefined ? null : actual,
+            passed,
+            description: this.describeComparison(node, actual, passed)
+        };
+    }
+
+    /**
+     * Describe a comparison outcome, e.g. "seatingCapacity 18 < minSeatingCapacity 20"
+     * @param {Object} node - Comparison node
+     * @param {*} actual - Profile value
+     * @param {boolean} passed - Comparison result
+     * @returns {string} Description
+     */
+    describeComparison(node, actual, passed) {
+        const op = passed ? node.op : NEGATED_OPERATORS[node.op];
+        const expected = Array.isArray(node.value) ? `[${node.value.join(', ')}]` : node.value;
+        const label = node.source && node.source !== node.field ? `${node.source} ` : '';
+        return `${node.field} ${actual === undefined ? 'not set' : actual} ${OPERATOR_SYMBOLS[op]} ${label}${expected}`;
+    }
+
+    /**
+     * Collect the numeric values a condition compares a field against
+     * @param {Object} condition - Condition in the DSL or shorthand form
+     * @param {string} field - Numeric profile field, e.g. "seatingCapacity"
+     * @returns {Array<number>} Threshold values (may contain duplicates)
+     */
+    collectThresholds(condition, field) {
+        const thresholds = [];
+        const visit = (node) => {
+            if (node.all || node.any) {
+                (node.all || node.any).forEach(visit);
+            } else if (node.not) {
+                visit(node.not);
+            } else if (node.field === field && typeof node.value === 'number') {
+                thresholds.push(node.value);
+            }
+        };
+        visit(this.normalize(condition));
+        return thresholds;
+    }
+
+    /**
+     * Apply a comparison operator
+     * @param {Object} node - Comparison node { field, op, value }
+     * @param {*} actual - Profile value
+     * @returns {boolean} Result
+     */
+    compare(node, actual) {
+        const operator = OPERATORS[node.op];
+        if (!operator) {
+            throw new Error(`Unknown condition operator: ${node.op}`);
+        }
+        return operator(actual, node.value);
+    }
+
+    /**
+     * Read a profile field used in a comparison
+     * Boolean features ("alcoholService") are looked up in the services, kitchen and hours sections
+     * @param {Object} profile - Business profile
+     * @param {string} field - Field name
+     * @returns {*} Field value
+     */
+    getFieldValue(profile, field) {
+        if (profile[field] !== undefined) {
+            return profile[field];
+        }
+        const section = FEATURE_SECTIONS.find(name => profile[name] && profile[name][field] !== undefined);
+        return section ? profile[section][field] : undefined;
+    }
+
+    /**
+     * Check whether a boolean feature is enabled in any feature section
+     * @param {Object} profile - Business profile
+     * @param {string} feature - Feature name
+     * @returns {boolean} True if enabled
+     */
+    hasFeature(profile, feature) {
+        return FEATURE_SECTIONS.some(section => Boolean(profile[section] && profile[section][feature]));
+    }
+}
+
+module.exports = ConditionEvaluator;
@@ -0,0 +1,216 @@
+/**
+ * Licensing Dataset Diff
+ * Compares two versions of licensing-requirements.json requirement by requirement and rule by rule
+ */
+
+// Requirement fields compared between versions (sources change with every page shift, so only clauses count)
+const REQUIREMENT_FIELDS = ['title', 'description', 'category', 'mandatory', 'applicableBusinessTypes', 'conditions'];
+
+class DatasetDiff {
+    /**
+     * Build a structured diff between two dataset versions
+     * @param {Object} oldData - Earlier dataset
+     * @param {Object} newData - Later dataset
+     * @returns {Object} Diff with requirement and rule changes
+     */
+    diff(oldData, newData) {
+        const requirements = this.diffRequirements(this.indexRequirements(oldData), this.indexRequirements(newData));
+        const rules = this.diffRules(this.indexRules(oldData), this.indexRules(newData));
+
+        return {
+            from: this.describeVersion(oldData),
+            to: this.describeVersion(newData),
+            summary: {
+                requirementsAdded: requirements.added.length,
+                requirementsRemoved: requirements.removed.length,
+                requirementsChanged: requirements.changed.length,
+                rulesAdded: rules.added.length,
+                rulesRemoved: rules.removed.length,
+                rulesChanged: rules.changed.length,
+                hasChanges: [requirements, rules].some(group =>
+                    group.added.length + group.removed.length + group.changed.length > 0)
+            },
+            requirements,
+            rules
+        };
+    }
+
+    /**
+     * Compare requirements by ID
+     * @param {Map} oldIndex - Requirement ID -> requirement
+     * @param {Map} newIndex - Requirement ID -> requirement
+     * @returns {Object} { added, removed, changed }
+     */
+    diffRequirements(oldIndex, newIndex) {
+        const added = [];
+        const removed = [];
+        const changed = [];
+
+        newIndex.forEach((requirement, requirementId) => {
+            if (!oldIndex.has(requirementId)) {
+                added.push(this.describeRequirement(requirement));
+            }
+        });
+
+        oldIndex.forEach((oldRequirement, requirementId) => {
+            const newRequirement = newIndex.get(requirementId);
+            if (!newRequirement) {
+                removed.push(this.describeRequirement(oldRequirement));
+                return;
+            }
+
+            const changes = REQUIREMENT_FIELDS
+                .filter(field => !this.isEqual(oldRequirement[field], newRequirement[field]))
+                .map(field => ({ field, before: oldRequirement[field], after: newRequirement[field] }));
+
+            const oldClauses = this.getClauses(oldRequirement);
+            const newClauses = this.getClauses(newRequirement);
+            if (!this.isEqual(oldClauses, newClauses)) {
+                changes.push({ field: 'sourceClauses', before: oldClauses, after: newClauses });
+            }
+
+            if (changes.length > 0) {
+                changed.push({ ...this.describeRequirement(newRequirement), changes });
+            }
+        });
+
+        return { added, removed, changed };
+    }
+
+    /**
+     * Compare matching rules by ID
+     * @param {Map} oldIndex - Rule ID -> rule
+     * @param {Map} newIndex - Rule ID -> rule
+     * @returns {Object} { added, removed, changed }
+     */
+    diffRules(oldIndex, newIndex) {
+        const added = [];
+        const removed = [];
+        const changed = [];
+
+        newIndex.forEach((rule, ruleId) => {
+            if (!oldIndex.has(ruleId)) {
+                added.push(rule);
+            }
+        });
+
+        oldIndex.forEach((oldRule, ruleId) => {
+            const newRule = newIndex.get(ruleId);
+            if (!newRule) {
+                removed.push(oldRule);
+                return;
+            }
+
+            const conditionChanged = !this.isEqual(oldRule.condition, newRule.condition);
+            const addedRequirements = newRule.applicableRequirements
+                .filter(id => !oldRule.applicableRequirements.includes(id));
+            const removedRequirements = oldRule.applicableRequirements
+                .filter(id => !newRule.applicableRequirements.includes(id));
+
+            if (conditionChanged || addedRequirements.length > 0 || removedRequirements.length > 0) {
+                changed.push({
+                    ruleId,
+                    condition: conditionChanged
+                        ? { before: oldRule.condition, after: newRule.condition }
+                        : null,
+                    addedRequirements,
+                    removedRequirements
+                });
+            }
+        });
+
+        return { added, removed, changed };
+    }
+
+    /**
+     * Index all requirements of a dataset by ID
+     * @param {Object} data - Licensing dataset
+     * @returns {Map} Requirement ID -> requirement
+     */
+    indexRequirements(data) {
+        // Every collection, so versions with other authorities than the current registry still compare
+        const index = new Map();
+        Object.values(data.regulatoryRequirements || {}).forEach(requirements => {
+            requirements.forEach(requirement => {
+                index.set(requirement.requirementId, requirement);
+            });
+        });
+        return index;
+    }
+
+    /**
+     * Index matching rules by ID
+     * @param {Object} data - Licensing dataset
+     * @returns {Map} Rule ID -> rule
+     */
+    indexRules(data) {
+        const rules = (data.businessLicensingMapping || {}).rules || [];
+        return new Map(rules.map(rule => [rule.ruleId, rule]));
+    }
+
+    /**
+     * Short description of a requirement for diff listings
+     * @param {Object} requirement - Requirement
+     * @returns {Object} ID, title and category
+     */
+    describeRequirement(requirement) {
+        return {
+            requirementId: requirement.requirementId,
+            title: requirement.title,
+            category: requirement.category
+        };
+    }
+
+    /**
+     * Short description of a dataset version
+     * @param {Object} data - Licensing dataset
+     * @returns {Object} Source document and dates
+     */
+    describeVersion(data) {
+        const metadata = data.metadata || {};
+        return {
+            version: metadata.version || null,
+            sourceDocument: metadata.sourceDocument || null,
+            processedDate: metadata.processedDate || null
+        };
+    }
+
+    /**
+     * Get the clause numbers a requirement cites
+     * @param {Object} requirement - Requirement
+     * @returns {Array<string>} Sorted clause references
+     */
+    getClauses(requirement) {
+        return (requirement.sources || []).map(source => source.clause).sort();
+    }
+
+    /**
+     * Structural equality for JSON values (key order independent)
+     * @param {*} a - First value
+     * @param {*} b - Second value
+     * @returns {boolean} True if equal
+     */
+    isEqual(a, b) {
+        return JSON.stringify(this.normalize(a)) === JSON.stringify(this.normalize(b));
+    }
+
+    /**
+     * Sort object keys recursively so equal objects serialize identically
+     * @param {*} value - JSON value
+     * @returns {*} Normalized value
+     */
+    normalize(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.normalize(item));
+        }
+        if (value && typeof value === 'object') {
+            return Object.keys(value).sort().reduce((result, key) => {
+                result[key] = this.normalize(value[key]);
+                return result;
+            }, {});
+        }
+        return value === undefined ? null : value;
+    }
+}
+
+module.exports = DatasetDiff;
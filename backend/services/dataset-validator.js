@@ -0,0 +1,395 @@
+const path = require('path');
+const SchemaValidator = require('./schema-validator');
+
+/**
+ * Licensing Dataset Validator
+ * Validates licensing-requirements.json against schema/business-licensing-schema.json
+ * and checks that every requirement collection belongs to an authority in the registry, that rules,
+ * prerequisites and municipal overlays only reference requirements and authorities that exist,
+ * that every requirement is listed by a rule, that prerequisites contain no cycles and that
+ * estimate ranges are not inverted
+ */
+
+class DatasetValidator {
+    /**
+     * @param {string} [schemaPath] - JSON schema file
+     */
+    constructor(schemaPath) {
+        this.schemaValidator = new SchemaValidator(
+            schemaPath || path.join(__dirname, '../schema/business-licensing-schema.json')
+        );
+    }
+
+    /**
+     * Validate a dataset
+     * @param {Object} data - Parsed licensing dataset
+     * @returns {Object} { valid, errors: [{ path, message }] }
+     */
+    validate(data) {
+        const { errors } = this.schemaValidator.validate(data);
+
+        // References can only be checked once the structure itself is valid
+        if (errors.length === 0) {
+            errors.push(...this.checkReferences(data));
+        }
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Validate a dataset and throw if it is invalid
+     * @param {Object} data - Parsed licensing dataset
+     * @param {string} [label] - Dataset name for the error message
+     */
+    assertValid(data, label = 'licensing dataset') {
+        const { valid, errors } = this.validate(data);
+        if (!valid) {
+            const error = new Error(
+                `Invalid ${label}:\n` + errors.map(e => `  - ${e.path}: ${e.message}`).join('\n')
+            );
+            error.validationErrors = errors;
+            throw error;
+        }
+    }
+
+    /**
+     * Check the authority registry, requirement ID uniqueness, rule references, requirements no rule
+     * lists, prerequisites, estimate ranges and municipal overlays
+     * @param {Object} data - Schema-valid dataset
+     * @returns {Array<Object>} Errors as { path, message }
+     */
+    checkReferences(data) {
+        const errors = this.checkAuthorities(data);
+        const collections = data.authorities.map(authority => authority.collection);
+        const requirementIds = new Set();
+        const requirementPaths = new Map();
+
+        collections.forEach(collection => {
+            (data.regulatoryRequirements[collection] || []).forEach((requirement, index) => {
+                const requirementPath = `regulatoryRequirements.${collection}[${index}]`;
+                if (requirementIds.has(requirement.requirementId)) {
+                    errors.push({
+                        path: `${requirementPath}.requirementId`,
+                        message: `duplicate requirement ID "${requirement.requirementId}"`
+                    });
+                }
+                requirementIds.add(requirement.requirementId);
+                requirementPaths.set(requirement.requirementId, requirementPath);
+            });
+        });
+
+        const prerequisites = new Map();
+        collections.forEach(collection => {
+            (data.regulatoryRequirements[collection] || []).forEach(requirement => {
+                const known = (requirement.prerequisites || []).filter((requirementId, index) => {
+                    if (requirementIds.has(requirementId)) {
+                        return true;
+                    }
+                    errors.push({
+                        path: `${requirementPaths.get(requirement.requirementId)}.prerequisites[${index}]`,
+                        message: `unknown prerequisite "${requirementId}" of ${requirement.requirementId}`
+                    });
+                    return false;
+                });
+                prerequisites.set(requirement.requirementId, known);
+
+                if (requirement.estimates) {
+                    errors.push(...this.checkEstimateRanges(
+                        requirement.estimates,
+                        `${requirementPaths.get(requirement.requirementId)}.estimates`
+                    ));
+                }
+            });
+        });
+
+        const ruleIds = new Set();
+        (data.businessLicensingMapping.rules || []).forEach((rule, ruleIndex) => {
+            const rulePath = `businessLicensingMapping.rules[${ruleIndex}]`;
+
+            if (ruleIds.has(rule.ruleId)) {
+                errors.push({ path: `${rulePath}.ruleId`, message: `duplicate rule ID "${rule.ruleId}"` });
+            }
+            ruleIds.add(rule.ruleId);
+
+            rule.applicableRequirements.forEach((requirementId, index) => {
+                if (!requirementIds.has(requirementId)) {
+                    errors.push({
+                        path: `${rulePath}.applicableRequirements[${index}]`,
+                        message: `unknown requirement ID "${requirementId}" in ${rule.ruleId}`
+                    });
+                }
+            });
+        });
+
+        errors.push(...this.checkMunicipalOverlays(
+            data.municipalOverlays || [], requirementIds, ruleIds, prerequisites, requirementPaths,
+            new Set(data.authorities.map(authority => authority.authorityId))
+        ));
+
+        // Requirements are only matched through the rules that list them
+        const referencedIds = new Set([
+            ...(data.businessLicensingMapping.rules || []),
+            ...(data.municipalOverlays || []).flatMap(overlay => overlay.rules || [])
+        ].flatMap(rule => rule.applicableRequirements));
+        requirementPaths.forEach((requirementPath, requirementId) => {
+            if (!referencedIds.has(requirementId)) {
+                errors.push({
+                    path: `${requirementPath}.requirementId`,
+                    message: `requirement ${requirementId} is not listed by any rule and can never match`
+                });
+            }
+        });
+
+        // Local prerequisites are part of the graph too
+        this.findPrerequisiteCycles(prerequisites).forEach(cycle => {
+            errors.push({
+                path: `${requirementPaths.get(cycle[0])}.prerequisites`,
+                message: `prerequisite cycle ${cycle.join(' -> ')}`
+            });
+        });
+
+        return errors;
+    }
+
+    /**
+     * Check the authority registry: IDs, collections and ID prefixes are unique, chapter patterns
+     * are valid regular expressions and every requirement collection belongs to an authority
+     * (requirements in any other collection would never be matched)
+     * @param {Object} data - Schema-valid dataset
+     * @returns {Array<Object>} Errors as { path, message }
+     */
+    checkAuthorities(data) {
+        const errors = [];
+        const seen = { authorityId: new Set(), collection: new Set(), idPrefix: new Set() };
+
+        data.authorities.forEach((authority, index) => {
+            const authorityPath = `authorities[${index}]`;
+            Object.entries(seen).forEach(([field, values]) => {
+                if (values.has(authority[field])) {
+                    errors.push({ path: `${authorityPath}.${field}`, message: `duplicate ${field} "${authority[field]}"` });
+                }
+                values.add(authority[field]);
+            });
+
+            if (authority.chapterPattern !== undefined) {
+                try {
+                    new RegExp(authority.chapterPattern);
+                } catch (error) {
+                    errors.push({ path: `${authorityPath}.chapterPattern`, message: `invalid regular expression: ${error.message}` });
+                }
+            }
+        });
+
+        Object.keys(data.regulatoryRequirements)
+            .filter(collection => !seen.collection.has(collection))
+            .forEach(collection => {
+                errors.push({
+                    path: `regulatoryRequirements.${collection}`,
+                    message: `collection "${collection}" does not belong to any authority`
+                });
+            });
+
+        return errors;
+    }
+
+    /**
+     * Check municipal overlays: municipality IDs are unique, local requirement and rule IDs do not
+     * clash with any other ID, local requirements belong to a known authority, and references point
+     * at national requirements and rules or at the overlay's own requirements. Local prerequisites
+     * are added to the prerequisite graph.
+     * @param {Array<Object>} overlays - Municipal overlays
+     * @param {Set<string>} requirementIds - National requirement IDs
+     * @param {Set<string>} ruleIds - National rule IDs
+     * @param {Map<string, Array<string>>} prerequisites - Prerequisite graph, extended in place
+     * @param {Map<string, string>} requirementPaths - Requirement ID -> readable path, extended in place
+     * @param {Set<string>} authorityIds - Authority IDs from the registry
+     * @returns {Array<Object>} Errors as { path, message }
+     */
+    checkMunicipalOverlays(overlays, requirementIds, ruleIds, prerequisites, requirementPaths, authorityIds) {
+        const errors = [];
+        const municipalityIds = new Set();
+        const localRequirementIds = new Set();
+        const localRuleIds = new Set();
+
+        overlays.forEach((overlay, overlayIndex) => {
+            const overlayPath = `municipalOverlays[${overlayIndex}]`;
+            const ownIds = new Set();
+
+            if (municipalityIds.has(overlay.municipalityId)) {
+                errors.push({
+                    path: `${overlayPath}.municipalityId`,
+                    message: `duplicate municipality ID "${overlay.municipalityId}"`
+                });
+            }
+            municipalityIds.add(overlay.municipalityId);
+
+            (overlay.requirements || []).forEach((requirement, index) => {
+                const requirementPath = `${overlayPath}.requirements[${index}]`;
+                if (requirementIds.has(requirement.requirementId) || localRequirementIds.has(requirement.requirementId)) {
+                    errors.push({
+                        path: `${requirementPath}.requirementId`,
+                        message: `duplicate requirement ID "${requirement.requirementId}"`
+                    });
+                }
+                if (!requirementPaths.has(requirement.requirementId)) {
+                    requirementPaths.set(requirement.requirementId, requirementPath);
+                }
+                localRequirementIds.add(requirement.requirementId);
+                ownIds.add(requirement.requirementId);
+
+                if (requirement.category && !authorityIds.has(requirement.category)) {
+                    errors.push({
+                        path: `${requirementPath}.category`,
+                        message: `unknown authority "${requirement.category}" of ${requirement.requirementId}`
+                    });
+                }
+            });
+
+            const isKnown = requirementId => requirementIds.has(requirementId) || ownIds.has(requirementId);
+
+            (overlay.requirements || []).forEach((requirement, index) => {
+                const requirementPath = `${overlayPath}.requirements[${index}]`;
+                const known = (requirement.prerequisites || []).filter((requirementId, prerequisiteIndex) => {
+                    if (isKnown(requirementId)) {
+                        return true;
+                    }
+                    errors.push({
+                        path: `${requirementPath}.prerequisites[${prerequisiteIndex}]`,
+                        message: `unknown prerequisite "${requirementId}" of ${requirement.requirementId}`
+                    });
+                    return false;
+                });
+                // A duplicate ID keeps the prerequisites of the requirement that came first
+                if (!prerequisites.has(requirement.requirementId)) {
+                    prerequisites.set(requirement.requirementId, known);
+                }
+
+                if (requirement.estimates) {
+                    errors.push(...this.checkEstimateRanges(requirement.estimates, `${requirementPath}.estimates`));
+                }
+            });
+
+            (overlay.rules || []).forEach((rule, ruleIndex) => {
+                const rulePath = `${overlayPath}.rules[${ruleIndex}]`;
+                if (ruleIds.has(rule.ruleId) || localRuleIds.has(rule.ruleId)) {
+                    errors.push({ path: `${rulePath}.ruleId`, message: `duplicate rule ID "${rule.ruleId}"` });
+                }
+                localRuleIds.add(rule.ruleId);
+
+                rule.applicableRequirements.forEach((requirementId, index) => {
+                    if (!isKnown(requirementId)) {
+                        errors.push({
+                            path: `${rulePath}.applicableRequirements[${index}]`,
+                            message: `unknown requirement ID "${requirementId}" in ${rule.ruleId}`
+                        });
+                    }
+                });
+            });
+
+            (overlay.conditionOverrides || []).forEach((override, index) => {
+                const overridePath = `${overlayPath}.conditionOverrides[${index}]`;
+                if (override.requirementId && !requirementIds.has(override.requirementId)) {
+                    errors.push({
+                        path: `${overridePath}.requirementId`,
+                        message: `unknown national requirement ID "${override.requirementId}"`
+                    });
+                }
+                if (override.ruleId && !ruleIds.has(override.ruleId)) {
+                    errors.push({
+                        path: `${overridePath}.ruleId`,
+                        message: `unknown national rule ID "${override.ruleId}"`
+                    });
+                }
+            });
+
+            (overlay.localFees || []).forEach((fee, index) => {
+                const feePath = `${overlayPath}.localFees[${index}]`;
+                if (!isKnown(fee.requirementId)) {
+                    errors.push({
+                        path: `${feePath}.requirementId`,
+                        message: `unknown requirement ID "${fee.requirementId}"`
+                    });
+                }
+                errors.push(...this.findInvertedRanges([
+                    [`${feePath}.feeILS`, fee.feeILS],
+                    [`${feePath}.feeILS.perUnit`, fee.feeILS.perUnit]
+                ]));
+            });
+        });
+
+        return errors;
+    }
+
+    /**
+     * Check that every min/max range of a requirement's estimates has min <= max
+     * @param {Object} estimates - Requirement estimates
+     * @param {string} estimatesPath - Readable path of the estimates
+     * @returns {Array<Object>} Errors as { path, message }
+     */
+    checkEstimateRanges(estimates, estimatesPath) {
+        const ranges = [
+            [`${estimatesPath}.durationDays`, estimates.durationDays],
+            [`${estimatesPath}.feeILS`, estimates.feeILS],
+            [`${estimatesPath}.feeILS.perUnit`, estimates.feeILS.perUnit]
+        ];
+        (estimates.overrides || []).forEach((override, index) => {
+            ranges.push(
+                [`${estimatesPath}.overrides[${index}].durationDays`, override.durationDays],
+                [`${estimatesPath}.overrides[${index}].feeILS`, override.feeILS],
+                [`${estimatesPath}.overrides[${index}].feeILS.perUnit`, override.feeILS?.perUnit]
+            );
+        });
+
+        return this.findInvertedRanges(ranges);
+    }
+
+    /**
+     * Report ranges whose min is greater than their max
+     * @param {Array<Array>} ranges - [path, range] pairs; missing ranges are skipped
+     * @returns {Array<Object>} Errors as { path, message }
+     */
+    findInvertedRanges(ranges) {
+        return ranges
+            .filter(([, range]) => range && range.min > range.max)
+            .map(([rangePath, range]) => ({
+                path: rangePath,
+                message: `min (${range.min}) is greater than max (${range.max})`
+            }));
+    }
+
+    /**
+     * Find cycles in the prerequisite graph with a depth-first search
+     * Each cycle is reported once, starting from the requirement where the search entered it
+     * @param {Map<string, Array<string>>} prerequisites - Requirement ID -> prerequisite IDs
+     * @returns {Array<Array<string>>} Cycles as ID paths, e.g. ["GEN-001", "FIRE-001", "GEN-001"]
+     */
+    findPrerequisiteCycles(prerequisites) {
+        const cycles = [];
+        const finished = new Set();
+        const stack = [];
+
+        const visit = (requirementId) => {
+            if (finished.has(requirementId)) {
+                return;
+            }
+            const stackIndex = stack.indexOf(requirementId);
+            if (stackIndex !== -1) {
+                cycles.push([...stack.slice(stackIndex), requirementId]);
+                return;
+            }
+
+            stack.push(requirementId);
+            (prerequisites.get(requirementId) || []).forEach(visit);
+            stack.pop();
+            finished.add(requirementId);
+        };
+
+        prerequisites.forEach((ids, requirementId) => visit(requirementId));
+        return cycles;
+    }
+}
+
+module.exports = DatasetValidator;
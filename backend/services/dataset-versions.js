@@ -0,0 +1,198 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Licensing Dataset Version Store
+ * Keeps archived copies of licensing-requirements.json side by side, one per distinct content.
+ * A version ID is the source document date plus a hash of the dataset, so a catalog edit
+ * processed from the same document is archived as a new version instead of replacing the old one.
+ */
+
+// "18-07-2022_4.2A.pdf" - publication date in the regulator's file name (DD-MM-YYYY)
+const DOCUMENT_DATE_PATTERN = /(\d{1,2})[-_.](\d{1,2})[-_.](\d{4})/;
+
+const VERSION_ID_PATTERN = /^[\w.-]+$/;
+
+class DatasetVersionStore {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.versionsDir] - Directory holding archived versions
+     * @param {string} [options.currentPath] - Dataset currently served by the API
+     */
+    constructor(options = {}) {
+        this.versionsDir = options.versionsDir || path.join(__dirname, '../data/versions');
+        this.currentPath = options.currentPath || path.join(__dirname, '../data/licensing-requirements.json');
+    }
+
+    /**
+     * Derive the version ID of a dataset
+     * The document date (metadata.version, or the date in the source file name) plus a content hash
+     * @param {Object} data - Licensing dataset
+     * @returns {string|null} Version ID, e.g. "2022-07-18-3f9a1c2b"
+     */
+    getVersionId(data) {
+        const metadata = data.metadata || {};
+        const documentDate = metadata.version || this.getDocumentDate(metadata.sourceDocument, metadata.processedDate);
+        return documentDate ? `${documentDate}-${this.getContentHash(data)}` : null;
+    }
+
+    /**
+     * Hash the dataset content
+     * The processing timestamp is left out, so reprocessing unchanged inputs gives the same hash
+     * @param {Object} data - Licensing dataset
+     * @returns {string} First 8 hex characters of the SHA-256 hash
+     */
+    getContentHash(data) {
+        const content = { ...data, metadata: { ...data.metadata, processedDate: undefined } };
+        return crypto.createHash('sha256').update(JSON.stringify(content)).digest('hex').slice(0, 8);
+    }
+
+    /**
+     * Get the publication date of a source document as YYYY-MM-DD
+     * Falls back to the processing date when the file name carries no date
+     * @param {string} sourceDocument - Source document file name
+     * @param {string} [processedDate] - ISO processing timestamp
+     * @returns {string|null} ISO date
+     */
+    getDocumentDate(sourceDocument, processedDate) {
+        const match = (sourceDocument || '').match(DOCUMENT_DATE_PATTERN);
+        if (match) {
+            const [, day, month, year] = match;
+            return `${year}-${month.padStart(2, '0')}-${day.padStart(2, '0')}`;
+        }
+        return processedDate ? processedDate.slice(0, 10) : null;
+    }
+
+    /**
+     * Archive a dataset under its version ID
+     * Reprocessing unchanged inputs rewrites the same version
+     * @param {Object} data - Licensing dataset
+     * @returns {string} Path of the archived file
+     */
+    saveVersion(data) {
+        const versionId = this.getVersionId(data);
+        if (!versionId) {
+            throw new Error('Cannot archive dataset without metadata.sourceDocument or metadata.processedDate');
+        }
+
+        if (!fs.existsSync(this.versionsDir)) {
+            fs.mkdirSync(this.versionsDir, { recursive: true });
+        }
+
+        const versionPath = this.getVersionPath(versionId);
+        fs.writeFileSync(versionPath, JSON.stringify(data, null, 2), 'utf8');
+        return versionPath;
+    }
+
+    /**
+     * List archived versions, newest document first, then most recently processed
+     * The current dataset is included even if it was never archived
+     * @returns {Array<Object>} Version summaries
+     */
+    listVersions() {
+        const versions = new Map();
+
+        if (fs.existsSync(this.versionsDir)) {
+            fs.readdirSync(this.versionsDir)
+                .filter(file => file.endsWith('.json'))
+                .forEach(file => {
+                    const data = this.readDataset(path.join(this.versionsDir, file));
+                    const summary = this.summarizeVersion(path.basename(file, '.json'), data);
+                    versions.set(summary.versionId, summary);
+                });
+        }
+
+        const current = this.readDataset(this.currentPath);
+        const currentId = this.getVersionId(current);
+        if (!versions.has(currentId)) {
+            versions.set(currentId, this.summarizeVersion(currentId, current));
+        }
+        versions.get(currentId).current = true;
+
+        return Array.from(versions.values())
+            .sort((a, b) => (b.documentDate || '').localeCompare(a.documentDate || '') ||
+                (b.processedDate || '').localeCompare(a.processedDate || '') ||
+                b.versionId.localeCompare(a.versionId));
+    }
+
+    /**
+     * Load a dataset by version ID, "current", or file path
+     * @param {string} reference - Version reference
+     * @returns {Object} Licensing dataset
+     */
+    loadVersion(reference) {
+        if (reference === 'current') {
+            return this.readDataset(this.currentPath);
+        }
+
+        if (VERSION_ID_PATTERN.test(reference)) {
+            const versionPath = this.getVersionPath(reference);
+            if (fs.existsSync(versionPath)) {
+                const data = this.readDataset(versionPath);
+                const contentId = this.getVersionId(data);
+                // An archive edited after it was written no longer holds the version its name promises
+                if (contentId !== reference) {
+                    throw new Error(`Archived dataset ${reference} does not match its content (version ${contentId}); reprocess it with npm run process-document`);
+                }
+                return data;
+            }
+
+            const current = this.readDataset(this.currentPath);
+            if (this.getVersionId(current) === reference) {
+                return current;
+            }
+        }
+
+        if (fs.existsSync(reference)) {
+            return this.readDataset(reference);
+        }
+
+        throw new Error(`Dataset version not found: ${reference}`);
+    }
+
+    /**
+     * Summarize a dataset for version listings
+     * @param {string} versionId - Version ID
+     * @param {Object} data - Licensing dataset
+     * @returns {Object} Version summary
+     */
+    summarizeVersion(versionId, data) {
+        const metadata = data.metadata || {};
+        const requirementCount = Object.values(data.regulatoryRequirements || {})
+            .reduce((sum, requirements) => sum + requirements.length, 0);
+
+        return {
+            versionId,
+            sourceDocument: metadata.sourceDocument || null,
+            documentDate: this.getDocumentDate(metadata.sourceDocument, metadata.processedDate),
+            processedDate: metadata.processedDate || null,
+            requirementCount,
+            ruleCount: ((data.businessLicensingMapping || {}).rules || []).length,
+            current: false
+        };
+    }
+
+    /**
+     * Get the archive path of a version
+     * @param {string} versionId - Version ID
+     * @returns {string} File path
+     */
+    getVersionPath(versionId) {
+        if (!VERSION_ID_PATTERN.test(versionId)) {
+            throw new Error(`Invalid dataset version ID: ${versionId}`);
+        }
+        return path.join(this.versionsDir, `${versionId}.json`);
+    }
+
+    /**
+     * Read and parse a dataset file
+     * @param {string} filePath - Dataset path
+     * @returns {Object} Licensing dataset
+     */
+    readDataset(filePath) {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    }
+}
+
+module.exports = DatasetVersionStore;
@@ -0,0 +1,332 @@
+const fs = require('fs');
+const path = require('path');
+const pdfParse = require('pdf-parse/lib/pdf-parse.js');
+const mammoth = require('mammoth');
+
+/**
+ * Regulatory Document Parser
+ * Reads the Hebrew licensing specification (PDF or Word) and splits it into chapters and clauses
+ */
+
+// "פרק 3 - משטרת ישראל" - chapter heading (table of contents lines are filtered separately)
+const CHAPTER_PATTERN = /^פרק\s+(\d+)\s*-\s*(.+)$/;
+
+// "3.6.1. text" / "6.10 text" - numbered clause at any depth below the chapter
+const CLAUSE_PATTERN = /^(\d+(?:\.\d+)+)\.?(?:\s+(.*))?$/;
+
+// Table of contents entries use dot leaders: "פרק 2 - תנאים רוחביים..........4"
+const TOC_LEADER_PATTERN = /\.{5,}/;
+
+// "נספח א'" / "נספחים" - start of appendix material at the end of a chapter
+const APPENDIX_PATTERN = /^נספח/;
+
+// Largest jump between consecutive clause numbers still treated as a real clause
+const MAX_NUMBERING_GAP = 3;
+
+// Section headings are short lines without closing punctuation ("מכירת משקאות")
+const MAX_HEADING_LENGTH = 60;
+
+class DocumentParser {
+    /**
+     * Parse a licensing specification document
+     * @param {string} filePath - Path to a .pdf or .docx file
+     * @returns {Promise<Object>} Parsed document with pages and chapters
+     */
+    async parse(filePath) {
+        if (!fs.existsSync(filePath)) {
+            throw new Error(`Document not found: ${filePath}`);
+        }
+
+        const extension = path.extname(filePath).toLowerCase();
+        let lines;
+        let totalPages;
+        let numbering = 'document';
+        let chapters;
+
+        if (extension === '.pdf') {
+            const pages = await this.extractPdfPages(filePath);
+            lines = this.pagesToLines(pages);
+            totalPages = pages.length;
+            chapters = this.splitChapters(lines, numbering);
+        } else if (extension === '.docx') {
+            const paragraphs = await this.extractDocxParagraphs(filePath);
+            lines = paragraphs.map(text => ({ text, page: null }));
+            totalPages = null;
+            chapters = this.splitChapters(lines, numbering);
+
+            // Word usually keeps clause numbers in auto-numbering, which is not part of the text
+            if (!chapters.every(chapter => chapter.clauses.length > 0)) {
+                numbering = 'derived';
+                chapters = this.splitChapters(lines, numbering);
+            }
+        } else {
+            throw new Error(`Unsupported document format: ${extension || 'unknown'} (expected .pdf or .docx)`);
+        }
+
+        console.log(`Parsed ${chapters.length} chapters and ${chapters.reduce((sum, ch) => sum + ch.clauses.length, 0)} clauses from ${path.basename(filePath)}`);
+
+        return {
+            sourceDocument: path.basename(filePath),
+            format: extension.slice(1),
+            title: this.findDocumentTitle(lines),
+            totalPages,
+            numbering,
+            chapters
+        };
+    }
+
+    /**
+     * Extract the text of every PDF page, keeping page boundaries
+     * @param {string} filePath - PDF path
+     * @returns {Promise<Array<string>>} Page texts, index 0 is page 1
+     */
+    async extractPdfPages(filePath) {
+        const pages = [];
+
+        await pdfParse(fs.readFileSync(filePath), {
+            pagerender: async (pageData) => {
+                const textContent = await pageData.getTextContent({
+                    normalizeWhitespace: false,
+                    disableCombineTextItems: false
+                });
+
+                let lastY;
+                let text = '';
+                for (const item of textContent.items) {
+                    if (lastY === item.transform[5] || lastY === undefined) {
+                        text += item.str;
+                    } else {
+                        text += '\n' + item.str;
+                    }
+                    lastY = item.transform[5];
+                }
+
+                pages[pageData.pageIndex] = text;
+                return text;
+            }
+        });
+
+        return pages.map(text => text || '');
+    }
+
+    /**
+     * Extract non-empty paragraphs from a Word document
+     * @param {string} filePath - DOCX path
+     * @returns {Promise<Array<string>>} Paragraph texts
+     */
+    async extractDocxParagraphs(filePath) {
+        const result = await mammoth.extractRawText({ path: filePath });
+        return result.value
+            .split('\n')
+            .map(line => this.normalizeWhitespace(line))
+            .filter(Boolean);
+    }
+
+    /**
+     * Flatten PDF pages into lines tagged with their page number
+     * @param {Array<string>} pages - Page texts
+     * @returns {Array<Object>} Lines as { text, page }
+     */
+    pagesToLines(pages) {
+        const lines = [];
+
+        pages.forEach((pageText, index) => {
+            const pageNumber = index + 1;
+            pageText.split('\n').forEach(rawLine => {
+                const text = this.normalizePdfLine(rawLine);
+                // Skip blanks and the printed page number itself
+                if (!text || text === String(pageNumber)) {
+                    return;
+                }
+                lines.push({ text, page: pageNumber });
+            });
+        });
+
+        return lines;
+    }
+
+    /**
+     * Fix right-to-left extraction artifacts in a PDF line
+     * pdf.js returns mirrored brackets for Hebrew runs, e.g. ")טמ"ס(" instead of "(טמ"ס)"
+     * @param {string} line - Raw line
+     * @returns {string} Normalized line
+     */
+    normalizePdfLine(line) {
+        const mirrored = { '(': ')', ')': '(', '[': ']', ']': '[' };
+        return this.normalizeWhitespace(line.replace(/[()[\]]/g, char => mirrored[char]));
+    }
+
+    /**
+     * Collapse repeated whitespace and trim
+     * @param {string} text - Text to normalize
+     * @returns {string} Normalized text
+     */
+    normalizeWhitespace(text) {
+        return text.replace(/\s+/g, ' ').trim();
+    }
+
+    /**
+     * Find the document title (first line before any chapter)
+     * @param {Array<Object>} lines - Document lines
+     * @returns {string|null} Title
+     */
+    findDocumentTitle(lines) {
+        return lines.length > 0 ? lines[0].text : null;
+    }
+
+    /**
+     * Split document lines into chapters and clauses
+     * @param {Array<Object>} lines - Document lines as { text, page }
+     * @param {string} numbering - 'document' when clause numbers are in the text, 'derived' otherwise
+     * @returns {Array<Object>} Chapters with their clauses
+     */
+    splitChapters(lines, numbering) {
+        const chapters = [];
+        let chapter = null;
+        let clause = null;
+
+        for (const line of lines) {
+            const chapterMatch = line.text.match(CHAPTER_PATTERN);
+            if (chapterMatch && !TOC_LEADER_PATTERN.test(line.text)) {
+                chapter = {
+                    number: Number(chapterMatch[1]),
+                    title: this.cleanChapterTitle(chapterMatch[2]),
+                    page: line.page,
+                    preamble: '',
+                    clauses: []
+                };
+                chapters.push(chapter);
+                clause = null;
+                continue;
+            }
+
+            if (!chapter) {
+                continue; // Cover page and table of contents
+            }
+
+            const nextClause = numbering === 'document'
+                ? this.matchNumberedClause(line, chapter, clause)
+                : this.matchDerivedClause(line, chapter);
+
+            if (nextClause) {
+                chapter.clauses.push(nextClause);
+                clause = nextClause;
+            } else if (clause) {
+                // "6.3." alone on a line - the heading or text continues on the next line
+                if (!clause.text && numbering === 'document') {
+                    clause.heading = this.isHeading(line.text) ? line.text : null;
+                }
+                clause.text = clause.text ? `${clause.text} ${line.text}` : line.text;
+            } else {
+                chapter.preamble = chapter.preamble ? `${chapter.preamble} ${line.text}` : line.text;
+            }
+        }
+
+        return chapters;
+    }
+
+    /**
+     * Match a line that starts with a clause number belonging to the current chapter
+     * Appendices restart numbering (1.1, 2.1...) and wrapped cross-references can start a line
+     * ("4.6.4."), so a number only counts when it belongs to the chapter and follows the previous clause
+     * @param {Object} line - Document line
+     * @param {Object} chapter - Current chapter
+     * @param {Object|null} previous - Previous clause in the chapter
+     * @returns {Object|null} New clause or null
+     */
+    matchNumberedClause(line, chapter, previous) {
+        const match = line.text.match(CLAUSE_PATTERN);
+        if (!match) {
+            return null;
+        }
+
+        const parts = match[1].split('.').map(Number);
+        if (parts[0] !== chapter.number) {
+            return null;
+        }
+        if (previous && !this.isNextReference(previous.reference.split('.').map(Number), parts)) {
+            return null;
+        }
+
+        const text = match[2] || '';
+        return {
+            reference: match[1],
+            level: parts.length,
+            heading: this.isHeading(text) ? text : null,
+            text,
+            page: line.page
+        };
+    }
+
+    /**
+     * Derive a section clause from a short heading line (Word files without literal numbering)
+     * @param {Object} line - Document line
+     * @param {Object} chapter - Current chapter
+     * @returns {Object|null} New clause or null
+     */
+    matchDerivedClause(line, chapter) {
+        if (!this.isHeading(line.text) || line.text.includes('___')) {
+            return null;
+        }
+
+        // Appendices (forms, procedures) are kept as body text of the appendix heading
+        if (chapter.clauses.some(clause => APPENDIX_PATTERN.test(clause.heading))) {
+            return null;
+        }
+
+        const sectionCount = chapter.clauses.length + 1;
+        return {
+            reference: `${chapter.number}.${sectionCount}`,
+            level: 2,
+            heading: line.text,
+            text: line.text,
+            page: line.page
+        };
+    }
+
+    /**
+     * Check whether clause text looks like a section heading
+     * @param {string} text - Clause text
+     * @returns {boolean} True for short titles without closing punctuation
+     */
+    isHeading(text) {
+        return Boolean(text) &&
+               text.length <= MAX_HEADING_LENGTH &&
+               !/[.:;,-]$/.test(text) &&
+               !/^\(?\d+\)/.test(text);
+    }
+
+    /**
+     * Check whether a clause number can follow the previous one
+     * Valid successors are the first child (3.3 -> 3.3.1) or an increment at the same or a
+     * higher level (3.3.4 -> 3.3.5 / 3.4). Small gaps are tolerated for skipped numbers.
+     * @param {Array<number>} previous - Previous reference parts
+     * @param {Array<number>} next - Candidate reference parts
+     * @returns {boolean} True if next follows previous
+     */
+    isNextReference(previous, next) {
+        const samePrefix = (length) => previous.slice(0, length).every((part, i) => part === next[i]);
+
+        if (next.length === previous.length + 1 && samePrefix(previous.length)) {
+            return next[next.length - 1] === 1;
+        }
+
+        if (next.length >= 2 && next.length <= previous.length && samePrefix(next.length - 1)) {
+            const step = next[next.length - 1] - previous[next.length - 1];
+            return step >= 1 && step <= MAX_NUMBERING_GAP;
+        }
+
+        return false;
+    }
+
+    /**
+     * Remove stray diacritics and punctuation around chapter titles
+     * @param {string} title - Raw chapter title
+     * @returns {string} Clean title
+     */
+    cleanChapterTitle(title) {
+        return title.replace(/[֑-ׇ]/g, '').trim();
+    }
+}
+
+module.exports = DocumentParser;
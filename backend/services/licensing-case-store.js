@@ -0,0 +1,230 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const { CASE_ITEM_STATUSES } = require('../constants/case-statuses');
+
+/**
+ * Licensing Case Store
+ * A licensing case tracks the licensing process of one business over time: every requirement
+ * from its match result becomes a checklist item with a status, notes, dates and an assignee.
+ * Cases are stored in data/cases/, one JSON file per case ID.
+ */
+
+// Date recorded automatically when an item enters a status (unless the client sends one)
+const STATUS_DATE_FIELDS = {
+    in_progress: 'startedAt',
+    submitted: 'submittedAt',
+    approved: 'decidedAt',
+    rejected: 'decidedAt'
+};
+
+// Item fields the client may change
+const EDITABLE_FIELDS = ['status', 'notes', 'assignee', 'dueDate', 'startedAt', 'submittedAt', 'decidedAt'];
+
+class LicensingCaseStore {
+    /**
+     * @param {string} [casesDir] - Directory holding stored cases
+     */
+    constructor(casesDir) {
+        this.casesDir = casesDir || path.join(__dirname, '../data/cases');
+    }
+
+    /**
+     * Create a case from a match result
+     * @param {Object} options
+     * @param {Object} options.requirementsData - Result of MatchingEngine.findApplicableRequirements (grouped by authority)
+     * @param {string} [options.name] - Case name
+     * @param {string} [options.reportId] - Report the case was opened from
+     * @param {string} [options.datasetVersion] - Dataset version used for the match
+     * @returns {Object} Case with progress
+     */
+    create({ requirementsData, name, reportId, datasetVersion }) {
+        const now = new Date().toISOString();
+        const items = [];
+
+        Object.entries(requirementsData.requirements).forEach(([authorityKey, requirements]) => {
+            requirements.forEach(req => {
+                items.push({
+                    requirementId: req.requirementId,
+                    title: req.title,
+                    description: req.description,
+                    authority: req.authority,
+                    authorityKey,
+                    mandatory: req.mandatory,
+                    status: 'not_started',
+                    notes: '',
+                    assignee: null,
+                    dueDate: null,
+                    startedAt: null,
+                    submittedAt: null,
+                    decidedAt: null,
+                    updatedAt: now
+                });
+            });
+        });
+
+        const licensingCase = {
+            caseId: crypto.randomUUID(),
+            name: name || `תיק רישוי - ${requirementsData.businessProfile.businessType}`,
+            createdAt: now,
+            updatedAt: now,
+            reportId: reportId || null,
+            datasetVersion: datasetVersion || null,
+            businessProfile: requirementsData.businessProfile,
+            items
+        };
+
+        this.write(licensingCase);
+        return this.withProgress(licensingCase);
+    }
+
+    /**
+     * Load a case
+     * @param {string} caseId - Case ID
+     * @returns {Object} Case with progress
+     */
+    get(caseId) {
+        return this.withProgress(this.read(caseId));
+    }
+
+    /**
+     * List all cases, most recently updated first
+     * @returns {Array<Object>} Case summaries
+     */
+    list() {
+        if (!fs.existsSync(this.casesDir)) {
+            return [];
+        }
+
+        return fs.readdirSync(this.casesDir)
+            .filter(file => file.endsWith('.json'))
+            .map(file => this.read(path.basename(file, '.json')))
+            .map(licensingCase => {
+                const progress = this.summarizeProgress(licensingCase.items);
+                return {
+                    caseId: licensingCase.caseId,
+                    name: licensingCase.name,
+                    createdAt: licensingCase.createdAt,
+                    updatedAt: licensingCase.updatedAt,
+                    businessType: licensingCase.businessProfile.businessType,
+                    progress: {
+                        total: progress.total,
+                        completion: progress.completion,
+                        byStatus: progress.byStatus
+                    }
+                };
+            })
+            .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+    }
+
+    /**
+     * Update one checklist item
+     * @param {string} caseId - Case ID
+     * @param {string} requirementId - Requirement ID of the item
+     * @param {Object} changes - Any of status, notes, assignee, dueDate, startedAt, submittedAt, decidedAt
+     * @returns {Object} Case with progress
+     */
+    updateItem(caseId, requirementId, changes) {
+        const licensingCase = this.read(caseId);
+        const item = licensingCase.items.find(entry => entry.requirementId === requirementId);
+        if (!item) {
+            throw new Error(`Requirement not in case: ${requirementId}`);
+        }
+
+        const now = new Date().toISOString();
+        EDITABLE_FIELDS
+            .filter(field => changes[field] !== undefined)
+            .forEach(field => {
+                item[field] = changes[field];
+            });
+
+        const dateField = STATUS_DATE_FIELDS[changes.status];
+        if (dateField && changes[dateField] === undefined && !item[dateField]) {
+            item[dateField] = now;
+        }
+
+        item.updatedAt = now;
+        licensingCase.updatedAt = now;
+
+        this.write(licensingCase);
+        return this.withProgress(licensingCase);
+    }
+
+    /**
+     * Attach progress statistics to a case
+     * @param {Object} licensingCase - Stored case
+     * @returns {Object} Case with progress
+     */
+    withProgress(licensingCase) {
+        return { ...licensingCase, progress: this.summarizeProgress(licensingCase.items) };
+    }
+
+    /**
+     * Count items per status, overall and per authority
+     * Completion is the share of approved items
+     * @param {Array<Object>} items - Checklist items
+     * @returns {Object} { total, completion, byStatus, authorities: [{ authorityKey, authority, total, completion, byStatus }] }
+     */
+    summarizeProgress(items) {
+        const count = (entries) => {
+            const byStatus = CASE_ITEM_STATUSES.reduce((result, status) => ({ ...result, [status]: 0 }), {});
+            entries.forEach(entry => {
+                byStatus[entry.status]++;
+            });
+            return {
+                total: entries.length,
+                completion: entries.length === 0 ? 0 : Math.round((byStatus.approved / entries.length) * 100) / 100,
+                byStatus
+            };
+        };
+
+        const authorityKeys = [...new Set(items.map(item => item.authorityKey))];
+
+        return {
+            ...count(items),
+            authorities: authorityKeys.map(authorityKey => {
+                const authorityItems = items.filter(item => item.authorityKey === authorityKey);
+                return {
+                    authorityKey,
+                    authority: authorityItems[0].authority,
+                    ...count(authorityItems)
+                };
+            })
+        };
+    }
+
+    /**
+     * Read a stored case
+     * @param {string} caseId - Case ID
+     * @returns {Object} Stored case
+     */
+    read(caseId) {
+        const casePath = this.getCasePath(caseId);
+        if (!fs.existsSync(casePath)) {
+            throw new Error(`Case not found: ${caseId}`);
+        }
+        return JSON.parse(fs.readFileSync(casePath, 'utf8'));
+    }
+
+    /**
+     * Write a case to disk
+     * @param {Object} licensingCase - Case without progress
+     */
+    write(licensingCase) {
+        if (!fs.existsSync(this.casesDir)) {
+            fs.mkdirSync(this.casesDir, { recursive: true });
+        }
+        fs.writeFileSync(this.getCasePath(licensingCase.caseId), JSON.stringify(licensingCase, null, 2), 'utf8');
+    }
+
+    /**
+     * Path of a stored case
+     * @param {string} caseId - Case ID
+     * @returns {string} File path
+     */
+    getCasePath(caseId) {
+        return path.join(this.casesDir, `${caseId}.json`);
+    }
+}
+
+module.exports = LicensingCaseStore;
@@ -0,0 +1,364 @@
+const axios = require('axios');
+const { StringDecoder } = require('string_decoder');
+
+/**
+ * LLM Provider Adapters
+ * One interface for the chat APIs the report generator can use, selected by LLM_PROVIDER:
+ *   openrouter - OpenRouter (default)
+ *   openai     - any OpenAI-compatible /chat/completions endpoint
+ *   anthropic  - Anthropic Messages API
+ *   local      - local Ollama or llama.cpp server (OpenAI-compatible API, no API key, data stays on premises)
+ */
+
+const REQUEST_TIMEOUT_MS = 120000;
+
+/**
+ * Read a server-sent event stream and pass every "data:" payload to a callback
+ * @param {Stream} stream - HTTP response stream
+ * @param {Function} onData - Called with each data payload string
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+async function readEventStream(stream, onData) {
+    // Keeps a multi-byte character split across two chunks together
+    const decoder = new StringDecoder('utf8');
+    let buffer = '';
+    for await (const chunk of stream) {
+        buffer += typeof chunk === 'string' ? chunk : decoder.write(chunk);
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+        lines
+            .map(line => line.trim())
+            .filter(line => line.startsWith('data:'))
+            .forEach(line => onData(line.slice(5).trim()));
+    }
+    buffer += decoder.end();
+    if (buffer.trim().startsWith('data:')) {
+        onData(buffer.trim().slice(5).trim());
+    }
+}
+
+/**
+ * Parse the JSON payload of a stream event
+ * Malformed payloads (e.g. keep-alive or truncated lines) are skipped rather than ending the stream
+ * @param {string} data - Event data
+ * @returns {Object|null} Parsed event, or null when it is not JSON
+ */
+function parseEventData(data) {
+    try {
+        return JSON.parse(data);
+    } catch (error) {
+        console.warn(`Skipping malformed stream event: ${data.slice(0, 100)}`);
+        return null;
+    }
+}
+
+class LLMProvider {
+    /**
+     * @param {Object} options
+     * @param {string} options.baseUrl - API base URL
+     * @param {string} [options.apiKey] - API key
+     * @param {string} options.model - Model name
+     */
+    constructor({ baseUrl, apiKey, model }) {
+        this.baseUrl = (baseUrl || '').replace(/\/+$/, '');
+        this.apiKey = apiKey;
+        this.model = model;
+        this.name = 'llm';
+        this.displayName = 'LLM';
+    }
+
+    /**
+     * Whether the provider has everything it needs to make a request
+     * @returns {boolean} True if configured
+     */
+    isConfigured() {
+        return Boolean(this.baseUrl && this.model && this.apiKey);
+    }
+
+    /**
+     * Describe missing configuration for startup warnings
+     * @returns {string|null} Warning or null when configured
+     */
+    getConfigurationWarning() {
+        if (this.isConfigured()) {
+            return null;
+        }
+        return `${this.displayName} is not fully configured (base URL, model and API key are required). Check LLM_* variables in .env file.`;
+    }
+
+    /**
+     * Send a system + user prompt and return the completion text
+     * @param {Object} request
+     * @param {string} request.system - System prompt
+     * @param {string} request.prompt - User prompt
+     * @param {number} request.maxTokens - Completion token limit
+     * @param {number} request.temperature - Sampling temperature
+     * @param {AbortSignal} [request.signal] - Cancels the request
+     * @returns {Promise<string>} Completion text
+     */
+    async complete() {
+        throw new Error(`${this.constructor.name} does not implement complete()`);
+    }
+
+    /**
+     * Stream a completion, calling onToken for every text delta
+     * Providers without streaming support return the whole completion as one delta
+     * @param {Object} request - Same as complete()
+     * @param {Function} onToken - Called with each text delta
+     * @returns {Promise<string>} Full completion text
+     */
+    async stream(request, onToken) {
+        const text = await this.complete(request);
+        onToken(text);
+        return text;
+    }
+}
+
+/**
+ * OpenAI-compatible chat completions (OpenAI, Azure-style gateways, vLLM, ...)
+ */
+class OpenAICompatibleProvider extends LLMProvider {
+    constructor(options) {
+        super(options);
+        this.name = 'openai';
+        this.displayName = 'OpenAI-compatible API';
+    }
+
+    /**
+     * Request headers
+     * @returns {Object} Headers
+     */
+    getHeaders() {
+        const headers = { 'Content-Type': 'application/json' };
+        if (this.apiKey) {
+            headers['Authorization'] = `Bearer ${this.apiKey}`;
+        }
+        return headers;
+    }
+
+    async complete({ system, prompt, maxTokens, temperature, signal }) {
+        const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+            model: this.model,
+            messages: [
+                { role: 'system', content: system },
+                { role: 'user', content: prompt }
+            ],
+            max_tokens: maxTokens,
+            temperature,
+            stream: false
+        }, {
+            headers: this.getHeaders(),
+            timeout: REQUEST_TIMEOUT_MS,
+            signal
+        });
+
+        return response.data.choices[0].message.content;
+    }
+
+    async stream({ system, prompt, maxTokens, temperature, signal }, onToken) {
+        const response = await axios.post(`${this.baseUrl}/chat/completions`, {
+            model: this.model,
+            messages: [
+                { role: 'system', content: system },
+                { role: 'user', content: prompt }
+            ],
+            max_tokens: maxTokens,
+            temperature,
+            stream: true
+        }, {
+            headers: this.getHeaders(),
+            timeout: REQUEST_TIMEOUT_MS,
+            responseType: 'stream',
+            signal
+        });
+
+        let text = '';
+        await readEventStream(response.data, (data) => {
+            if (data === '[DONE]') {
+                return;
+            }
+            const event = parseEventData(data);
+            if (!event) {
+                return;
+            }
+            // OpenRouter reports errors that happen after the response started as an event
+            if (event.error) {
+                throw new Error(`${this.displayName} stream error: ${event.error.message || JSON.stringify(event.error)}`);
+            }
+            const delta = event.choices?.[0]?.delta?.content;
+            if (delta) {
+                text += delta;
+                onToken(delta);
+            }
+        });
+        return text;
+    }
+}
+
+/**
+ * OpenRouter - OpenAI-compatible with attribution headers
+ */
+class OpenRouterProvider extends OpenAICompatibleProvider {
+    constructor(options) {
+        super(options);
+        this.name = 'openrouter';
+        this.displayName = 'OpenRouter AI';
+    }
+
+    getHeaders() {
+        return {
+            ...super.getHeaders(),
+            'HTTP-Referer': 'http://localhost:3001',
+            'X-Title': 'Business Licensing Report Generator'
+        };
+    }
+}
+
+/**
+ * Local Ollama / llama.cpp server through its OpenAI-compatible endpoint
+ * Ollama: http://localhost:11434/v1, llama.cpp server: http://localhost:8080/v1
+ */
+class LocalProvider extends OpenAICompatibleProvider {
+    constructor(options) {
+        super(options);
+        this.name = 'local';
+        this.displayName = 'Local LLM';
+    }
+
+    isConfigured() {
+        return Boolean(this.baseUrl && this.model);
+    }
+}
+
+/**
+ * Anthropic Messages API
+ */
+class AnthropicProvider extends LLMProvider {
+    constructor(options) {
+        super(options);
+        this.name = 'anthropic';
+        this.displayName = 'Anthropic';
+        this.apiVersion = '2023-06-01';
+    }
+
+    async complete({ system, prompt, maxTokens, temperature, signal }) {
+        const response = await axios.post(`${this.baseUrl}/v1/messages`, {
+            model: this.model,
+            system,
+            messages: [
+                { role: 'user', content: prompt }
+            ],
+            max_tokens: maxTokens,
+            temperature
+        }, {
+            headers: {
+                'x-api-key': this.apiKey,
+                'anthropic-version': this.apiVersion,
+                'Content-Type': 'application/json'
+            },
+            timeout: REQUEST_TIMEOUT_MS,
+            signal
+        });
+
+        return response.data.content
+            .filter(block => block.type === 'text')
+            .map(block => block.text)
+            .join('');
+    }
+
+    async stream({ system, prompt, maxTokens, temperature, signal }, onToken) {
+        const response = await axios.post(`${this.baseUrl}/v1/messages`, {
+            model: this.model,
+            system,
+            messages: [
+                { role: 'user', content: prompt }
+            ],
+            max_tokens: maxTokens,
+            temperature,
+            stream: true
+        }, {
+            headers: {
+                'x-api-key': this.apiKey,
+                'anthropic-version': this.apiVersion,
+                'Content-Type': 'application/json'
+            },
+            timeout: REQUEST_TIMEOUT_MS,
+            responseType: 'stream',
+            signal
+        });
+
+        let text = '';
+        await readEventStream(response.data, (data) => {
+            const event = parseEventData(data);
+            if (!event) {
+                return;
+            }
+            if (event.type === 'error') {
+                throw new Error(`${this.displayName} stream error: ${event.error?.message || event.error?.type || 'unknown error'}`);
+            }
+            if (event.type === 'content_block_delta' && event.delta?.type === 'text_delta') {
+                text += event.delta.text;
+                onToken(event.delta.text);
+            }
+        });
+        return text;
+    }
+}
+
+// Provider classes and their defaults; provider-specific variables are read when LLM_* is not set
+const PROVIDERS = {
+    openrouter: {
+        ProviderClass: OpenRouterProvider,
+        baseUrl: env => env.OPENROUTER_BASE_URL || 'https://openrouter.ai/api/v1',
+        apiKey: env => env.OPENROUTER_API_KEY,
+        model: env => env.OPENROUTER_BASE_MODEL
+    },
+    openai: {
+        ProviderClass: OpenAICompatibleProvider,
+        baseUrl: env => env.OPENAI_BASE_URL || 'https://api.openai.com/v1',
+        apiKey: env => env.OPENAI_API_KEY,
+        model: env => env.OPENAI_MODEL
+    },
+    anthropic: {
+        ProviderClass: AnthropicProvider,
+        baseUrl: () => 'https://api.anthropic.com',
+        apiKey: env => env.ANTHROPIC_API_KEY,
+        model: env => env.ANTHROPIC_MODEL
+    },
+    local: {
+        ProviderClass: LocalProvider,
+        baseUrl: () => 'http://localhost:11434/v1',
+        apiKey: () => undefined,
+        model: () => 'llama3.1'
+    }
+};
+
+/**
+ * Create the provider selected by configuration
+ * @param {Object} [env] - Environment variables (LLM_PROVIDER, LLM_BASE_URL, LLM_API_KEY, LLM_MODEL)
+ * @returns {LLMProvider} Provider instance
+ */
+function createLLMProvider(env = process.env) {
+    const providerName = (env.LLM_PROVIDER || 'openrouter').toLowerCase();
+    const config = PROVIDERS[providerName];
+
+    if (!config) {
+        throw new Error(`Unknown LLM provider: ${providerName} (expected one of: ${Object.keys(PROVIDERS).join(', ')})`);
+    }
+
+    return new config.ProviderClass({
+        baseUrl: env.LLM_BASE_URL || config.baseUrl(env),
+        apiKey: env.LLM_API_KEY || config.apiKey(env),
+        model: env.LLM_MODEL || config.model(env)
+    });
+}
+
+module.exports = {
+    LLMProvider,
+    OpenAICompatibleProvider,
+    OpenRouterProvider,
+    LocalProvider,
+    AnthropicProvider,
+    createLLMProvider,
+    readEventStream
+};
@@ -1,14 +1,34 @@
 const fs = require('fs');
 const path = require('path');
+const DatasetValidator = require('./dataset-validator');
+const ConditionEvaluator = require('./condition-evaluator');
+const DatasetVersionStore = require('./dataset-versions');
 
 /**
  * Business Licensing Requirements Matching Engine
  * Handles the core logic for matching business profiles to regulatory requirements
  */
 
+// Numeric profile fields checked for nearby thresholds, with their lowest valid value
+const THRESHOLD_FIELDS = {
+    seatingCapacity: { minValue: 0, label: 'מספר מקומות הישיבה', unit: 'מקומות' },
+    floorArea: { minValue: 1, label: 'שטח העסק', unit: 'מ"ר' }
+};
+
+const BUSINESS_TYPES = [
+    'restaurant', 'cafe', 'fast_food', 'delivery_only',
+    'catering', 'food_truck', 'bar_pub', 'hotel_restaurant'
+];
+
+// A threshold is a near miss when it is within this share of the current value (or NEAR_MISS_MIN_DELTA units)
+const NEAR_MISS_RATIO = 0.2;
+const NEAR_MISS_MIN_DELTA = 5;
+
 class MatchingEngine {
     constructor() {
         this.requirementsData = null;
+        this.datasetVersion = null;
+        this.conditionEvaluator = new ConditionEvaluator();
         this.loadRequirements();
     }
 
@@ -19,10 +39,14 @@ class MatchingEngine {
         try {
             const dataPath = path.join(__dirname, '../data/licensing-requirements.json');
             const rawData = fs.readFileSync(dataPath, 'utf8');
-            this.requirementsData = JSON.parse(rawData);
+            const data = JSON.parse(rawData);
+            new DatasetValidator().assertValid(data);
+            this.requirementsData = data;
+            // Same ID as the version archive: hand edits count as a new version, reprocessing alone does not
+            this.datasetVersion = new DatasetVersionStore().getVersionId(data);
             console.log('Licensing requirements data loaded successfully');
         } catch (error) {
-            console.error('Error loading requirements data:', error);
+            console.error('Error loading requirements data:', error.validationErrors ? error.message : error);
             throw new Error('Failed to load licensing requirements data');
         }
     }
@@ -30,15 +54,17 @@ class MatchingEngine {
     /**
      * Main method to find applicable requirements for a business profile
      * @param {Object} businessProfile - Business characteristics from questionnaire
+     * @param {Object} [options]
+     * @param {boolean} [options.explain] - Include a per-requirement trace of rules and conditions
      * @returns {Object} Filtered requirements with metadata
      */
-    findApplicableRequirements(businessProfile) {
+    findApplicableRequirements(businessProfile, options = {}) {
         try {
             // Validate input
             this.validateBusinessProfile(businessProfile);
 
-            // Get all requirements
-            const allRequirements = this.getAllRequirements();
+            // Get all requirements, with the municipality's overlay merged in
+            const allRequirements = this.getAllRequirements(businessProfile.municipality);
 
             // Apply matching rules
             const applicableRequirements = this.applyMatchingRules(businessProfile, allRequirements);
@@ -46,22 +72,128 @@ class MatchingEngine {
             // Group requirements by authority
             const groupedRequirements = this.groupRequirementsByAuthority(applicableRequirements);
 
+            // Order by prerequisites, then schedule and price the plan
+            const actionPlan = this.buildActionPlan(applicableRequirements, allRequirements);
+            const estimates = this.buildEstimates(businessProfile, applicableRequirements, actionPlan);
+
             // Calculate summary statistics
-            const summary = this.calculateSummary(applicableRequirements);
+            const summary = this.calculateSummary(applicableRequirements, estimates);
 
-            return {
+            const overlay = this.getMunicipalOverlay(businessProfile.municipality);
+
+            const result = {
                 businessProfile: this.sanitizeBusinessProfile(businessProfile),
+                municipality: overlay ? { municipalityId: overlay.municipalityId, name: overlay.name } : null,
                 requirements: groupedRequirements,
+                authorities: this.describeAuthorities(applicableRequirements),
+                activities: this.describeActivities(businessProfile, applicableRequirements),
                 summary: summary,
+                actionPlan,
+                estimates,
+                thresholdAlerts: this.findThresholdAlerts(businessProfile, allRequirements, applicableRequirements),
                 processedAt: new Date().toISOString()
             };
 
+            if (options.explain) {
+                result.explanation = this.explainMatch(businessProfile, allRequirements);
+            }
+
+            return result;
+
         } catch (error) {
             console.error('Error finding applicable requirements:', error);
             throw error;
         }
     }
 
+    /**
+     * Compare what-if scenarios against the first one (the baseline)
+     * @param {Array<Object>} scenarios - Scenarios as { name, profile }
+     * @returns {Object} { baseline, scenarios: [{ name, businessProfile, summary, diff }] }
+     */
+    compareScenarios(scenarios) {
+        const results = scenarios.map((scenario, index) => ({
+            name: scenario.name || `תרחיש ${index + 1}`,
+            match: this.findApplicableRequirements(scenario.profile)
+        }));
+
+        const [baseline, ...alternatives] = results;
+        const baselineRequirements = this.flattenGroupedRequirements(baseline.match.requirements);
+
+        return {
+            baseline: {
+                name: baseline.name,
+                businessProfile: baseline.match.businessProfile,
+                summary: baseline.match.summary,
+                requirementIds: baselineRequirements.map(req => req.requirementId)
+            },
+            scenarios: alternatives.map(({ name, match }) => {
+                const requirements = this.flattenGroupedRequirements(match.requirements);
+                return {
+                    name,
+                    businessProfile: match.businessProfile,
+                    summary: match.summary,
+                    requirementIds: requirements.map(req => req.requirementId),
+                    diff: this.diffScenario(baselineRequirements, baseline.match.summary, requirements, match.summary)
+                };
+            })
+        };
+    }
+
+    /**
+     * Diff one scenario against the baseline
+     * @param {Array} baseRequirements - Baseline requirements
+     * @param {Object} baseSummary - Baseline summary
+     * @param {Array} requirements - Scenario requirements
+     * @param {Object} summary - Scenario summary
+     * @returns {Object} Added/removed requirements and summary changes
+     */
+    diffScenario(baseRequirements, baseSummary, requirements, summary) {
+        const baseIds = new Set(baseRequirements.map(req => req.requirementId));
+        const ids = new Set(requirements.map(req => req.requirementId));
+
+        const authorities = new Set([
+            ...Object.keys(baseSummary.authorityCounts),
+            ...Object.keys(summary.authorityCounts)
+        ]);
+        const authorityCountChanges = {};
+        authorities.forEach(authority => {
+            const before = baseSummary.authorityCounts[authority] || 0;
+            const after = summary.authorityCounts[authority] || 0;
+            if (before !== after) {
+                authorityCountChanges[authority] = { before, after, change: after - before };
+            }
+        });
+
+        const compareField = (field) => ({
+            before: baseSummary[field],
+            after: summary[field],
+            changed: baseSummary[field] !== summary[field]
+        });
+
+        return {
+            addedRequirements: requirements
+                .filter(req => !baseIds.has(req.requirementId))
+                .map(req => this.summarizeRequirement(req)),
+            removedRequirements: baseRequirements
+                .filter(req => !ids.has(req.requirementId))
+                .map(req => this.summarizeRequirement(req)),
+            totalRequirementsChange: summary.totalRequirements - baseSummary.totalRequirements,
+            authorityCountChanges,
+            estimatedProcessingTime: compareField('estimatedProcessingTime'),
+            complexityLevel: compareField('complexityLevel')
+        };
+    }
+
+    /**
+     * Flatten requirements grouped by authority into one list
+     * @param {Object} groupedRequirements - Requirements keyed by authority category
+     * @returns {Array} Requirements
+     */
+    flattenGroupedRequirements(groupedRequirements) {
+        return Object.values(groupedRequirements).flat();
+    }
+
     /**
      * Validate business profile input
      * @param {Object} profile - Business profile to validate
@@ -75,14 +207,14 @@ class MatchingEngine {
             }
         }
 
-        // Validate business type
-        const validBusinessTypes = [
-            'restaurant', 'cafe', 'fast_food', 'delivery_only', 
-            'catering', 'food_truck', 'bar_pub', 'hotel_restaurant'
-        ];
-        if (!validBusinessTypes.includes(profile.businessType)) {
+        // Validate business type and the types of secondary activities
+        if (!BUSINESS_TYPES.includes(profile.businessType)) {
             throw new Error(`Invalid business type: ${profile.businessType}`);
         }
+        const invalidActivity = (profile.secondaryActivities || []).find(activity => !BUSINESS_TYPES.includes(activity));
+        if (invalidActivity !== undefined) {
+            throw new Error(`Invalid business type: ${invalidActivity}`);
+        }
 
         // Validate numeric values
         if (typeof profile.seatingCapacity !== 'number' || profile.seatingCapacity < 0) {
@@ -95,33 +227,150 @@ class MatchingEngine {
 
     /**
      * Get all requirements from all authorities
+     * With a municipality that has an overlay, its local requirements are added, its condition
+     * overrides replace the national conditions and its local fees are attached as localFees
+     * @param {string} [municipalityId] - Municipality ID from the business profile
      * @returns {Array} All requirements with source authority
      */
-    getAllRequirements() {
+    getAllRequirements(municipalityId) {
         const requirements = [];
         const regulatoryReqs = this.requirementsData.regulatoryRequirements;
 
-        // Add general requirements
-        regulatoryReqs.generalRequirements.forEach(req => {
-            requirements.push({ ...req, category: 'general' });
+        // Add the requirements of every authority in the registry, in registry order
+        this.getAuthorities().forEach(authority => {
+            (regulatoryReqs[authority.collection] || []).forEach(req => {
+                requirements.push({ ...req, category: authority.authorityId });
+            });
         });
 
-        // Add police requirements
-        regulatoryReqs.policeRequirements.forEach(req => {
-            requirements.push({ ...req, category: 'police' });
-        });
+        const overlay = this.getMunicipalOverlay(municipalityId);
+        if (!overlay) {
+            return requirements;
+        }
 
-        // Add health ministry requirements
-        regulatoryReqs.healthMinistryRequirements.forEach(req => {
-            requirements.push({ ...req, category: 'health' });
+        // Add local requirements of the municipality
+        (overlay.requirements || []).forEach(req => {
+            requirements.push({ ...req, category: req.category || 'general', municipality: overlay.name });
         });
 
-        // Add fire authority requirements
-        regulatoryReqs.fireAuthorityRequirements.forEach(req => {
-            requirements.push({ ...req, category: 'fire' });
-        });
+        return requirements.map(req => this.applyMunicipalOverlay(req, overlay));
+    }
+
+    /**
+     * Apply a municipal overlay's condition override and local fees to one requirement
+     * @param {Object} requirement - Requirement
+     * @param {Object} overlay - Municipal overlay
+     * @returns {Object} The requirement, or a copy with the local changes
+     */
+    applyMunicipalOverlay(requirement, overlay) {
+        const override = (overlay.conditionOverrides || [])
+            .find(item => item.requirementId === requirement.requirementId);
+        const localFees = (overlay.localFees || [])
+            .filter(fee => fee.requirementId === requirement.requirementId)
+            .map(fee => ({ description: fee.description, feeILS: fee.feeILS, municipality: overlay.name }));
+
+        if (!override && localFees.length === 0) {
+            return requirement;
+        }
+
+        return {
+            ...requirement,
+            ...(override ? {
+                conditions: override.conditions,
+                conditionOverride: { municipality: overlay.name, note: override.note || null }
+            } : {}),
+            ...(localFees.length > 0 ? { localFees } : {})
+        };
+    }
+
+    /**
+     * Matching rules for a municipality: the national rules, with the overlay's rule condition
+     * overrides applied, followed by its local rules
+     * @param {string} [municipalityId] - Municipality ID from the business profile
+     * @returns {Array} Matching rules
+     */
+    getRules(municipalityId) {
+        const rules = this.requirementsData.businessLicensingMapping.rules;
+        const overlay = this.getMunicipalOverlay(municipalityId);
+        if (!overlay) {
+            return rules;
+        }
+
+        const overrides = (overlay.conditionOverrides || []).filter(item => item.ruleId);
+        return [
+            ...rules.map(rule => {
+                const override = overrides.find(item => item.ruleId === rule.ruleId);
+                return override ? { ...rule, condition: override.condition } : rule;
+            }),
+            ...(overlay.rules || [])
+        ];
+    }
+
+    /**
+     * Licensing authorities from the dataset's registry
+     * @returns {Array<Object>} Authorities: { authorityId, name: { he, en }, collection, idPrefix,
+     *   chapterPattern, contact, submission, tips }
+     */
+    getAuthorities() {
+        return this.requirementsData.authorities;
+    }
+
+    /**
+     * Find an authority in the registry
+     * @param {string} authorityId - Authority ID (a requirement's category)
+     * @returns {Object|null} Authority
+     */
+    getAuthority(authorityId) {
+        return this.getAuthorities().find(authority => authority.authorityId === authorityId) || null;
+    }
 
-        return requirements;
+    /**
+     * Registry entries of the authorities involved in a match, for the report
+     * @param {Array} requirements - Applicable requirements
+     * @returns {Array<Object>} [{ authorityId, name, contact, submission, tips, reportFocus, requirementIds }]
+     */
+    describeAuthorities(requirements) {
+        return this.getAuthorities()
+            .map(authority => ({
+                authorityId: authority.authorityId,
+                name: authority.name,
+                contact: authority.contact || {},
+                submission: authority.submission,
+                tips: authority.tips || [],
+                reportFocus: authority.reportFocus || null,
+                requirementIds: requirements
+                    .filter(req => req.category === authority.authorityId)
+                    .map(req => req.requirementId)
+            }))
+            .filter(authority => authority.requirementIds.length > 0);
+    }
+
+    /**
+     * Find the overlay of a municipality
+     * Municipalities without an overlay (or no municipality at all) get the national rules only
+     * @param {string} [municipalityId] - Municipality ID from the business profile
+     * @returns {Object|null} Municipal overlay
+     */
+    getMunicipalOverlay(municipalityId) {
+        if (!municipalityId) {
+            return null;
+        }
+        return (this.requirementsData.municipalOverlays || [])
+            .find(overlay => overlay.municipalityId === municipalityId) || null;
+    }
+
+    /**
+     * List the municipalities that have local overlays
+     * @returns {Array<Object>} [{ municipalityId, name, localRequirements, conditionOverrides, localFees }]
+     */
+    getMunicipalities() {
+        return (this.requirementsData.municipalOverlays || []).map(overlay => ({
+            municipalityId: overlay.municipalityId,
+            name: overlay.name,
+            localRequirements: (overlay.requirements || []).map(req => this.summarizeRequirement(req)),
+            conditionOverrides: (overlay.conditionOverrides || []).length,
+            localFees: (overlay.localFees || []).length
+        }));
     }
 
     /**
@@ -132,154 +381,545 @@ class MatchingEngine {
      */
     applyMatchingRules(profile, allRequirements) {
         const applicableRequirements = [];
-        const rules = this.requirementsData.businessLicensingMapping.rules;
+        const rules = this.getRules(profile.municipality);
+
+        // Every activity is matched as if it were the business type. A requirement triggered by several
+        // activities is listed once, attributed to the first of them (the primary type comes first)
+        for (const activity of this.getActivities(profile)) {
+            const activityProfile = { ...profile, businessType: activity };
+
+            for (const rule of rules) {
+                if (!this.matchesRuleCondition(activityProfile, rule.condition)) {
+                    continue;
+                }
 
-        // For each rule, check if it applies to this business profile
-        for (const rule of rules) {
-            if (this.matchesRuleCondition(profile, rule.condition)) {
-                // Add all requirements specified by this rule
+                // Add the requirements of the rule whose own conditions hold
                 for (const reqId of rule.applicableRequirements) {
                     const requirement = allRequirements.find(req => req.requirementId === reqId);
-                    if (requirement && !applicableRequirements.find(r => r.requirementId === reqId)) {
+                    if (!requirement || !this.matchesRequirementConditions(activityProfile, requirement)) {
+                        continue;
+                    }
+
+                    const existing = applicableRequirements.find(r => r.requirementId === reqId);
+                    if (!existing) {
                         applicableRequirements.push({
                             ...requirement,
-                            matchedByRule: rule.ruleId
+                            matchedByRule: rule.ruleId,
+                            activity,
+                            activities: [activity]
                         });
+                    } else if (!existing.activities.includes(activity)) {
+                        existing.activities.push(activity);
                     }
                 }
             }
         }
 
-        // Additional filtering based on individual requirement conditions
-        return applicableRequirements.filter(req => {
-            return this.matchesRequirementConditions(profile, req);
-        });
+        return applicableRequirements;
     }
 
     /**
-     * Check if business profile matches a rule condition
+     * Business types the profile is matched as: the primary type, then the secondary activities
      * @param {Object} profile - Business profile
-     * @param {Object} condition - Rule condition to check
-     * @returns {boolean} True if profile matches condition
+     * @returns {Array<string>} Business type IDs without duplicates
      */
-    matchesRuleCondition(profile, condition) {
-        // Check business type
-        if (condition.businessType && profile.businessType !== condition.businessType) {
-            return false;
-        }
+    getActivities(profile) {
+        return [...new Set([profile.businessType, ...(profile.secondaryActivities || [])])];
+    }
 
-        // Check seating capacity
-        if (condition.seatingCapacity) {
-            if (condition.seatingCapacity.min !== undefined && 
-                profile.seatingCapacity < condition.seatingCapacity.min) {
-                return false;
+    /**
+     * Requirements contributed by each activity of a mixed-use business
+     * @param {Object} profile - Business profile
+     * @param {Array} requirements - Applicable requirements
+     * @returns {Array<Object>} [{ businessType, primary, requirementIds, sharedRequirementIds }] - requirementIds
+     *   are attributed to the activity, sharedRequirementIds were also triggered by it but attributed to an earlier one
+     */
+    describeActivities(profile, requirements) {
+        return this.getActivities(profile).map(activity => ({
+            businessType: activity,
+            primary: activity === profile.businessType,
+            requirementIds: requirements
+                .filter(req => req.activity === activity)
+                .map(req => req.requirementId),
+            sharedRequirementIds: requirements
+                .filter(req => req.activity !== activity && req.activities.includes(activity))
+                .map(req => req.requirementId)
+        }));
+    }
+
+    /**
+     * Order the applicable requirements into steps that respect their prerequisites
+     * A requirement goes in the step after its last prerequisite; requirements in the same step
+     * do not depend on each other and can be handled in parallel. Prerequisites that do not apply
+     * to the business are skipped, but their own prerequisites still count (A -> B -> C with B
+     * not applicable keeps C after A). The dataset validator rejects cycles at load time.
+     * @param {Array} applicableRequirements - Matched requirements
+     * @param {Array} allRequirements - All available requirements
+     * @returns {Object} { totalSteps, steps: [{ step, parallel, requirements: [{ requirementId, title,
+     *   authority, mandatory, prerequisites }] }] }
+     */
+    buildActionPlan(applicableRequirements, allRequirements) {
+        const applicableIds = new Set(applicableRequirements.map(req => req.requirementId));
+        const requirementsById = new Map(allRequirements.map(req => [req.requirementId, req]));
+
+        const getApplicablePrerequisites = (requirementId, visited = new Set()) => {
+            const prerequisites = requirementsById.get(requirementId)?.prerequisites || [];
+            return prerequisites.flatMap(prerequisiteId => {
+                if (visited.has(prerequisiteId)) {
+                    return [];
+                }
+                visited.add(prerequisiteId);
+                return applicableIds.has(prerequisiteId)
+                    ? [prerequisiteId]
+                    : getApplicablePrerequisites(prerequisiteId, visited);
+            });
+        };
+
+        const prerequisitesById = new Map(applicableRequirements.map(req =>
+            [req.requirementId, [...new Set(getApplicablePrerequisites(req.requirementId))]]));
+
+        const stepById = new Map();
+        const getStep = (requirementId) => {
+            if (!stepById.has(requirementId)) {
+                const prerequisiteSteps = prerequisitesById.get(requirementId).map(getStep);
+                stepById.set(requirementId, Math.max(0, ...prerequisiteSteps) + 1);
             }
-            if (condition.seatingCapacity.max !== undefined && 
-                profile.seatingCapacity > condition.seatingCapacity.max) {
-                return false;
+            return stepById.get(requirementId);
+        };
+
+        const steps = [];
+        applicableRequirements.forEach(req => {
+            const step = getStep(req.requirementId);
+            if (!steps[step - 1]) {
+                steps[step - 1] = { step, parallel: false, requirements: [] };
             }
+            steps[step - 1].requirements.push({
+                ...this.summarizeRequirement(req),
+                mandatory: req.mandatory,
+                prerequisites: prerequisitesById.get(req.requirementId)
+            });
+        });
+        steps.forEach(step => {
+            step.parallel = step.requirements.length > 1;
+        });
+
+        return {
+            totalSteps: steps.length,
+            steps
+        };
+    }
+
+    /**
+     * Schedule the action plan and add up its costs from the duration and fee ranges in the dataset
+     * Every requirement starts when its last prerequisite ends, so the total duration is the
+     * critical path through the plan rather than the sum of all durations. Minimum and maximum
+     * are computed separately. Requirements without estimates take no time and cost nothing,
+     * and are listed in unestimatedRequirementIds.
+     * @param {Object} profile - Business profile
+     * @param {Array} applicableRequirements - Matched requirements
+     * @param {Object} actionPlan - Plan from buildActionPlan
+     * @returns {Object} { currency, timeline: { minDays, maxDays, criticalPath }, costs: { min, max,
+     *   byAuthority }, requirements: [{ requirementId, durationDays, feeILS, startDay, endDay, critical }],
+     *   unestimatedRequirementIds }
+     */
+    buildEstimates(profile, applicableRequirements, actionPlan) {
+        const requirementsById = new Map(applicableRequirements.map(req => [req.requirementId, req]));
+        const schedule = new Map();
+
+        // Steps are in dependency order, so prerequisites are always scheduled first
+        actionPlan.steps.forEach(step => {
+            step.requirements.forEach(planned => {
+                const requirement = requirementsById.get(planned.requirementId);
+                const resolved = this.resolveEstimates(requirement, profile);
+                const duration = resolved ? resolved.durationDays : { min: 0, max: 0 };
+                const prerequisiteEnds = planned.prerequisites.map(requirementId => schedule.get(requirementId).endDay);
+                const startDay = {
+                    min: Math.max(0, ...prerequisiteEnds.map(end => end.min)),
+                    max: Math.max(0, ...prerequisiteEnds.map(end => end.max))
+                };
+
+                schedule.set(planned.requirementId, {
+                    requirementId: planned.requirementId,
+                    title: requirement.title,
+                    authority: requirement.authority,
+                    authorityKey: requirement.category,
+                    estimated: Boolean(resolved),
+                    durationDays: resolved ? resolved.durationDays : null,
+                    feeILS: resolved ? resolved.feeILS : null,
+                    prerequisites: planned.prerequisites,
+                    startDay,
+                    endDay: { min: startDay.min + duration.min, max: startDay.max + duration.max },
+                    critical: false
+                });
+            });
+        });
+
+        const entries = Array.from(schedule.values());
+        const estimated = entries.filter(entry => entry.estimated);
+
+        // Walk back from the latest finish through the prerequisite that delays it the most
+        const criticalPath = [];
+        let current = entries.reduce((latest, entry) =>
+            (!latest || entry.endDay.max > latest.endDay.max ? entry : latest), null);
+        while (current && current.endDay.max > 0) {
+            current.critical = true;
+            criticalPath.unshift(current.requirementId);
+            current = current.prerequisites
+                .map(requirementId => schedule.get(requirementId))
+                .reduce((latest, entry) => (!latest || entry.endDay.max > latest.endDay.max ? entry : latest), null);
         }
 
-        // Check floor area
-        if (condition.floorArea) {
-            if (condition.floorArea.min !== undefined && 
-                profile.floorArea < condition.floorArea.min) {
-                return false;
-            }
-            if (condition.floorArea.max !== undefined && 
-                profile.floorArea > condition.floorArea.max) {
-                return false;
+        const byAuthority = [];
+        estimated.forEach(entry => {
+            let authority = byAuthority.find(item => item.authorityKey === entry.authorityKey);
+            if (!authority) {
+                authority = {
+                    authorityKey: entry.authorityKey,
+                    authority: this.getAuthority(entry.authorityKey)?.name.he || entry.authority,
+                    min: 0,
+                    max: 0,
+                    requirementIds: []
+                };
+                byAuthority.push(authority);
             }
+            authority.min += entry.feeILS.min;
+            authority.max += entry.feeILS.max;
+            authority.requirementIds.push(entry.requirementId);
+        });
+
+        return {
+            currency: 'ILS',
+            timeline: {
+                minDays: Math.max(0, ...entries.map(entry => entry.endDay.min)),
+                maxDays: Math.max(0, ...entries.map(entry => entry.endDay.max)),
+                criticalPath
+            },
+            costs: {
+                min: byAuthority.reduce((sum, authority) => sum + authority.min, 0),
+                max: byAuthority.reduce((sum, authority) => sum + authority.max, 0),
+                byAuthority
+            },
+            requirements: entries,
+            unestimatedRequirementIds: entries.filter(entry => !entry.estimated).map(entry => entry.requirementId)
+        };
+    }
+
+    /**
+     * Duration and fee ranges of a requirement for a business profile
+     * Matching overrides replace the base ranges (later ones win); per-unit fees are multiplied
+     * by the profile's seating or area. Municipal local fees are added on top; a requirement with
+     * local fees but no estimates of its own takes no time.
+     * @param {Object} requirement - Requirement with optional estimates and localFees
+     * @param {Object} profile - Business profile
+     * @returns {Object|null} { durationDays: { min, max }, feeILS: { min, max } }, or null without estimates
+     */
+    resolveEstimates(requirement, profile) {
+        const estimates = requirement.estimates;
+        const localFees = requirement.localFees || [];
+        if (!estimates && localFees.length === 0) {
+            return null;
         }
 
-        // Check required services
-        if (condition.hasService && condition.hasService.length > 0) {
-            for (const service of condition.hasService) {
-                const hasService = (profile.services && profile.services[service]) ||
-                                 (profile.kitchenFeatures && profile.kitchenFeatures[service]) ||
-                                 (profile.operationalHours && profile.operationalHours[service]);
-                if (!hasService) {
-                    return false;
-                }
+        let durationDays = estimates ? estimates.durationDays : { min: 0, max: 0 };
+        let fee = estimates ? estimates.feeILS : { min: 0, max: 0 };
+        (estimates?.overrides || []).forEach(override => {
+            if (this.conditionEvaluator.evaluate(override.when, profile)) {
+                durationDays = override.durationDays || durationDays;
+                fee = override.feeILS || fee;
             }
-        }
+        });
+
+        const feeILS = [fee, ...localFees.map(localFee => localFee.feeILS)]
+            .map(range => this.resolveFee(range, profile))
+            .reduce((total, range) => ({ min: total.min + range.min, max: total.max + range.max }), { min: 0, max: 0 });
 
-        return true;
+        return {
+            durationDays: { min: durationDays.min, max: durationDays.max },
+            feeILS
+        };
     }
 
     /**
-     * Check if business profile matches individual requirement conditions
+     * Fee range for a business profile, with per-unit amounts multiplied by its seating or area
+     * @param {Object} fee - Fee range with optional perUnit
      * @param {Object} profile - Business profile
-     * @param {Object} requirement - Requirement with conditions
-     * @returns {boolean} True if requirement applies
+     * @returns {Object} { min, max } in shekels
      */
-    matchesRequirementConditions(profile, requirement) {
-        if (!requirement.conditions || Object.keys(requirement.conditions).length === 0) {
-            return true; // No conditions means always applies
-        }
+    resolveFee(fee, profile) {
+        const units = fee.perUnit ? Number(profile[fee.perUnit.field]) || 0 : 0;
+        return {
+            min: Math.round(fee.min + (fee.perUnit ? fee.perUnit.min * units : 0)),
+            max: Math.round(fee.max + (fee.perUnit ? fee.perUnit.max * units : 0))
+        };
+    }
+
+    /**
+     * Find the nearest seating/area thresholds above and below the profile that change its requirements
+     * Each threshold in the rules and requirement conditions is tried by re-running the matching with
+     * the field moved there, so combined conditions (any/not) are handled the same way as matching
+     * @param {Object} profile - Business profile
+     * @param {Array} allRequirements - All available requirements
+     * @param {Array} applicableRequirements - Requirements matched for the profile as submitted
+     * @returns {Array<Object>} Alerts: { field, direction, currentValue, thresholdValue, change,
+     *   addedRequirements, removedRequirements, nearMiss, message }
+     */
+    findThresholdAlerts(profile, allRequirements, applicableRequirements) {
+        const currentIds = new Set(applicableRequirements.map(req => req.requirementId));
+        const alerts = [];
 
-        const conditions = requirement.conditions;
+        Object.entries(THRESHOLD_FIELDS).forEach(([field, config]) => {
+            const currentValue = profile[field];
+            const candidates = this.getThresholdCandidates(field, allRequirements, profile.municipality)
+                .filter(value => value >= config.minValue && value !== currentValue);
 
-        // Check minimum seating capacity
-        if (conditions.minSeatingCapacity !== undefined && 
-            profile.seatingCapacity < conditions.minSeatingCapacity) {
-            return false;
-        }
+            const above = candidates.filter(value => value > currentValue).sort((a, b) => a - b);
+            const below = candidates.filter(value => value < currentValue).sort((a, b) => b - a);
 
-        // Check maximum seating capacity
-        if (conditions.maxSeatingCapacity !== undefined && 
-            profile.seatingCapacity > conditions.maxSeatingCapacity) {
-            return false;
-        }
+            [['increase', above], ['decrease', below]].forEach(([direction, values]) => {
+                for (const value of values) {
+                    const matched = this.applyMatchingRules({ ...profile, [field]: value }, allRequirements);
+                    const matchedIds = new Set(matched.map(req => req.requirementId));
+
+                    const added = matched.filter(req => !currentIds.has(req.requirementId));
+                    const removed = applicableRequirements.filter(req => !matchedIds.has(req.requirementId));
+                    if (added.length === 0 && removed.length === 0) {
+                        continue;
+                    }
+
+                    const change = value - currentValue;
+                    const alert = {
+                        field,
+                        direction,
+                        currentValue,
+                        thresholdValue: value,
+                        change,
+                        addedRequirements: added.map(req => this.summarizeRequirement(req)),
+                        removedRequirements: removed.map(req => this.summarizeRequirement(req)),
+                        nearMiss: Math.abs(change) <= Math.max(NEAR_MISS_MIN_DELTA, currentValue * NEAR_MISS_RATIO)
+                    };
+                    alert.message = this.describeThresholdAlert(alert, config);
+                    alerts.push(alert);
+                    break;
+                }
+            });
+        });
+
+        return alerts;
+    }
 
-        // Check minimum floor area
-        if (conditions.minFloorArea !== undefined && 
-            profile.floorArea < conditions.minFloorArea) {
-            return false;
+    /**
+     * Values worth trying for a numeric field: every threshold in the dataset and its neighbours,
+     * so both inclusive (>=) and exclusive (>) comparisons are crossed
+     * @param {string} field - Numeric profile field
+     * @param {Array} allRequirements - All available requirements
+     * @param {string} [municipalityId] - Municipality whose rules apply
+     * @returns {Array<number>} Distinct candidate values
+     */
+    getThresholdCandidates(field, allRequirements, municipalityId) {
+        const conditions = [
+            ...this.getRules(municipalityId).map(rule => rule.condition),
+            ...allRequirements.map(req => req.conditions)
+        ];
+
+        const candidates = new Set();
+        conditions.forEach(condition => {
+            this.conditionEvaluator.collectThresholds(condition, field).forEach(value => {
+                candidates.add(value - 1);
+                candidates.add(value);
+                candidates.add(value + 1);
+            });
+        });
+
+        return Array.from(candidates);
+    }
+
+    /**
+     * Short requirement reference for alerts and comparisons
+     * @param {Object} requirement - Requirement
+     * @returns {Object} { requirementId, title, authority }
+     */
+    summarizeRequirement(requirement) {
+        return {
+            requirementId: requirement.requirementId,
+            title: requirement.title,
+            authority: requirement.authority
+        };
+    }
+
+    /**
+     * Hebrew description of a threshold alert
+     * e.g. "הגדלת מספר מקומות הישיבה ל-20 מקומות (+2) תחייב: פיקוח על מכירת אלכוהול"
+     * @param {Object} alert - Threshold alert
+     * @param {Object} config - Field labels
+     * @returns {string} Message
+     */
+    describeThresholdAlert(alert, config) {
+        const verb = alert.direction === 'increase' ? 'הגדלת' : 'הקטנת';
+        const sign = alert.change > 0 ? '+' : '';
+        const effects = [];
+        if (alert.addedRequirements.length > 0) {
+            effects.push(`תחייב: ${alert.addedRequirements.map(req => req.title).join(', ')}`);
         }
+        if (alert.removedRequirements.length > 0) {
+            effects.push(`תבטל את הצורך ב: ${alert.removedRequirements.map(req => req.title).join(', ')}`);
+        }
+        return `${verb} ${config.label} ל-${alert.thresholdValue} ${config.unit} (${sign}${alert.change}) ${effects.join('; ')}`;
+    }
+
+    /**
+     * Explain the matching decision for every requirement in the dataset
+     * Mirrors applyMatchingRules: a requirement applies when at least one rule listing it fires
+     * and its own conditions pass, for at least one activity of the business
+     * @param {Object} profile - Business profile
+     * @param {Array} allRequirements - All available requirements
+     * @returns {Object} { requirements: [{ requirementId, applicable, activity, reason, rules, conditions }] }
+     */
+    explainMatch(profile, allRequirements) {
+        // A requirement is explained by the first activity that matched it, or by the primary type
+        const traces = this.getActivities(profile)
+            .map(activity => this.explainActivity({ ...profile, businessType: activity }, allRequirements));
+        const requirements = allRequirements.map((requirement, index) =>
+            traces.map(trace => trace[index]).find(entry => entry.applicable) || traces[0][index]);
+
+        return {
+            applicableCount: requirements.filter(req => req.applicable).length,
+            requirements
+        };
+    }
+
+    /**
+     * Explain the matching decision for every requirement for one business type
+     * @param {Object} profile - Business profile with the activity as its business type
+     * @param {Array} allRequirements - All available requirements
+     * @returns {Array<Object>} One entry per requirement, in the order of allRequirements
+     */
+    explainActivity(profile, allRequirements) {
+        const ruleTraces = this.getRules(profile.municipality).map(rule => ({
+            ruleId: rule.ruleId,
+            applicableRequirements: rule.applicableRequirements,
+            trace: this.conditionEvaluator.explain(rule.condition, profile)
+        }));
+
+        return allRequirements.map(requirement => {
+            const rules = ruleTraces
+                .filter(rule => rule.applicableRequirements.includes(requirement.requirementId))
+                .map(rule => ({
+                    ruleId: rule.ruleId,
+                    fired: rule.trace.passed,
+                    condition: rule.trace
+                }));
+            const firedRule = rules.find(rule => rule.fired);
+
+            const hasConditions = requirement.conditions && Object.keys(requirement.conditions).length > 0;
+            const conditions = hasConditions
+                ? this.conditionEvaluator.explain(requirement.conditions, profile)
+                : null;
+            const conditionsPassed = !conditions || conditions.passed;
 
-        // Check maximum floor area
-        if (conditions.maxFloorArea !== undefined && 
-            profile.floorArea > conditions.maxFloorArea) {
-            return false;
+            return {
+                requirementId: requirement.requirementId,
+                title: requirement.title,
+                category: requirement.category,
+                applicable: Boolean(firedRule) && conditionsPassed,
+                matchedByRule: firedRule && conditionsPassed ? firedRule.ruleId : null,
+                activity: firedRule && conditionsPassed ? profile.businessType : null,
+                reason: this.describeMatchDecision(rules, firedRule, conditions),
+                rules,
+                conditions
+            };
+        });
+    }
+
+    /**
+     * Summarize why a requirement was or was not matched
+     * @param {Array} rules - Traces of the rules that list the requirement
+     * @param {Object|undefined} firedRule - First rule that fired
+     * @param {Object|null} conditions - Trace of the requirement conditions
+     * @returns {string} Reason
+     */
+    describeMatchDecision(rules, firedRule, conditions) {
+        if (rules.length === 0) {
+            return 'No matching rule lists this requirement';
+        }
+        if (!firedRule) {
+            const failedRules = rules
+                .map(rule => `${rule.ruleId}: ${this.collectFailedClauses(rule.condition).join('; ')}`)
+                .join(' | ');
+            return `No rule listing this requirement matched the profile - ${failedRules}`;
         }
+        if (conditions && !conditions.passed) {
+            const failed = this.collectFailedClauses(conditions).join('; ');
+            return `${firedRule.ruleId} fired, but requirement conditions failed: ${failed}`;
+        }
+        return `Matched by ${firedRule.ruleId}`;
+    }
 
-        // Check required services
-        if (conditions.requiredServices && conditions.requiredServices.length > 0) {
-            for (const service of conditions.requiredServices) {
-                const hasService = (profile.services && profile.services[service]) ||
-                                 (profile.kitchenFeatures && profile.kitchenFeatures[service]) ||
-                                 (profile.operationalHours && profile.operationalHours[service]);
-                if (!hasService) {
-                    return false;
-                }
-            }
+    /**
+     * Collect descriptions of the leaf clauses that failed in a trace
+     * @param {Object} trace - Condition trace
+     * @returns {Array<string>} Failed clause descriptions
+     */
+    collectFailedClauses(trace) {
+        if (trace.passed) {
+            return [];
         }
+        if (trace.type === 'all' || trace.type === 'any') {
+            return trace.clauses.flatMap(clause => this.collectFailedClauses(clause));
+        }
+        if (trace.type === 'not') {
+            return [`not (${this.describeTrace(trace.clause)})`];
+        }
+        return [trace.description];
+    }
 
-        // Check business types
-        if (conditions.applicableBusinessTypes && 
-            !conditions.applicableBusinessTypes.includes(profile.businessType)) {
-            return false;
+    /**
+     * One-line description of a trace node
+     * @param {Object} trace - Condition trace
+     * @returns {string} Description
+     */
+    describeTrace(trace) {
+        if (trace.type === 'all' || trace.type === 'any') {
+            return trace.clauses.map(clause => this.describeTrace(clause)).join(trace.type === 'all' ? ' and ' : ' or ');
+        }
+        if (trace.type === 'not') {
+            return `not (${this.describeTrace(trace.clause)})`;
         }
+        return trace.description;
+    }
 
-        return true;
+    /**
+     * Check if business profile matches a rule condition
+     * @param {Object} profile - Business profile
+     * @param {Object} condition - Rule condition to check (see ConditionEvaluator)
+     * @returns {boolean} True if profile matches condition
+     */
+    matchesRuleCondition(profile, condition) {
+        return this.conditionEvaluator.evaluate(condition, profile);
+    }
+
+    /**
+     * Check if business profile matches individual requirement conditions
+     * @param {Object} profile - Business profile
+     * @param {Object} requirement - Requirement with conditions
+     * @returns {boolean} True if requirement applies (no conditions means always applies)
+     */
+    matchesRequirementConditions(profile, requirement) {
+        return this.conditionEvaluator.evaluate(requirement.conditions, profile);
     }
 
     /**
      * Group requirements by regulatory authority
      * @param {Array} requirements - Filtered requirements
-     * @returns {Object} Requirements grouped by authority
+     * @returns {Object} Requirements grouped by authority ID, with every authority in the registry as a key
      */
     groupRequirementsByAuthority(requirements) {
-        const grouped = {
-            general: [],
-            police: [],
-            health: [],
-            fire: []
-        };
+        const grouped = {};
+        this.getAuthorities().forEach(authority => {
+            grouped[authority.authorityId] = [];
+        });
 
         requirements.forEach(req => {
-            const category = req.category || 'general';
+            const category = req.category;
             if (grouped[category]) {
                 grouped[category].push({
                     requirementId: req.requirementId,
@@ -288,7 +928,14 @@ class MatchingEngine {
                     authority: req.authority,
                     mandatory: req.mandatory,
                     matchedByRule: req.matchedByRule,
-                    conditions: req.conditions || {}
+                    activity: req.activity,
+                    activities: req.activities,
+                    conditions: req.conditions || {},
+                    prerequisites: req.prerequisites || [],
+                    municipality: req.municipality || null,
+                    conditionOverride: req.conditionOverride || null,
+                    localFees: req.localFees || [],
+                    sources: req.sources || []
                 });
             }
         });
@@ -299,14 +946,15 @@ class MatchingEngine {
     /**
      * Calculate summary statistics for the requirements
      * @param {Array} requirements - Applicable requirements
+     * @param {Object} [estimates] - Result of buildEstimates
      * @returns {Object} Summary statistics
      */
-    calculateSummary(requirements) {
+    calculateSummary(requirements, estimates) {
         const mandatoryCount = requirements.filter(req => req.mandatory).length;
         const optionalCount = requirements.length - mandatoryCount;
 
         const authorityCounts = requirements.reduce((acc, req) => {
-            const category = req.category || 'general';
+            const category = req.category;
             acc[category] = (acc[category] || 0) + 1;
             return acc;
         }, {});
@@ -316,17 +964,23 @@ class MatchingEngine {
             mandatoryRequirements: mandatoryCount,
             optionalRequirements: optionalCount,
             authorityCounts: authorityCounts,
-            estimatedProcessingTime: this.estimateProcessingTime(requirements.length),
+            estimatedProcessingTime: this.estimateProcessingTime(requirements.length, estimates?.timeline),
             complexityLevel: this.assessComplexityLevel(requirements.length, mandatoryCount)
         };
     }
 
     /**
-     * Estimate processing time based on number of requirements
+     * Estimate processing time from the critical-path timeline
+     * Falls back to buckets by number of requirements when none of them has estimates
      * @param {number} requirementCount - Total number of requirements
+     * @param {Object} [timeline] - Timeline from buildEstimates
      * @returns {string} Estimated time range
      */
-    estimateProcessingTime(requirementCount) {
+    estimateProcessingTime(requirementCount, timeline) {
+        if (timeline && timeline.maxDays > 0) {
+            return `${Math.ceil(timeline.minDays / 7)}-${Math.ceil(timeline.maxDays / 7)} weeks`;
+        }
+
         if (requirementCount <= 3) return '1-2 weeks';
         if (requirementCount <= 6) return '2-4 weeks';
         if (requirementCount <= 10) return '4-8 weeks';
@@ -353,8 +1007,10 @@ class MatchingEngine {
     sanitizeBusinessProfile(profile) {
         return {
             businessType: profile.businessType,
+            secondaryActivities: profile.secondaryActivities || [],
             seatingCapacity: profile.seatingCapacity,
             floorArea: profile.floorArea,
+            municipality: profile.municipality || null,
             services: profile.services || {},
             kitchenFeatures: profile.kitchenFeatures || {},
             operationalHours: profile.operationalHours || {}
@@ -364,19 +1020,23 @@ class MatchingEngine {
     /**
      * Get business type recommendations based on profile
      * @param {Object} profile - Business profile
+     * @param {Array} [thresholdAlerts] - Threshold alerts of the profile's match (findApplicableRequirements)
      * @returns {Array} Array of recommendations
      */
-    getBusinessRecommendations(profile) {
+    getBusinessRecommendations(profile, thresholdAlerts = []) {
         const recommendations = [];
 
-        // Size-based recommendations
-        if (profile.seatingCapacity > 50 || profile.floorArea > 200) {
-            recommendations.push({
-                type: 'size_warning',
-                message: 'בעסק בגודל זה נדרשים אישורים נוספים ותהליך מורכב יותר',
-                priority: 'high'
+        // Size-based recommendations: thresholds close to the current seating or area, such as the
+        // fire suppression system required with gas from a given floor area
+        thresholdAlerts
+            .filter(alert => alert.nearMiss)
+            .forEach(alert => {
+                recommendations.push({
+                    type: 'threshold_alert',
+                    message: alert.message,
+                    priority: alert.addedRequirements.length > 0 ? 'high' : 'medium'
+                });
             });
-        }
 
         // Service-based recommendations
         if (profile.services?.alcoholService) {
@@ -387,11 +1047,11 @@ class MatchingEngine {
             });
         }
 
-        if (profile.kitchenFeatures?.gasUsage && profile.floorArea > 100) {
+        if (profile.businessType === 'food_truck') {
             recommendations.push({
-                type: 'fire_safety',
-                message: 'שימוש בגז בשטח גדול דורש מערכות כיבוי מתקדמות',
-                priority: 'medium'
+                type: 'mobile_vending',
+                message: 'היתר רוכלות ניתן על ידי כל רשות מקומית בנפרד - יש להוציא היתר בכל עיר שבה הרכב פועל',
+                priority: 'high'
             });
         }
 
@@ -400,31 +1060,66 @@ class MatchingEngine {
 
     /**
      * Get detailed requirement information by ID
+     * National requirements are shown as the municipality changes them; a local requirement
+     * is found in its municipality's overlay even when no municipality is given
      * @param {string} requirementId - Requirement ID
+     * @param {string} [municipalityId] - Municipality whose overlay applies
      * @returns {Object} Detailed requirement information
      */
-    getRequirementDetails(requirementId) {
-        const allRequirements = this.getAllRequirements();
-        const requirement = allRequirements.find(req => req.requirementId === requirementId);
-        
+    getRequirementDetails(requirementId, municipalityId) {
+        // Search the given municipality first (or the national requirements), then every other overlay
+        const overlayIds = (this.requirementsData.municipalOverlays || [])
+            .map(overlay => overlay.municipalityId)
+            .filter(overlayId => overlayId !== municipalityId);
+
+        let allRequirements = [];
+        let requirement = null;
+        for (const searchId of [municipalityId, ...overlayIds]) {
+            allRequirements = this.getAllRequirements(searchId);
+            requirement = allRequirements.find(req => req.requirementId === requirementId);
+            if (requirement) {
+                break;
+            }
+        }
+
         if (!requirement) {
             throw new Error(`Requirement not found: ${requirementId}`);
         }
 
         return {
             ...requirement,
-            relatedRequirements: this.findRelatedRequirements(requirement),
+            authorityDetails: this.getAuthority(requirement.category),
+            sources: requirement.sources || [],
+            citations: (requirement.sources || []).map(source => this.formatCitation(source)),
+            relatedRequirements: this.findRelatedRequirements(requirement, allRequirements),
             processingTips: this.getProcessingTips(requirement)
         };
     }
 
+    /**
+     * Format a source citation for display
+     * @param {Object} source - Requirement source (document, page, chapter, clause)
+     * @returns {string} Citation, e.g. "18-07-2022_4.2A.pdf, פרק 3 - משטרת ישראל, סעיף 3.6, עמוד 7"
+     */
+    formatCitation(source) {
+        const parts = [
+            source.document,
+            `פרק ${source.chapter}${source.chapterTitle ? ` - ${source.chapterTitle}` : ''}`,
+            `סעיף ${source.clause}`
+        ];
+        if (source.page) {
+            parts.push(`עמוד ${source.page}`);
+        }
+        return parts.join(', ');
+    }
+
     /**
      * Find related requirements (same authority or similar conditions)
      * @param {Object} requirement - Base requirement
+     * @param {Array<Object>} allRequirements - Requirements to search, with the same municipal overlay
      * @returns {Array} Related requirements
      */
-    findRelatedRequirements(requirement) {
-        const allRequirements = this.getAllRequirements();
+    findRelatedRequirements(requirement, allRequirements) {
         return allRequirements
             .filter(req => req.requirementId !== requirement.requirementId && 
                           req.authority === requirement.authority)
@@ -434,27 +1129,10 @@ class MatchingEngine {
     /**
      * Get processing tips for a specific requirement
      * @param {Object} requirement - Requirement object
-     * @returns {Array} Array of processing tips
+     * @returns {Array} Tips of the requirement's authority from the registry
      */
     getProcessingTips(requirement) {
-        const tips = [];
-        
-        if (requirement.authority === 'משטרת ישראל') {
-            tips.push('יש להגיש בקשה לתחנת משטרה המקומית');
-            tips.push('תהליך הבדיקה עשוי לקחת 2-4 שבועות');
-        }
-        
-        if (requirement.authority === 'משרד הבריאות') {
-            tips.push('נדרש ביקור של פקח משרד הבריאות במקום');
-            tips.push('חשוב לוודא תקינות מערכות המים והתברואה');
-        }
-
-        if (requirement.authority === 'מכבי האש וההצלה הארצי') {
-            tips.push('נדרש מדידה מקצועית של מערכות הבטיחות');
-            tips.push('חשוב להכין תוכניות אדריכליות עדכניות');
-        }
-
-        return tips;
+        return this.getAuthority(requirement.category)?.tips || [];
     }
 }
 
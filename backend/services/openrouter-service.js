@@ -1,19 +1,67 @@
-const axios = require('axios');
+const { createLLMProvider } = require('./llm-providers');
+const ReportStreamParser = require('./report-stream-parser');
+const ReportValidator = require('./report-validator');
+const ReportVerifier = require('./report-verifier');
+
+// Bump when the prompt, the report schema or report post-processing changes; part of the report cache key
+const PROMPT_VERSION = '10';
+
+// Title of the deterministic roadmap section; sections whose title contains the pattern are replaced by it
+const ACTION_PLAN_TITLE = 'מפת דרכים לפעולה';
+const ACTION_PLAN_TITLE_PATTERN = 'מפת דרכים';
+
+// Title of the deterministic cost and timeline section, placed after the roadmap
+const ESTIMATES_TITLE = 'עלויות ולוח זמנים משוערים';
+
+// Title of the deterministic section with each authority's submission channel and contact details, placed last
+const AUTHORITIES_TITLE = 'הגשה ופרטי קשר לפי רשות';
+
+const SUBMISSION_CHANNEL_LABELS = {
+    online: 'הגשה מקוונת',
+    in_person: 'הגשה פרונטלית',
+    via_municipality: 'דרך הרשות המקומית',
+    email: 'בדואר אלקטרוני',
+    mail: 'בדואר'
+};
+
+// Questionnaire follow-up answers
+const ALCOHOL_SERVICE_MODE_LABELS = {
+    on_premise: 'לצריכה במקום',
+    takeaway: 'למכירה לקחת בלבד'
+};
+
+const LIVE_MUSIC_LOCATION_LABELS = {
+    indoor: 'בתוך המבנה',
+    outdoor: 'בשטח פתוח'
+};
+
+const GAS_TYPE_LABELS = {
+    lpg: 'גפ"מ במכלים',
+    natural_gas: 'גז טבעי מרשת'
+};
+
+const SYSTEM_PROMPT = 'אתה מומחה מנוסה ברישוי עסקים בישראל עם יכולות עיבוד נתונים מתקדמות. אתה מתמחה בעיבוד חכם של דרישות רישוי גולמיות, התאמה אישית מדויקת לכל עסק, ותרגום שפה משפטית מורכבת לשפה עסקית ברורה ומעשית. הדוחות שלך מסודרים בקפדנות לפי עדיפויות עם המלצות פעולה קונקרטיות.';
 
 /**
- * OpenRouter API Service for generating business licensing reports
- * Uses OpenRouter API to generate clear, user-friendly reports from licensing requirements
+ * AI Report Service for generating business licensing reports
+ * Generates clear, user-friendly reports from licensing requirements through the configured
+ * LLM provider (OpenRouter by default, see llm-providers.js)
  */
 class OpenRouterService {
-    constructor() {
-        this.apiKey = process.env.OPENROUTER_API_KEY;
-        this.baseUrl = process.env.OPENROUTER_BASE_URL;
-        this.model = process.env.OPENROUTER_BASE_MODEL;
-        
-        if (!this.apiKey) {
-            console.warn('OpenRouter API key not found in environment variables. Set OPENROUTER_API_KEY in .env file.');
+    /**
+     * @param {LLMProvider} [provider] - LLM provider, created from LLM_PROVIDER when omitted
+     */
+    constructor(provider) {
+        this.provider = provider || createLLMProvider();
+        this.promptVersion = PROMPT_VERSION;
+        this.reportValidator = new ReportValidator();
+        this.reportVerifier = new ReportVerifier();
+
+        const warning = this.provider.getConfigurationWarning();
+        if (warning) {
+            console.warn(warning);
         } else {
-            console.log('OpenRouter API key configured successfully');
+            console.log(`${this.provider.displayName} configured successfully (model: ${this.provider.model})`);
         }
     }
 
@@ -38,46 +86,314 @@ class OpenRouterService {
             
             const prompt = this.buildReportPrompt(requirementsData, businessProfile);
             
-            const response = await axios.post(`${this.baseUrl}/chat/completions`, {
-                model: this.model,
-                messages: [
-                    {
-                        role: 'system',
-                        content: 'אתה מומחה מנוסה ברישוי עסקים בישראל עם יכולות עיבוד נתונים מתקדמות. אתה מתמחה בעיבוד חכם של דרישות רישוי גולמיות, התאמה אישית מדויקת לכל עסק, ותרגום שפה משפטית מורכבת לשפה עסקית ברורה ומעשית. הדוחות שלך מסודרים בקפדנות לפי עדיפויות עם המלצות פעולה קונקרטיות.'
-                    },
-                    {
-                        role: 'user', 
-                        content: prompt
-                    }
-                ],
-                max_tokens: 4000,
-                temperature: 0.3,
-                stream: false
-            }, {
-                headers: {
-                    'Authorization': `Bearer ${this.apiKey}`,
-                    'Content-Type': 'application/json',
-                    'HTTP-Referer': 'http://localhost:3001',
-                    'X-Title': 'Business Licensing Report Generator'
-                }
+            const aiResponse = await this.provider.complete({
+                system: SYSTEM_PROMPT,
+                prompt,
+                maxTokens: 4000,
+                temperature: 0.3
             });
-
-            const aiResponse = response.data.choices[0].message.content;
             
-            return this.parseAIResponse(aiResponse, requirementsData, businessProfile);
+            const report = await this.parseAIResponse(aiResponse, requirementsData, businessProfile);
+            return this.verifyReport(this.applyEngineResults(report, requirementsData), requirementsData);
             
         } catch (error) {
-            console.error('Error generating report with OpenRouter:', error.message);
+            console.error(`Error generating report with ${this.provider.displayName}:`, error.message);
             if (error.response) {
                 console.error('Response status:', error.response.status);
                 console.error('Response data:', error.response.data);
             }
             
             // Fallback to basic report if AI fails
-            return this.generateFallbackReport(requirementsData, businessProfile);
+            const fallbackReport = this.generateFallbackReport(requirementsData, businessProfile);
+            return this.verifyReport(this.applyEngineResults(fallbackReport, requirementsData), requirementsData);
+        }
+    }
+
+    /**
+     * Generate a report while streaming the LLM output
+     * Same result as generateReport; handlers receive tokens and every section as soon as it is complete
+     * @param {Object} requirementsData - The requirements data from matching engine
+     * @param {Object} businessProfile - The business profile used for matching
+     * @param {Object} [handlers]
+     * @param {Function} [handlers.onToken] - Called with each text delta
+     * @param {Function} [handlers.onSection] - Called with (index, section) for each completed section
+     * @param {AbortSignal} [handlers.signal] - Aborts the LLM request (e.g. client disconnected)
+     * @returns {Promise<Object>} Generated report
+     */
+    async generateReportStream(requirementsData, businessProfile, handlers = {}) {
+        const parser = new ReportStreamParser();
+
+        try {
+            const prompt = this.buildReportPrompt(requirementsData, businessProfile);
+
+            const aiResponse = await this.provider.stream({
+                system: SYSTEM_PROMPT,
+                prompt,
+                maxTokens: 4000,
+                temperature: 0.3,
+                signal: handlers.signal
+            }, (token) => {
+                if (handlers.onToken) {
+                    handlers.onToken(token);
+                }
+                parser.push(token).forEach(({ index, section }) => {
+                    if (handlers.onSection) {
+                        handlers.onSection(index, section);
+                    }
+                });
+            });
+
+            const report = await this.parseAIResponse(aiResponse, requirementsData, businessProfile, handlers.signal);
+            return this.verifyReport(this.applyEngineResults(report, requirementsData), requirementsData);
+
+        } catch (error) {
+            if (handlers.signal?.aborted) {
+                throw error;
+            }
+            console.error(`Error streaming report with ${this.provider.displayName}:`, error.message);
+
+            // Fallback to basic report if AI fails
+            const fallbackReport = this.generateFallbackReport(requirementsData, businessProfile);
+            return this.verifyReport(this.applyEngineResults(fallbackReport, requirementsData), requirementsData);
         }
     }
 
+    /**
+     * Whether a report was built without the LLM (provider error or unusable output)
+     * Such reports are not worth caching
+     * @param {Object} report - Generated report
+     * @returns {boolean} True for fallback reports
+     */
+    isFallbackReport(report) {
+        return /Fallback/.test(report.metadata?.generatedBy || '');
+    }
+
+    /**
+     * Add the parts of the report computed by the matching engine rather than the model
+     * @param {Object} report - Generated report
+     * @param {Object} requirementsData - Requirements data with actionPlan, estimates and authorities
+     * @returns {Object} The report with the roadmap, costs, timeline and authority contacts
+     */
+    applyEngineResults(report, requirementsData) {
+        const withPlan = this.applyActionPlan(report, requirementsData);
+        return this.applyAuthorities(this.applyEstimates(withPlan, requirementsData), requirementsData);
+    }
+
+    /**
+     * Close the report with how to reach every authority involved, taken from the authority registry
+     * Contact details are never left to the model
+     * @param {Object} report - Generated report
+     * @param {Object} requirementsData - Requirements data with authorities
+     * @returns {Object} The report with authorities and a "הגשה ופרטי קשר לפי רשות" section
+     */
+    applyAuthorities(report, requirementsData) {
+        const authorities = requirementsData.authorities || [];
+        if (authorities.length === 0) {
+            return report;
+        }
+
+        report.sections = [
+            ...report.sections.filter(section => section.title !== AUTHORITIES_TITLE),
+            {
+                title: AUTHORITIES_TITLE,
+                content: this.buildAuthoritiesMarkdown(requirementsData),
+                priority: 'medium',
+                requirementIds: authorities.flatMap(authority => authority.requirementIds)
+            }
+        ];
+        report.authorities = authorities;
+
+        return report;
+    }
+
+    /**
+     * Put the action plan computed from the prerequisite graph at the top of the report
+     * The roadmap is never left to the model: any roadmap section it wrote anyway is replaced
+     * @param {Object} report - Generated report
+     * @param {Object} requirementsData - Requirements data with actionPlan
+     * @returns {Object} The report with actionPlan and a "מפת דרכים לפעולה" section
+     */
+    applyActionPlan(report, requirementsData) {
+        const actionPlan = requirementsData.actionPlan;
+        if (!actionPlan || actionPlan.totalSteps === 0) {
+            return report;
+        }
+
+        report.sections = [
+            {
+                title: ACTION_PLAN_TITLE,
+                content: this.buildActionPlanMarkdown(requirementsData),
+                priority: 'high',
+                requirementIds: actionPlan.steps.flatMap(step => step.requirements.map(req => req.requirementId))
+            },
+            ...report.sections.filter(section => !section.title.includes(ACTION_PLAN_TITLE_PATTERN))
+        ];
+        report.actionPlan = actionPlan;
+
+        return report;
+    }
+
+    /**
+     * Replace the cost and timeframe with the ranges computed from the dataset
+     * A cost and timeline section follows the roadmap; the model only narrates these numbers
+     * @param {Object} report - Generated report
+     * @param {Object} requirementsData - Requirements data with estimates
+     * @returns {Object} The report with estimates, totalEstimatedCost and estimatedTimeframe
+     */
+    applyEstimates(report, requirementsData) {
+        const estimateSummary = this.getEstimateSummary(requirementsData);
+        if (!estimateSummary) {
+            return report;
+        }
+
+        const sections = report.sections.filter(section => section.title !== ESTIMATES_TITLE);
+        const roadmapIndex = sections.findIndex(section => section.title === ACTION_PLAN_TITLE);
+        sections.splice(roadmapIndex + 1, 0, {
+            title: ESTIMATES_TITLE,
+            content: this.buildEstimatesMarkdown(requirementsData),
+            priority: 'medium',
+            requirementIds: requirementsData.estimates.requirements
+                .filter(entry => entry.estimated)
+                .map(entry => entry.requirementId)
+        });
+
+        report.sections = sections;
+        report.totalEstimatedCost = estimateSummary.totalEstimatedCost;
+        report.estimatedTimeframe = estimateSummary.estimatedTimeframe;
+        report.estimates = requirementsData.estimates;
+
+        return report;
+    }
+
+    /**
+     * Formatted total cost and timeframe
+     * @param {Object} requirementsData - Requirements data with estimates
+     * @returns {Object|null} { totalEstimatedCost, estimatedTimeframe }, or null when no requirement has estimates
+     */
+    getEstimateSummary(requirementsData) {
+        const estimates = requirementsData.estimates;
+        if (!estimates || estimates.requirements.every(entry => !entry.estimated)) {
+            return null;
+        }
+
+        const { minDays, maxDays } = estimates.timeline;
+        return {
+            totalEstimatedCost: this.formatCostRange(estimates.costs),
+            estimatedTimeframe: `${Math.ceil(minDays / 7)}–${Math.ceil(maxDays / 7)} שבועות (${minDays}–${maxDays} ימים)`
+        };
+    }
+
+    /**
+     * Build each authority's submission channel, contact details and tips in Markdown
+     * @param {Object} requirementsData - Requirements data with authorities
+     * @returns {string} Markdown content (empty when there are no authorities)
+     */
+    buildAuthoritiesMarkdown(requirementsData) {
+        let content = '';
+        (requirementsData.authorities || []).forEach(authority => {
+            const { contact, submission } = authority;
+            content += `### ${authority.name.he}\n\n`;
+            content += `- **אופן הגשה**: ${SUBMISSION_CHANNEL_LABELS[submission.channel] || submission.channel}`;
+            content += submission.description ? ` - ${submission.description}\n` : '\n';
+            if (submission.url) {
+                content += `- **הגשה באתר**: ${submission.url}\n`;
+            }
+            if (contact.office) {
+                content += `- **גורם מטפל**: ${contact.office}\n`;
+            }
+            if (contact.phone) {
+                content += `- **טלפון**: ${contact.phone}\n`;
+            }
+            if (contact.email) {
+                content += `- **דוא"ל**: ${contact.email}\n`;
+            }
+            if (contact.website) {
+                content += `- **אתר**: ${contact.website}\n`;
+            }
+            content += `- **דרישות**: ${authority.requirementIds.join(', ')}\n`;
+            authority.tips.forEach(tip => {
+                content += `- 💡 ${tip}\n`;
+            });
+            content += '\n';
+        });
+
+        return content;
+    }
+
+    /**
+     * List the authorities of a match with what the report should tailor each one's section to
+     * @param {Object} requirementsData - Requirements data with authorities
+     * @returns {string} Indented Markdown list
+     */
+    buildAuthorityFocusList(requirementsData) {
+        const authorities = requirementsData.authorities || [];
+        if (authorities.length === 0) {
+            return '   - אין רשויות מעורבות';
+        }
+        return authorities
+            .map(authority => `   - ${authority.name.he}: ${authority.reportFocus || 'פירוט ממוקד למה שרלוונטי לעסק'}`)
+            .join('\n');
+    }
+
+    /**
+     * Hebrew name of an authority from the registry entries of a match
+     * @param {Object} requirementsData - Requirements data with authorities
+     * @param {string} authorityId - Authority ID
+     * @returns {string} Hebrew name, or the ID when the authority is not listed
+     */
+    getAuthorityName(requirementsData, authorityId) {
+        const authority = (requirementsData.authorities || []).find(entry => entry.authorityId === authorityId);
+        return authority ? authority.name.he : authorityId;
+    }
+
+    /**
+     * Format a shekel range, e.g. "₪1,500–₪4,000"
+     * @param {Object} range - { min, max }
+     * @returns {string} Formatted range
+     */
+    formatCostRange(range) {
+        const format = (amount) => `₪${amount.toLocaleString('en-US')}`;
+        return range.min === range.max ? format(range.min) : `${format(range.min)}–${format(range.max)}`;
+    }
+
+    /**
+     * Check the report against the matched requirements and record the result in its metadata
+     * Mandatory requirements the report does not cite are added in a dedicated section,
+     * so a report never silently omits one
+     * @param {Object} report - Generated report
+     * @param {Object} requirementsData - Requirements data from matching engine
+     * @returns {Object} The report with metadata.coverage and metadata.verification
+     */
+    verifyReport(report, requirementsData) {
+        const verification = this.reportVerifier.verify(report, requirementsData);
+
+        if (verification.missingMandatoryRequirements.length > 0) {
+            console.warn('Report does not cite mandatory requirements:',
+                verification.missingMandatoryRequirements.map(req => req.requirementId).join(', '));
+
+            report.sections.push({
+                title: 'דרישות חובה שלא פורטו בדוח',
+                content: 'הדרישות הבאות חלות על העסק שלך ויש לטפל בהן, אף שלא פורטו בחלקי הדוח האחרים:\n\n' +
+                    verification.missingMandatoryRequirements
+                        .map(req => `- **${req.requirementId} - ${req.title}** (${req.authority})`)
+                        .join('\n'),
+                priority: 'high',
+                requirementIds: verification.missingMandatoryRequirements.map(req => req.requirementId)
+            });
+        }
+
+        report.metadata = {
+            ...report.metadata,
+            coverage: verification.coverage,
+            verification: {
+                ...verification,
+                supplementedRequirementIds: verification.missingMandatoryRequirements.map(req => req.requirementId)
+            }
+        };
+
+        return report;
+    }
+
     /**
      * Build the prompt for the AI to generate a comprehensive report
      * @param {Object} requirementsData - Requirements data
@@ -85,6 +401,8 @@ class OpenRouterService {
      * @returns {string} Formatted prompt
      */
     buildReportPrompt(requirementsData, businessProfile) {
+        const estimateSummary = this.getEstimateSummary(requirementsData);
+
         return `
 אתה מומחה מנוסה ברישוי עסקים בישראל. תפקידך לנתח דרישות רישוי גולמיות ולהפוך אותן לדוח מקיף, מותאם אישית וברור עבור בעל העסק.
 
@@ -97,22 +415,52 @@ class OpenRouterService {
 
 **פרטי העסק לעיבוד מותאם אישית:**
 - סוג העסק: ${businessProfile.businessType}
+- פעילויות נוספות באותו מקום: ${(businessProfile.secondaryActivities || []).join(', ') || 'אין'}
 - קיבולת ישיבה: ${businessProfile.seatingCapacity} מקומות
 - שטח העסק: ${businessProfile.floorArea} מ"ר
-- מוכר אלכוהול: ${businessProfile.services?.alcoholService ? 'כן' : 'לא'}
+- מוכר אלכוהול: ${businessProfile.services?.alcoholService ? 'כן' : 'לא'}${businessProfile.services?.alcoholServiceMode ? ` (${ALCOHOL_SERVICE_MODE_LABELS[businessProfile.services.alcoholServiceMode]})` : ''}
+- מכירה לקחת (טייק אוויי): ${businessProfile.services?.takeaway ? 'כן' : 'לא'}
 - מוכר בשר: ${businessProfile.kitchenFeatures?.meatHandling ? 'כן' : 'לא'}
-- שימוש בגז: ${businessProfile.kitchenFeatures?.gasUsage ? 'כן' : 'לא'}
+- מוכר מוצרי חלב: ${businessProfile.kitchenFeatures?.dairyProducts ? 'כן' : 'לא'}
+- מוסיקה חיה: ${businessProfile.services?.liveMusic ? 'כן' : 'לא'}${businessProfile.services?.liveMusicLocation ? ` (${LIVE_MUSIC_LOCATION_LABELS[businessProfile.services.liveMusicLocation]})` : ''}
+- שימוש בגז: ${businessProfile.kitchenFeatures?.gasUsage ? 'כן' : 'לא'}${businessProfile.kitchenFeatures?.gasType ? ` (${GAS_TYPE_LABELS[businessProfile.kitchenFeatures.gasType]})` : ''}
+- אזור עישון: ${businessProfile.kitchenFeatures?.smokingArea ? 'כן' : 'לא'}
 - פתוח עד מאוחר: ${businessProfile.operationalHours?.lateNightOperation ? 'כן' : 'לא'}
+- פתוח 24 שעות ביממה: ${businessProfile.operationalHours?.twentyFourSeven ? 'כן' : 'לא'}
+- רשות מקומית: ${requirementsData.municipality ? requirementsData.municipality.name : 'לא צוינה - חלות הדרישות הארציות בלבד'}
+
+**ספי גודל קרובים (חושבו על ידי מנוע ההתאמה - יש להציג אותם כפי שהם, ללא שינוי המספרים):**
+${this.buildThresholdAlertsMarkdown(requirementsData) || 'אין ספי גודל שמשנים את הדרישות'}
 
 **נתונים גולמיים לעיבוד מקובץ ה-PDF המקורי:**
 ${JSON.stringify(requirementsData, null, 2)}
 
+**סדר ביצוע מחייב (חושב על ידי מנוע ההתאמה מתוך התלויות בין הדרישות - אין לשנות אותו):**
+${this.buildActionPlanMarkdown(requirementsData) || 'אין תלויות בין הדרישות'}
+
+**עלויות ולוח זמנים (חושבו על ידי מנוע ההתאמה מנתוני המאגר - יש להשתמש רק במספרים האלה):**
+${this.buildEstimatesMarkdown(requirementsData) || 'אין הערכות עלות וזמן במאגר עבור הדרישות האלה'}
+
+**רשויות, אופן הגשה ופרטי קשר (ממאגר הרשויות - סעיף "${AUTHORITIES_TITLE}" נוסף לדוח אוטומטית; אל תכתוב אותו ואל תמציא פרטי קשר):**
+${this.buildAuthoritiesMarkdown(requirementsData) || 'אין רשויות מעורבות'}
+
+**מזהי הדרישות שחלות על העסק (requirementId):**
+${this.buildRequirementIdsList(requirementsData)}
+
+**ציטוט דרישות (חובה):**
+- כל סעיף בדוח וכל פעולה ב-"actions" חייבים לכלול "requirementIds" - רשימת מזהי הדרישות שעליהן הם מבוססים
+- השתמש אך ורק במזהים מהרשימה שלמעלה - אסור להמציא מזהים או לצטט דרישות שאינן חלות על העסק
+- כל דרישת חובה חייבת להופיע לפחות בסעיף אחד או בפעולה אחת
+- אין לכלול טענות על דרישות רישוי שאינן מבוססות על אחת הדרישות ברשימה
+
 **הוראות יצירת הדוח:**
 
 **התאמה אישית מלאה:**
 - נתח את מאפייני העסק הספציפיים (גודל, תפוסה, פעילות)
 - התאם את הדרישות בדיוק למה שרלוונטי לעסק הזה
 - הסבר איך כל מאפיין משפיע על הדרישות (למשל: "בשל קיבולת של ${businessProfile.seatingCapacity} מקומות...")
+- דרישות עם "municipality" הן דרישות מקומיות של הרשות, ו-"conditionOverride" ו-"localFees" הם תנאים ואגרות מקומיים שחלים במקום הכלל הארצי או בנוסף לו - ציין זאת בדוח
+- בעסק עם פעילויות נוספות, "activity" בכל דרישה הוא הפעילות שחייבה אותה ו-"activities" כל הפעילויות שמחייבות אותה - הסבר אילו דרישות נובעות מכל פעילות
 - זהה דרישות שעלולות להשתנות בהתבסס על המאפיינים הספציפיים
 
 **תרגום שפת חוק לשפה עסקית:**
@@ -123,17 +471,14 @@ ${JSON.stringify(requirementsData, null, 2)}
 
 **ארגון תוכן מובנה עם עדיפויות:**
 1. **סיכום ביצועי מותאם** - המשמעות הכוללת לעסק הספציפי הזה
-2. **מפת דרכים לפעולה** - סדר ביצוע מומלץ עם עדיפויות ברורות:
+2. **מפת דרכים לפעולה** - נבנית אוטומטית מסדר הביצוע המחייב שלמעלה. אל תכתוב סעיף כזה; סדר את "actions" לפי השלבים, וסמן עדיפויות:
    - 🔴 **דחוף וקריטי** (חייב להתחיל מיד)
    - 🟡 **חשוב** (להתחיל בחודש הקרוב)  
    - 🟢 **לא דחוף** (ניתן לדחות)
-3. **דרישות לפי רשות עם עלויות וזמנים:**
-   - עירייה: פירוט ממוקד למה שרלוונטי לגודל/סוג העסק
-   - משטרה: רק אם רלוונטי (אלכוהול/אירועים)
-   - משרד הבריאות: מותאם לסוג המזון/הכנה
-   - מכבי האש: מותאם לגודל ופעילות העסק
-4. **תכנון כספי מותאם** - עלויות ספציפיות לעסק הזה
-5. **לוח זמנים אישי** - התבסס על המאפיינים לתכנון ריאלי
+3. **דרישות לפי רשות עם עלויות וזמנים** - סעיף לכל אחת מהרשויות המעורבות בלבד:
+${this.buildAuthorityFocusList(requirementsData)}
+4. **עלויות ולוח זמנים** - נבנים אוטומטית מהמספרים המחושבים שלמעלה. אל תכתוב סעיף כזה ואל תמציא עלויות, אגרות או משכי זמן; בסיכום ובפעולות מותר להסביר את המספרים המחושבים בלבד (למשל מה נמצא בנתיב הקריטי)
+5. **תכנון הרחבה** - הסבר את ספי הגודל הקרובים שלמעלה: כמה מקומות/מ"ר נותרו עד הסף ואילו דרישות ייכנסו או ייצאו
 
 **המלצות פעולה מותאמות:**
 - המלצות ספציפיות בהתבסס על סוג ומאפייני העסק
@@ -152,85 +497,152 @@ ${JSON.stringify(requirementsData, null, 2)}
   "title": "דוח רישוי מותאם אישית - [סוג העסק]",
   "summary": "סיכום מותאם אישית המתמקד במאפייני העסק הספציפיים",
   "sections": [
-    {
-      "title": "מפת דרכים לפעולה",
-      "content": "תוכן markdown עם עדיפויות צבעוניות",
-      "priority": "high"
-    },
     {
       "title": "דרישות רשות [שם] - מותאם לעסק שלך",
       "content": "תוכן ספציפי לעסק בmarkdown",
-      "priority": "high|medium|low"
+      "priority": "high|medium|low",
+      "requirementIds": ["מזהי הדרישות של הרשות"]
+    }
+  ],
+  "actions": [
+    {
+      "title": "פעולה קונקרטית לביצוע",
+      "description": "פירוט קצר של הפעולה",
+      "priority": "high|medium|low",
+      "requirementIds": ["מזהה הדרישה שהפעולה ממלאת"]
     }
   ],
   "recommendations": ["המלצות מותאמות אישית לעסק הזה"],
   "personalizedInsights": ["תובנות ייחודיות לסוג ומאפייני העסק"],
-  "totalEstimatedCost": "הערכת עלות מותאמת לעסק הספציפי",
-  "estimatedTimeframe": "לוח זמנים מותאם למורכבות העסק הספציפי",
-  "criticalDeadlines": ["מועדים קריטיים ודחופים עבור העסק הזה"]
+  "totalEstimatedCost": "${estimateSummary ? estimateSummary.totalEstimatedCost : 'דרוש חישוב מפורט'}",
+  "estimatedTimeframe": "${estimateSummary ? estimateSummary.estimatedTimeframe : 'דרוש חישוב מפורט'}",
+  "criticalDeadlines": ["דרישות הנתיב הקריטי שלמעלה עם יום ההתחלה והמשך המחושבים - ללא מועדים אחרים"]
 }
 `;
     }
 
     /**
-     * Parse the AI response and structure it properly
+     * Parse the AI response and validate it against the report schema
+     * Invalid output gets one repair round-trip with the validation errors; whatever is still
+     * invalid or missing afterwards is taken field by field from the fallback report
      * @param {string} aiResponse - Raw AI response
      * @param {Object} requirementsData - Original requirements data
      * @param {Object} businessProfile - Business profile
-     * @returns {Object} Structured report
+     * @param {AbortSignal} [signal] - Aborts the repair request
+     * @returns {Promise<Object>} Structured report
      */
-    parseAIResponse(aiResponse, requirementsData, businessProfile) {
-        try {
-            // Try to parse as JSON first
-            const jsonMatch = aiResponse.match(/\{[\s\S]*\}/);
-            if (jsonMatch) {
-                const parsedReport = JSON.parse(jsonMatch[0]);
-                
-                // Add metadata and ensure new fields exist
-                parsedReport.metadata = {
-                    generatedAt: new Date().toISOString(),
-                    businessProfile: businessProfile,
-                    requirementsSummary: requirementsData.summary,
-                    generatedBy: 'OpenRouter AI'
-                };
-                
-                // Ensure new fields exist with fallbacks
-                if (!parsedReport.personalizedInsights) {
-                    parsedReport.personalizedInsights = [];
+    async parseAIResponse(aiResponse, requirementsData, businessProfile, signal) {
+        const initial = this.reportValidator.parse(aiResponse);
+        let result = initial;
+        let repaired = false;
+
+        if (!initial.valid) {
+            console.warn(`AI report failed schema validation (${initial.errors.length} errors), requesting repair`);
+            try {
+                const repairResponse = await this.provider.complete({
+                    system: SYSTEM_PROMPT,
+                    prompt: this.buildRepairPrompt(aiResponse, initial.errors),
+                    maxTokens: 4000,
+                    temperature: 0,
+                    signal
+                });
+                const repairedResult = this.reportValidator.parse(repairResponse);
+
+                // Keep the repaired report unless it came back worse than the original
+                if (repairedResult.report && (!initial.report || repairedResult.errors.length <= initial.errors.length)) {
+                    result = repairedResult;
+                    repaired = repairedResult.valid;
                 }
-                if (!parsedReport.criticalDeadlines) {
-                    parsedReport.criticalDeadlines = [];
+            } catch (error) {
+                if (signal?.aborted) {
+                    throw error;
                 }
-                
-                return parsedReport;
+                console.warn('AI report repair failed:', error.message);
             }
-        } catch (parseError) {
-            console.warn('Failed to parse AI response as JSON, creating structured fallback');
         }
 
-        // Fallback: create structured response from plain text
-        return {
-            title: `דוח דרישות רישוי עבור ${this.getBusinessTypeInHebrew(businessProfile.businessType)}`,
-            summary: aiResponse.substring(0, 300) + '...',
-            sections: [
-                {
-                    title: 'דוח מפורט',
-                    content: aiResponse,
-                    priority: 'high'
-                }
-            ],
-            recommendations: this.extractRecommendations(requirementsData),
-            personalizedInsights: this.extractPersonalizedInsights(businessProfile, requirementsData),
-            totalEstimatedCost: 'לא זמין',
-            estimatedTimeframe: 'לא זמין',
-            criticalDeadlines: this.extractCriticalDeadlines(requirementsData),
-            metadata: {
-                generatedAt: new Date().toISOString(),
-                businessProfile: businessProfile,
-                requirementsSummary: requirementsData.summary,
-                generatedBy: 'OpenRouter AI (Fallback)'
+        const { report, fallbackFields } = this.mergeWithFallback(result, requirementsData, businessProfile);
+
+        report.metadata = {
+            generatedAt: new Date().toISOString(),
+            businessProfile: businessProfile,
+            requirementsSummary: requirementsData.summary,
+            generatedBy: fallbackFields.length === this.reportValidator.getFields().length
+                ? `${this.provider.displayName} (Fallback)`
+                : this.provider.displayName,
+            model: this.provider.model,
+            validation: {
+                valid: initial.valid,
+                repaired,
+                errors: initial.errors,
+                remainingErrors: result.valid ? [] : result.errors,
+                fallbackFields
             }
         };
+
+        return report;
+    }
+
+    /**
+     * Build the prompt asking the model to fix a report that failed validation
+     * @param {string} aiResponse - Invalid response
+     * @param {Array<Object>} errors - Validation errors as { path, message }
+     * @returns {string} Repair prompt
+     */
+    buildRepairPrompt(aiResponse, errors) {
+        return `
+התשובה הקודמת שלך אינה תואמת למבנה ה-JSON הנדרש לדוח.
+
+**שגיאות שנמצאו:**
+${errors.map(error => `- ${error.path}: ${error.message}`).join('\n')}
+
+**הסכמה הנדרשת (JSON Schema):**
+${JSON.stringify(this.reportValidator.schema, null, 2)}
+
+**התשובה הקודמת:**
+${aiResponse}
+
+תקן את כל השגיאות והחזר את הדוח המלא כאובייקט JSON תקין אחד בלבד, ללא טקסט נוסף לפניו או אחריו.
+שמור על התוכן המקורי ככל האפשר - שנה רק את מה שנדרש כדי שהדוח יתאים לסכמה.
+`;
+    }
+
+    /**
+     * Merge a (possibly invalid) AI report with the deterministic fallback report
+     * Valid fields are kept as is, invalid sections are dropped, and every other invalid or
+     * missing field is taken from the fallback report
+     * @param {Object} result - Parse result { report, valid, errors } from ReportValidator
+     * @param {Object} requirementsData - Requirements data
+     * @param {Object} businessProfile - Business profile
+     * @returns {Object} { report, fallbackFields }
+     */
+    mergeWithFallback(result, requirementsData, businessProfile) {
+        const fallback = this.generateFallbackReport(requirementsData, businessProfile);
+        const aiReport = result.report || {};
+        const invalidFields = this.reportValidator.getInvalidFields(result.errors);
+        const invalidSections = this.reportValidator.getInvalidSectionIndexes(result.errors);
+        const report = {};
+        const fallbackFields = [];
+
+        this.reportValidator.getFields().forEach(field => {
+            let value = invalidFields.has(field) ? undefined : aiReport[field];
+
+            // A few broken sections should not throw away the rest of them
+            if (field === 'sections' && Array.isArray(aiReport.sections)
+                && !result.errors.some(error => error.path === 'sections')) {
+                const validSections = aiReport.sections.filter((section, index) => !invalidSections.has(index));
+                value = validSections.length > 0 ? validSections : undefined;
+            }
+
+            if (value === undefined) {
+                report[field] = fallback[field];
+                fallbackFields.push(field);
+            } else {
+                report[field] = value;
+            }
+        });
+
+        return { report, fallbackFields };
     }
 
     /**
@@ -241,6 +653,7 @@ ${JSON.stringify(requirementsData, null, 2)}
      */
     generateFallbackReport(requirementsData, businessProfile) {
         const businessTypeHebrew = this.getBusinessTypeInHebrew(businessProfile.businessType);
+        const allRequirements = this.reportVerifier.flattenRequirements(requirementsData);
         
         return {
             title: `דוח דרישות רישוי עבור ${businessTypeHebrew}`,
@@ -249,19 +662,35 @@ ${JSON.stringify(requirementsData, null, 2)}
                 {
                     title: 'סיכום הדרישות',
                     content: this.buildRequirementsSummaryMarkdown(requirementsData),
-                    priority: 'high'
+                    priority: 'high',
+                    requirementIds: allRequirements.map(req => req.requirementId)
                 },
                 {
                     title: 'דרישות לפי רשות',
                     content: this.buildRequirementsByAuthorityMarkdown(requirementsData),
-                    priority: 'high'
+                    priority: 'high',
+                    requirementIds: allRequirements.map(req => req.requirementId)
                 },
                 {
                     title: 'דרישות חובה',
                     content: this.buildMandatoryRequirementsMarkdown(requirementsData),
-                    priority: 'high'
-                }
+                    priority: 'high',
+                    requirementIds: allRequirements.filter(req => req.mandatory).map(req => req.requirementId)
+                },
+                ...(requirementsData.thresholdAlerts?.length ? [{
+                    title: 'ספי גודל קרובים',
+                    content: this.buildThresholdAlertsMarkdown(requirementsData),
+                    priority: 'medium',
+                    requirementIds: [...new Set(requirementsData.thresholdAlerts.flatMap(alert =>
+                        [...alert.addedRequirements, ...alert.removedRequirements].map(req => req.requirementId)))]
+                }] : [])
             ],
+            actions: allRequirements.map(req => ({
+                title: req.title,
+                description: `${req.authority}: ${req.description}`,
+                priority: req.mandatory ? 'high' : 'medium',
+                requirementIds: [req.requirementId]
+            })),
             recommendations: this.extractRecommendations(requirementsData),
             personalizedInsights: this.extractPersonalizedInsights(businessProfile, requirementsData),
             totalEstimatedCost: 'דרוש חישוב מפורט',
@@ -288,7 +717,9 @@ ${JSON.stringify(requirementsData, null, 2)}
             'fast_food': 'מזון מהיר',
             'delivery_only': 'משלוחים בלבד',
             'catering': 'קייטרינג',
-            'bar_pub': 'בר/פאב'
+            'bar_pub': 'בר/פאב',
+            'food_truck': 'מזון נייד',
+            'hotel_restaurant': 'מסעדת מלון'
         };
         return typeMap[businessType] || businessType;
     }
@@ -305,12 +736,33 @@ ${JSON.stringify(requirementsData, null, 2)}
 - **סה"כ דרישות**: ${requirementsData.summary.totalRequirements}
 - **דרישות חובה**: ${requirementsData.summary.mandatoryRequirements}
 - **דרישות אופציונליות**: ${requirementsData.summary.optionalRequirements}
-- **רשויות מעורבות**: ${Object.keys(requirementsData.summary.authorityCounts).join(', ')}
-
+- **רשויות מעורבות**: ${Object.keys(requirementsData.summary.authorityCounts).map(authorityId => this.getAuthorityName(requirementsData, authorityId)).join(', ')}
+${this.buildActivitiesMarkdown(requirementsData)}
 ${requirementsData.businessMatch ? '✅ העסק שלך מתאים לקטגוריה שנבחרה' : '⚠️ ייתכן שיש צורך בהתאמות נוספות'}
 `;
     }
 
+    /**
+     * Count the requirements each activity of a mixed-use business adds
+     * @param {Object} requirementsData - Requirements data with activities
+     * @returns {string} Markdown list items (empty for a single activity)
+     */
+    buildActivitiesMarkdown(requirementsData) {
+        const activities = requirementsData.activities || [];
+        if (activities.length < 2) {
+            return '';
+        }
+
+        return activities.map(entry => {
+            const name = this.getBusinessTypeInHebrew(entry.businessType);
+            const role = entry.primary ? 'פעילות עיקרית' : 'פעילות נוספת';
+            const shared = entry.sharedRequirementIds.length > 0
+                ? ` (ועוד ${entry.sharedRequirementIds.length} משותפות לפעילויות אחרות)`
+                : '';
+            return `- **${name}** (${role}): ${entry.requirementIds.length} דרישות${shared}\n`;
+        }).join('');
+    }
+
     /**
      * Build requirements by authority in Markdown
      * @param {Object} requirementsData - Requirements data
@@ -318,27 +770,14 @@ ${requirementsData.businessMatch ? '✅ העסק שלך מתאים לקטגור
      */
     buildRequirementsByAuthorityMarkdown(requirementsData) {
         let content = '';
-        
-        const byAuthority = {};
-        
-        // Flatten requirements from grouped structure
-        const allRequirements = [];
-        Object.keys(requirementsData.requirements).forEach(authority => {
-            requirementsData.requirements[authority].forEach(req => {
-                allRequirements.push({ ...req, authority });
-            });
-        });
-        
-        allRequirements.forEach(req => {
-            if (!byAuthority[req.authority]) {
-                byAuthority[req.authority] = [];
-            }
-            byAuthority[req.authority].push(req);
-        });
 
-        Object.keys(byAuthority).forEach(authority => {
-            content += `\n### ${authority}\n\n`;
-            byAuthority[authority].forEach(req => {
+        // Grouped by authority ID in registry order, headed by the authority's Hebrew name
+        Object.entries(requirementsData.requirements).forEach(([authorityId, requirements]) => {
+            if (requirements.length === 0) {
+                return;
+            }
+            content += `\n### ${this.getAuthorityName(requirementsData, authorityId)}\n\n`;
+            requirements.forEach(req => {
                 const mandatory = req.mandatory ? '🔴 חובה' : '🟡 מותנה';
                 content += `- **${req.title}** (${mandatory})\n`;
                 if (req.description) {
@@ -347,6 +786,15 @@ ${requirementsData.businessMatch ? '✅ העסק שלך מתאים לקטגור
                 if (req.conditions && req.conditions.length > 0) {
                     content += `  - תנאים: ${req.conditions.join(', ')}\n`;
                 }
+                if ((requirementsData.activities || []).length > 1) {
+                    content += `  - נדרש בשל: ${req.activities.map(activity => this.getBusinessTypeInHebrew(activity)).join(', ')}\n`;
+                }
+                if (req.sources && req.sources.length > 0) {
+                    const clauses = req.sources
+                        .map(source => `סעיף ${source.clause}${source.page ? ` (עמ' ${source.page})` : ''}`)
+                        .join(', ');
+                    content += `  - מקור: ${clauses}\n`;
+                }
                 content += '\n';
             });
         });
@@ -360,15 +808,8 @@ ${requirementsData.businessMatch ? '✅ העסק שלך מתאים לקטגור
      * @returns {string} Markdown content
      */
     buildMandatoryRequirementsMarkdown(requirementsData) {
-        // Flatten requirements from grouped structure
-        const allRequirements = [];
-        Object.keys(requirementsData.requirements).forEach(authority => {
-            requirementsData.requirements[authority].forEach(req => {
-                allRequirements.push({ ...req, authority });
-            });
-        });
-        
-        const mandatory = allRequirements.filter(req => req.mandatory);
+        // Each requirement keeps its own authority name, not the authority ID it is grouped under
+        const mandatory = this.reportVerifier.flattenRequirements(requirementsData).filter(req => req.mandatory);
         
         let content = '## דרישות חובה - פעולות שחייבות לבצע\n\n';
         
@@ -386,6 +827,110 @@ ${requirementsData.businessMatch ? '✅ העסק שלך מתאים לקטגור
         return content;
     }
 
+    /**
+     * List the matched requirement IDs for the prompt, one per line
+     * @param {Object} requirementsData - Requirements data
+     * @returns {string} "- GEN-001 (חובה): רישיון עסק כללי" lines
+     */
+    buildRequirementIdsList(requirementsData) {
+        return this.reportVerifier.flattenRequirements(requirementsData)
+            .map(req => `- ${req.requirementId} (${req.mandatory ? 'חובה' : 'מותנה'}): ${req.title}`)
+            .join('\n');
+    }
+
+    /**
+     * Build the action plan in Markdown, one heading per step
+     * @param {Object} requirementsData - Requirements data with actionPlan
+     * @returns {string} Markdown content (empty when there is no plan)
+     */
+    buildActionPlanMarkdown(requirementsData) {
+        const steps = requirementsData.actionPlan?.steps || [];
+        if (steps.length === 0) {
+            return '';
+        }
+
+        let content = '';
+        steps.forEach(step => {
+            content += `## שלב ${step.step}${step.parallel ? ' - ניתן לבצע במקביל' : ''}\n\n`;
+            step.requirements.forEach(req => {
+                const mandatory = req.mandatory ? '🔴 חובה' : '🟡 מותנה';
+                content += `- **${req.requirementId} - ${req.title}** (${req.authority}, ${mandatory})`;
+                if (req.prerequisites.length > 0) {
+                    content += ` - לאחר ${req.prerequisites.join(', ')}`;
+                }
+                content += '\n';
+            });
+            content += '\n';
+        });
+
+        return content;
+    }
+
+    /**
+     * Build the timeline and cost breakdown in Markdown
+     * @param {Object} requirementsData - Requirements data with estimates
+     * @returns {string} Markdown content (empty when no requirement has estimates)
+     */
+    buildEstimatesMarkdown(requirementsData) {
+        const estimateSummary = this.getEstimateSummary(requirementsData);
+        if (!estimateSummary) {
+            return '';
+        }
+
+        const { timeline, costs, requirements, unestimatedRequirementIds } = requirementsData.estimates;
+        let content = '## לוח זמנים\n\n';
+        content += `- **משך משוער**: ${estimateSummary.estimatedTimeframe}\n`;
+        if (timeline.criticalPath.length > 0) {
+            content += `- **נתיב קריטי** (הדרישות שקובעות את משך התהליך): ${timeline.criticalPath.join(' ← ')}\n`;
+        }
+
+        content += '\n## עלויות לפי רשות\n\n';
+        costs.byAuthority.forEach(authority => {
+            content += `- **${authority.authority}**: ${this.formatCostRange(authority)}\n`;
+        });
+        content += `- **סה"כ**: ${estimateSummary.totalEstimatedCost}\n`;
+
+        // Municipal fees are already part of the requirement's fee range
+        const localFees = new Map(Object.values(requirementsData.requirements || {}).flat()
+            .filter(req => req.localFees && req.localFees.length > 0)
+            .map(req => [req.requirementId, req.localFees]));
+
+        content += '\n## פירוט לפי דרישה\n\n';
+        requirements.filter(entry => entry.estimated).forEach(entry => {
+            const critical = entry.critical ? ' (נתיב קריטי)' : '';
+            const local = localFees.has(entry.requirementId)
+                ? ` (כולל ${localFees.get(entry.requirementId).map(fee => `${fee.description} - ${fee.municipality}`).join(', ')})`
+                : '';
+            content += `- **${entry.requirementId} - ${entry.title}**${critical}: ${entry.durationDays.min}–${entry.durationDays.max} ימים, ${this.formatCostRange(entry.feeILS)}${local}\n`;
+        });
+        if (unestimatedRequirementIds.length > 0) {
+            content += `\nאין הערכת זמן ועלות במאגר עבור: ${unestimatedRequirementIds.join(', ')}\n`;
+        }
+        content += '\nההערכות מבוססות על טווחים טיפוסיים לכל דרישה ועשויות להשתנות בפועל.\n';
+
+        return content;
+    }
+
+    /**
+     * Build the nearest seating/area thresholds in Markdown
+     * @param {Object} requirementsData - Requirements data with thresholdAlerts
+     * @returns {string} Markdown content (empty when there are no thresholds)
+     */
+    buildThresholdAlertsMarkdown(requirementsData) {
+        const alerts = requirementsData.thresholdAlerts || [];
+        if (alerts.length === 0) {
+            return '';
+        }
+
+        let content = '';
+        alerts.forEach(alert => {
+            const icon = alert.addedRequirements.length > 0 ? '⚠️' : '💡';
+            content += `- ${icon} ${alert.message}\n`;
+        });
+
+        return content;
+    }
+
     /**
      * Extract recommendations from requirements data
      * @param {Object} requirementsData - Requirements data
@@ -395,7 +940,10 @@ ${requirementsData.businessMatch ? '✅ העסק שלך מתאים לקטגור
         const recommendations = [];
         
         if (requirementsData.recommendations) {
-            recommendations.push(...requirementsData.recommendations);
+            // Matching engine recommendations are { type, message, priority } objects
+            recommendations.push(...requirementsData.recommendations.map(rec =>
+                typeof rec === 'string' ? rec : rec.message
+            ));
         }
         
         // Add general recommendations
@@ -451,46 +999,36 @@ ${requirementsData.businessMatch ? '✅ העסק שלך מתאים לקטגור
             insights.push('פעילות במשמרת לילה דורשת אישורים נוספים מהעירייה ועלולה להיות מוגבלת באזורים מסוימים');
         }
 
+        if (businessProfile.operationalHours?.twentyFourSeven) {
+            insights.push('פעילות 24 שעות ביממה מחייבת אישור משטרה, מצלמות במעגל סגור ותאורה חיצונית לאורך כל הלילה');
+        }
+
+        if (businessProfile.kitchenFeatures?.smokingArea) {
+            insights.push('אזור עישון חייב להיות נפרד לחלוטין משאר העסק - מומלץ לתכנן את ההפרדה לפני הגשת התכניות');
+        }
+
         return insights;
     }
 
     /**
-     * Extract critical deadlines from requirements data
-     * @param {Object} requirementsData - Requirements data
-     * @returns {Array<string>} Array of critical deadlines
+     * List the requirements on the critical path with their scheduled start and duration
+     * Taken from the matching engine's estimates; requirements without estimates get no deadline
+     * @param {Object} requirementsData - Requirements data with estimates
+     * @returns {Array<string>} Critical deadlines in plan order
      */
     extractCriticalDeadlines(requirementsData) {
-        const deadlines = [];
-        
-        // General business operation deadlines
-        deadlines.push('רישיון עסק מהעירייה - חובה לפני פתיחה (2-4 שבועות)');
-        deadlines.push('ביטוח חובה - חובה לפני פתיחה (מיידי)');
-        
-        // Flatten requirements to check for specific deadlines
-        const allRequirements = [];
-        Object.keys(requirementsData.requirements).forEach(authority => {
-            requirementsData.requirements[authority].forEach(req => {
-                allRequirements.push({ ...req, authority });
-            });
-        });
-        
-        // Check for alcohol-related deadlines
-        const hasAlcoholRequirements = allRequirements.some(req => 
-            req.title && req.title.includes('אלכוהול')
-        );
-        if (hasAlcoholRequirements) {
-            deadlines.push('רישיון משקאות חריפים - להגיש 3 חודשים לפני פתיחה');
-        }
-        
-        // Check for food-related deadlines
-        const hasFoodRequirements = allRequirements.some(req => 
-            req.title && (req.title.includes('מזון') || req.title.includes('מסעדה'))
-        );
-        if (hasFoodRequirements) {
-            deadlines.push('רישיון עסק מזון מהמשרד לבריאות - 4-6 שבועות לפני פתיחה');
+        const estimates = requirementsData.estimates;
+        if (!estimates) {
+            return [];
         }
 
-        return deadlines;
+        const formatRange = ({ min, max }) => (min === max ? `${min}` : `${min}–${max}`);
+        return estimates.requirements
+            .filter(entry => entry.critical && entry.estimated)
+            .map(entry => {
+                const start = entry.startDay.max === 0 ? 'להתחיל מיד' : `להתחיל ביום ${formatRange(entry.startDay)} של התהליך`;
+                return `${entry.title} (${entry.requirementId}) - ${start}, משך ${formatRange(entry.durationDays)} ימים; עיכוב בה דוחה את הפתיחה`;
+            });
     }
 }
 
@@ -0,0 +1,125 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Questionnaire Service
+ * Serves the questionnaire wizard defined in data/questionnaire.json: steps of questions,
+ * each answering one business profile field (e.g. "services.alcoholService").
+ * Boolean questions may have follow-up questions that are asked only when the answer is yes.
+ * Options can be listed in the definition or filled in from a source ("businessTypes", "municipalities").
+ */
+
+const QUESTION_TYPES = ['choice', 'multiChoice', 'number', 'select', 'boolean'];
+const OPTION_SOURCES = ['businessTypes', 'municipalities'];
+
+class QuestionnaireService {
+    /**
+     * @param {string} [definitionPath] - Questionnaire definition file
+     */
+    constructor(definitionPath) {
+        this.definitionPath = definitionPath || path.join(__dirname, '../data/questionnaire.json');
+        this.definition = null;
+    }
+
+    /**
+     * Load and check the questionnaire definition
+     * @returns {Object} Questionnaire definition
+     */
+    loadDefinition() {
+        const definition = JSON.parse(fs.readFileSync(this.definitionPath, 'utf8'));
+        const errors = this.validateDefinition(definition);
+        if (errors.length > 0) {
+            throw new Error(`Invalid questionnaire definition: ${errors.join('; ')}`);
+        }
+
+        this.definition = definition;
+        return definition;
+    }
+
+    /**
+     * Check question types, option sources and that question IDs and fields are unique
+     * @param {Object} definition - Questionnaire definition
+     * @returns {Array<string>} Errors, empty when the definition is valid
+     */
+    validateDefinition(definition) {
+        const errors = [];
+        const questionIds = new Set();
+        const fields = new Set();
+
+        this.flattenQuestions(definition).forEach(question => {
+            if (questionIds.has(question.questionId)) {
+                errors.push(`duplicate question ${question.questionId}`);
+            }
+            if (fields.has(question.field)) {
+                errors.push(`field ${question.field} is answered by more than one question`);
+            }
+            questionIds.add(question.questionId);
+            fields.add(question.field);
+
+            if (!QUESTION_TYPES.includes(question.type)) {
+                errors.push(`question ${question.questionId} has unknown type ${question.type}`);
+            }
+            if (question.optionsFrom && !OPTION_SOURCES.includes(question.optionsFrom)) {
+                errors.push(`question ${question.questionId} has unknown option source ${question.optionsFrom}`);
+            }
+            if (['choice', 'multiChoice', 'select'].includes(question.type) && !question.options && !question.optionsFrom) {
+                errors.push(`question ${question.questionId} has no options`);
+            }
+            if (question.followUps && question.type !== 'boolean') {
+                errors.push(`question ${question.questionId} has follow-ups but is not a yes/no question`);
+            }
+        });
+
+        return errors;
+    }
+
+    /**
+     * Build the questionnaire sent to clients, with option sources replaced by options
+     * @param {Object} sources
+     * @param {Array<Object>} sources.businessTypes - Business types as listed by /api/business-types
+     * @param {Array<Object>} sources.municipalities - Municipalities from MatchingEngine.getMunicipalities
+     * @returns {Object} { version, steps }
+     */
+    getQuestionnaire({ businessTypes, municipalities }) {
+        const definition = this.definition || this.loadDefinition();
+        const options = {
+            businessTypes: businessTypes.map(type => ({
+                value: type.id,
+                label: type.name,
+                description: type.description,
+                hint: `מקומות ישיבה: ${type.typicalSeating} · שטח: ${type.typicalArea} מ"ר`,
+                ranges: { typicalSeating: type.typicalSeating, typicalArea: type.typicalArea }
+            })),
+            municipalities: municipalities.map(municipality => ({
+                value: municipality.municipalityId,
+                label: municipality.name
+            }))
+        };
+
+        const resolve = ({ optionsFrom, followUps, ...question }) => ({
+            ...question,
+            ...(optionsFrom ? { options: options[optionsFrom] } : {}),
+            ...(followUps ? { followUps: followUps.map(resolve) } : {})
+        });
+
+        return {
+            version: definition.version,
+            steps: definition.steps.map(step => ({
+                ...step,
+                questions: step.questions.map(resolve)
+            }))
+        };
+    }
+
+    /**
+     * All questions of a questionnaire, follow-ups included
+     * @param {Object} questionnaire - Questionnaire definition
+     * @returns {Array<Object>} Questions
+     */
+    flattenQuestions(questionnaire) {
+        const flatten = (questions) => questions.flatMap(question => [question, ...flatten(question.followUps || [])]);
+        return flatten(questionnaire.steps.flatMap(step => step.questions));
+    }
+}
+
+module.exports = QuestionnaireService;
@@ -0,0 +1,160 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Report Cache
+ * File-based cache of generated reports, one JSON file per key in data/cache/reports/
+ *
+ * The key is a hash of the normalized business profile, the dataset version, the prompt version
+ * and the model, so identical requests skip the LLM. Entries expire after a TTL, and entries
+ * built from another dataset version are removed by invalidate().
+ */
+
+const DEFAULT_TTL_HOURS = 24;
+
+class ReportCache {
+    /**
+     * @param {Object} [options]
+     * @param {string} [options.cacheDir] - Directory holding cache entries
+     * @param {number} [options.ttlMs] - Entry lifetime (REPORT_CACHE_TTL_HOURS, 24 hours by default)
+     * @param {boolean} [options.enabled] - Disabled with REPORT_CACHE_ENABLED=false
+     */
+    constructor(options = {}) {
+        this.cacheDir = options.cacheDir || path.join(__dirname, '../data/cache/reports');
+        this.ttlMs = options.ttlMs
+            || Number(process.env.REPORT_CACHE_TTL_HOURS || DEFAULT_TTL_HOURS) * 60 * 60 * 1000;
+        this.enabled = options.enabled !== undefined
+            ? options.enabled
+            : process.env.REPORT_CACHE_ENABLED !== 'false';
+    }
+
+    /**
+     * Build a cache key
+     * @param {Object} parts
+     * @param {Object} parts.businessProfile - Validated (normalized) business profile
+     * @param {string} parts.datasetVersion - Version of the licensing dataset
+     * @param {string} parts.promptVersion - Version of the report prompt
+     * @param {string} [parts.model] - LLM provider and model
+     * @returns {string} Hex digest
+     */
+    buildKey({ businessProfile, datasetVersion, promptVersion, model }) {
+        const payload = JSON.stringify(this.normalize({ businessProfile, datasetVersion, promptVersion, model }));
+        return crypto.createHash('sha256').update(payload).digest('hex');
+    }
+
+    /**
+     * Read a cached report
+     * @param {string} key - Cache key
+     * @returns {Object|null} Report, or null when missing, expired or disabled
+     */
+    get(key) {
+        if (!this.enabled) {
+            return null;
+        }
+
+        const entryPath = this.getEntryPath(key);
+        try {
+            if (!fs.existsSync(entryPath)) {
+                return null;
+            }
+            const entry = JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+            if (Date.parse(entry.expiresAt) <= Date.now()) {
+                fs.unlinkSync(entryPath);
+                return null;
+            }
+            return entry.report;
+        } catch (error) {
+            console.warn(`Failed to read report cache entry ${key}:`, error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Store a report
+     * @param {string} key - Cache key
+     * @param {Object} report - Generated report
+     * @param {Object} info - { datasetVersion, promptVersion } stored with the entry for invalidation
+     */
+    set(key, report, { datasetVersion, promptVersion }) {
+        if (!this.enabled) {
+            return;
+        }
+
+        try {
+            if (!fs.existsSync(this.cacheDir)) {
+                fs.mkdirSync(this.cacheDir, { recursive: true });
+            }
+            const createdAt = new Date();
+            fs.writeFileSync(this.getEntryPath(key), JSON.stringify({
+                key,
+                datasetVersion,
+                promptVersion,
+                createdAt: createdAt.toISOString(),
+                expiresAt: new Date(createdAt.getTime() + this.ttlMs).toISOString(),
+                report
+            }), 'utf8');
+        } catch (error) {
+            console.warn(`Failed to write report cache entry ${key}:`, error.message);
+        }
+    }
+
+    /**
+     * Remove entries built from another dataset version and entries that expired
+     * @param {string} datasetVersion - Current dataset version
+     * @returns {number} Number of removed entries
+     */
+    invalidate(datasetVersion) {
+        if (!fs.existsSync(this.cacheDir)) {
+            return 0;
+        }
+
+        let removed = 0;
+        fs.readdirSync(this.cacheDir)
+            .filter(file => file.endsWith('.json'))
+            .forEach(file => {
+                const entryPath = path.join(this.cacheDir, file);
+                try {
+                    const entry = JSON.parse(fs.readFileSync(entryPath, 'utf8'));
+                    if (entry.datasetVersion === datasetVersion && Date.parse(entry.expiresAt) > Date.now()) {
+                        return;
+                    }
+                } catch {
+                    // Unreadable entries are removed as well
+                }
+                fs.unlinkSync(entryPath);
+                removed++;
+            });
+
+        return removed;
+    }
+
+    /**
+     * Path of a cache entry
+     * @param {string} key - Cache key
+     * @returns {string} File path
+     */
+    getEntryPath(key) {
+        return path.join(this.cacheDir, `${key}.json`);
+    }
+
+    /**
+     * Sort object keys recursively so equal profiles produce the same key
+     * @param {*} value - JSON value
+     * @returns {*} Normalized value
+     */
+    normalize(value) {
+        if (Array.isArray(value)) {
+            return value.map(item => this.normalize(item));
+        }
+        if (value && typeof value === 'object') {
+            return Object.keys(value).sort().reduce((result, key) => {
+                result[key] = this.normalize(value[key]);
+                return result;
+            }, {});
+        }
+        return value === undefined ? null : value;
+    }
+}
+
+module.exports = ReportCache;
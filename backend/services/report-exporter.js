@@ -0,0 +1,569 @@
+const path = require('path');
+const PDFDocument = require('pdfkit');
+const docx = require('docx');
+const bidiFactory = require('bidi-js');
+
+/**
+ * Report Exporter
+ * Renders a stored report as PDF, DOCX or Markdown with right-to-left Hebrew layout:
+ * title and summary, cost and timeframe, sections with priority markers, actions,
+ * the requirement table, recommendations and a metadata footer
+ */
+
+const FONT_DIR = path.join(path.dirname(require.resolve('dejavu-fonts-ttf/package.json')), 'ttf');
+const PDF_FONTS = {
+    regular: path.join(FONT_DIR, 'DejaVuSans.ttf'),
+    bold: path.join(FONT_DIR, 'DejaVuSans-Bold.ttf')
+};
+
+// Word renders Hebrew well with Arial, which every Office installation has
+const DOCX_FONT = 'Arial';
+
+const EXPORT_FORMATS = {
+    pdf: { contentType: 'application/pdf', extension: 'pdf' },
+    docx: { contentType: 'application/vnd.openxmlformats-officedocument.wordprocessingml.document', extension: 'docx' },
+    md: { contentType: 'text/markdown; charset=utf-8', extension: 'md' }
+};
+
+const PRIORITIES = {
+    high: { label: 'דחוף', color: '#e53e3e', icon: '🔴' },
+    medium: { label: 'חשוב', color: '#dd8a00', icon: '🟡' },
+    low: { label: 'לא דחוף', color: '#38a169', icon: '🟢' }
+};
+
+const TABLE_COLUMNS = [
+    { header: 'מזהה', width: 0.14, value: req => req.requirementId },
+    { header: 'דרישה', width: 0.42, value: req => req.title },
+    { header: 'רשות', width: 0.3, value: req => req.authority },
+    { header: 'סוג', width: 0.14, value: req => (req.mandatory ? 'חובה' : 'מותנה') }
+];
+
+// Characters fontkit treats as script-neutral when it picks the direction of a word
+const NEUTRAL_SCRIPT_PATTERN = /[\p{Script=Common}\p{Script=Inherited}]/u;
+const HEBREW_SCRIPT_PATTERN = /\p{Script=Hebrew}/u;
+
+class ReportExporter {
+    constructor() {
+        this.bidi = bidiFactory();
+    }
+
+    /**
+     * Supported export formats
+     * @returns {Array<string>} Format names
+     */
+    getSupportedFormats() {
+        return Object.keys(EXPORT_FORMATS);
+    }
+
+    /**
+     * Render a stored report
+     * @param {Object} record - Stored report from ReportStore
+     * @param {string} format - pdf, docx or md
+     * @returns {Promise<Object>} { content: Buffer, contentType, filename }
+     */
+    async export(record, format) {
+        const exportFormat = EXPORT_FORMATS[format];
+        if (!exportFormat) {
+            throw new Error(`Unsupported export format: ${format}`);
+        }
+
+        let content;
+        switch (format) {
+            case 'pdf':
+                content = await this.toPdf(record);
+                break;
+            case 'docx':
+                content = await this.toDocx(record);
+                break;
+            default:
+                content = Buffer.from(this.toMarkdown(record), 'utf8');
+        }
+
+        return {
+            content,
+            contentType: exportFormat.contentType,
+            filename: `licensing-report-${record.reportId}.${exportFormat.extension}`
+        };
+    }
+
+    /**
+     * Render a report as Markdown
+     * @param {Object} record - Stored report
+     * @returns {string} Markdown document
+     */
+    toMarkdown(record) {
+        const { report } = record;
+        const lines = [
+            `# ${report.title}`,
+            '',
+            report.summary,
+            '',
+            ...this.getMetaItems(report).map(([label, value]) => `- **${label}:** ${value}`),
+            ''
+        ];
+
+        report.sections.forEach(section => {
+            const priority = PRIORITIES[section.priority] || PRIORITIES.medium;
+            lines.push(`## ${priority.icon} ${section.title} (${priority.label})`, '', section.content.trim(), '');
+            if (section.requirementIds?.length) {
+                lines.push(`*דרישות: ${section.requirementIds.join(', ')}*`, '');
+            }
+        });
+
+        if (report.actions?.length) {
+            lines.push('## פעולות לביצוע', '');
+            report.actions.forEach(action => {
+                const priority = PRIORITIES[action.priority] || PRIORITIES.medium;
+                lines.push(`- ${priority.icon} **${action.title}**${action.description ? ` - ${action.description}` : ''} (${action.requirementIds.join(', ')})`);
+            });
+            lines.push('');
+        }
+
+        const requirements = this.getRequirements(record);
+        if (requirements.length > 0) {
+            lines.push('## טבלת דרישות', '');
+            lines.push(`| ${TABLE_COLUMNS.map(column => column.header).join(' | ')} |`);
+            lines.push(`|${TABLE_COLUMNS.map(() => '---').join('|')}|`);
+            requirements.forEach(req => {
+                lines.push(`| ${TABLE_COLUMNS.map(column => String(column.value(req)).replace(/\|/g, '\\|')).join(' | ')} |`);
+            });
+            lines.push('');
+        }
+
+        if (report.recommendations?.length) {
+            lines.push('## המלצות', '', ...report.recommendations.map(rec => `- ${rec}`), '');
+        }
+
+        lines.push('---', '', `*${this.getFooterText(record)}*`, '');
+        return lines.join('\n');
+    }
+
+    /**
+     * Render a report as a Word document
+     * @param {Object} record - Stored report
+     * @returns {Promise<Buffer>} DOCX file
+     */
+    async toDocx(record) {
+        const { report } = record;
+        const { Document, Packer, Paragraph, TextRun, HeadingLevel, Table, TableRow, TableCell, WidthType,
+            Footer, AlignmentType, PageNumber, ShadingType } = docx;
+
+        const run = (text, options = {}) => new TextRun({ text, rightToLeft: true, font: DOCX_FONT, ...options });
+        const paragraph = (children, options = {}) => new Paragraph({ bidirectional: true, children, ...options });
+
+        const children = [
+            paragraph([run(report.title, { bold: true })], { heading: HeadingLevel.TITLE }),
+            paragraph([run(report.summary)], { spacing: { after: 200 } }),
+            ...this.getMetaItems(report).map(([label, value]) =>
+                paragraph([run(`${label}: `, { bold: true }), run(String(value))]))
+        ];
+
+        report.sections.forEach(section => {
+            const priority = PRIORITIES[section.priority] || PRIORITIES.medium;
+            children.push(paragraph([
+                run('● ', { color: priority.color.slice(1) }),
+                run(section.title),
+                run(` (${priority.label})`, { color: priority.color.slice(1), size: 20 })
+            ], { heading: HeadingLevel.HEADING_1, spacing: { before: 300 } }));
+
+            this.parseMarkdownLines(section.content).forEach(line => {
+                const runs = line.segments.map(segment => run(segment.text, { bold: segment.bold || line.type === 'heading' }));
+                if (line.type === 'heading') {
+                    children.push(paragraph(runs, { heading: HeadingLevel.HEADING_2 }));
+                } else if (line.type === 'bullet') {
+                    children.push(paragraph(runs, { bullet: { level: 0 } }));
+                } else {
+                    children.push(paragraph(runs));
+                }
+            });
+
+            if (section.requirementIds?.length) {
+                children.push(paragraph([run(`דרישות: ${section.requirementIds.join(', ')}`, { italics: true, size: 18, color: '666666' })]));
+            }
+        });
+
+        if (report.actions?.length) {
+            children.push(paragraph([run('פעולות לביצוע')], { heading: HeadingLevel.HEADING_1, spacing: { before: 300 } }));
+            report.actions.forEach(action => {
+                const priority = PRIORITIES[action.priority] || PRIORITIES.medium;
+                children.push(paragraph([
+                    run('● ', { color: priority.color.slice(1) }),
+                    run(action.title, { bold: true }),
+                    run(action.description ? ` - ${action.description}` : ''),
+                    run(` (${action.requirementIds.join(', ')})`, { size: 18, color: '666666' })
+                ]));
+            });
+        }
+
+        const requirements = this.getRequirements(record);
+        if (requirements.length > 0) {
+            children.push(paragraph([run('טבלת דרישות')], { heading: HeadingLevel.HEADING_1, spacing: { before: 300 } }));
+
+            const cell = (text, header) => new TableCell({
+                children: [paragraph([run(text, { bold: header })])],
+                shading: header ? { type: ShadingType.CLEAR, color: 'auto', fill: 'EDF2F7' } : undefined
+            });
+            children.push(new Table({
+                visuallyRightToLeft: true,
+                width: { size: 100, type: WidthType.PERCENTAGE },
+                columnWidths: TABLE_COLUMNS.map(column => Math.round(column.width * 9000)),
+                rows: [
+                    new TableRow({ tableHeader: true, children: TABLE_COLUMNS.map(column => cell(column.header, true)) }),
+                    ...requirements.map(req => new TableRow({
+                        children: TABLE_COLUMNS.map(column => cell(String(column.value(req)), false))
+                    }))
+                ]
+            }));
+        }
+
+        if (report.recommendations?.length) {
+            children.push(paragraph([run('המלצות')], { heading: HeadingLevel.HEADING_1, spacing: { before: 300 } }));
+            report.recommendations.forEach(rec => children.push(paragraph([run(rec)], { bullet: { level: 0 } })));
+        }
+
+        const document = new Document({
+            creator: 'Business Licensing API',
+            title: report.title,
+            styles: {
+                default: { document: { run: { font: DOCX_FONT, rightToLeft: true } } }
+            },
+            sections: [{
+                footers: {
+                    default: new Footer({
+                        children: [paragraph([
+                            run(`${this.getFooterText(record)} | עמוד `, { size: 16, color: '666666' }),
+                            new TextRun({ children: [PageNumber.CURRENT], size: 16, color: '666666' })
+                        ], { alignment: AlignmentType.CENTER })]
+                    })
+                },
+                children
+            }]
+        });
+
+        return Packer.toBuffer(document);
+    }
+
+    /**
+     * Render a report as PDF
+     * pdfkit has no bidi support, so lines are broken and reordered here (see layoutLines)
+     * @param {Object} record - Stored report
+     * @returns {Promise<Buffer>} PDF file
+     */
+    toPdf(record) {
+        const { report } = record;
+        const doc = new PDFDocument({
+            size: 'A4',
+            margins: { top: 50, bottom: 60, left: 50, right: 50 },
+            bufferPages: true,
+            info: { Title: report.title, Creator: 'Business Licensing API' }
+        });
+        doc.registerFont('regular', PDF_FONTS.regular);
+        doc.registerFont('bold', PDF_FONTS.bold);
+
+        const chunks = [];
+        doc.on('data', chunk => chunks.push(chunk));
+        const done = new Promise((resolve, reject) => {
+            doc.on('end', () => resolve(Buffer.concat(chunks)));
+            doc.on('error', reject);
+        });
+
+        this.pdfParagraph(doc, report.title, { font: 'bold', size: 20, gap: 8 });
+        this.pdfParagraph(doc, report.summary, { size: 11, gap: 8 });
+        this.getMetaItems(report).forEach(([label, value]) => {
+            this.pdfParagraph(doc, `${label}: ${value}`, { size: 10, color: '#444444' });
+        });
+
+        report.sections.forEach(section => {
+            const priority = PRIORITIES[section.priority] || PRIORITIES.medium;
+            doc.moveDown(0.8);
+            this.pdfParagraph(doc, `${section.title} (${priority.label})`, {
+                font: 'bold', size: 14, gap: 4, indent: 16, marker: priority.color
+            });
+
+            this.parseMarkdownLines(section.content).forEach(line => {
+                const text = line.segments.map(segment => segment.text).join('');
+                if (line.type === 'heading') {
+                    this.pdfParagraph(doc, text, { font: 'bold', size: 12, gap: 2 });
+                } else if (line.type === 'bullet') {
+                    this.pdfParagraph(doc, text, { size: 10.5, indent: 14, bullet: true });
+                } else {
+                    this.pdfParagraph(doc, text, { size: 10.5 });
+                }
+            });
+
+            if (section.requirementIds?.length) {
+                this.pdfParagraph(doc, `דרישות: ${section.requirementIds.join(', ')}`, { size: 9, color: '#666666' });
+            }
+        });
+
+        if (report.actions?.length) {
+            doc.moveDown(0.8);
+            this.pdfParagraph(doc, 'פעולות לביצוע', { font: 'bold', size: 14, gap: 4 });
+            report.actions.forEach(action => {
+                const priority = PRIORITIES[action.priority] || PRIORITIES.medium;
+                const description = action.description ? ` - ${action.description}` : '';
+                this.pdfParagraph(doc, `${action.title}${description} (${action.requirementIds.join(', ')})`, {
+                    size: 10.5, indent: 14, marker: priority.color
+                });
+            });
+        }
+
+        const requirements = this.getRequirements(record);
+        if (requirements.length > 0) {
+            doc.moveDown(0.8);
+            this.pdfParagraph(doc, 'טבלת דרישות', { font: 'bold', size: 14, gap: 4 });
+            this.pdfTable(doc, requirements);
+        }
+
+        if (report.recommendations?.length) {
+            doc.moveDown(0.8);
+            this.pdfParagraph(doc, 'המלצות', { font: 'bold', size: 14, gap: 4 });
+            report.recommendations.forEach(rec => this.pdfParagraph(doc, rec, { size: 10.5, indent: 14, bullet: true }));
+        }
+
+        this.pdfFooters(doc, record);
+        doc.end();
+        return done;
+    }
+
+    /**
+     * Write a right-aligned, right-to-left paragraph at the current position
+     * @param {PDFDocument} doc - PDF document
+     * @param {string} text - Paragraph text (logical order)
+     * @param {Object} [options]
+     * @param {string} [options.font] - regular or bold
+     * @param {number} [options.size] - Font size
+     * @param {string} [options.color] - Text color
+     * @param {number} [options.indent] - Space kept free on the right (for bullets and markers)
+     * @param {boolean} [options.bullet] - Draw a bullet in the indent
+     * @param {string} [options.marker] - Draw a colored priority dot in the indent
+     * @param {number} [options.gap] - Extra space after the paragraph
+     */
+    pdfParagraph(doc, text, options = {}) {
+        const { font = 'regular', size = 11, color = '#222222', indent = 0, gap = 2 } = options;
+        const left = doc.page.margins.left;
+        const right = doc.page.width - doc.page.margins.right;
+        const width = right - left - indent;
+
+        doc.font(font).fontSize(size).fillColor(color);
+        const lineHeight = doc.currentLineHeight(true);
+        const lines = this.layoutLines(doc, text, width);
+
+        lines.forEach((line, index) => {
+            if (doc.y + lineHeight > doc.page.height - doc.page.margins.bottom) {
+                doc.addPage();
+                doc.font(font).fontSize(size).fillColor(color);
+            }
+            const y = doc.y;
+
+            if (index === 0 && options.marker) {
+                doc.circle(right - indent / 2, y + lineHeight / 2, Math.min(4, size / 3)).fill(options.marker);
+                doc.fillColor(color);
+            } else if (index === 0 && options.bullet) {
+                doc.circle(right - indent / 2, y + lineHeight / 2, 1.8).fill(color);
+            }
+
+            doc.text(line, left, y, { width, align: 'right', lineBreak: false });
+            doc.y = y + lineHeight;
+        });
+
+        doc.x = left;
+        doc.y += gap;
+    }
+
+    /**
+     * Draw the requirement table, columns ordered from right to left
+     * @param {PDFDocument} doc - PDF document
+     * @param {Array<Object>} requirements - Requirements
+     */
+    pdfTable(doc, requirements) {
+        const left = doc.page.margins.left;
+        const tableWidth = doc.page.width - doc.page.margins.left - doc.page.margins.right;
+        const padding = 4;
+        const size = 9.5;
+
+        const drawRow = (values, header) => {
+            doc.font(header ? 'bold' : 'regular').fontSize(size);
+            const lineHeight = doc.currentLineHeight(true);
+
+            let x = left + tableWidth;
+            const cells = TABLE_COLUMNS.map((column, index) => {
+                const width = column.width * tableWidth;
+                x -= width;
+                return { x, width, lines: this.layoutLines(doc, values[index], width - padding * 2) };
+            });
+            const rowHeight = Math.max(...cells.map(cell => cell.lines.length)) * lineHeight + padding * 2;
+
+            if (doc.y + rowHeight > doc.page.height - doc.page.margins.bottom) {
+                doc.addPage();
+                doc.font(header ? 'bold' : 'regular').fontSize(size);
+            }
+            const y = doc.y;
+
+            if (header) {
+                doc.rect(left, y, tableWidth, rowHeight).fill('#edf2f7');
+            }
+            doc.lineWidth(0.5).strokeColor('#cbd5e0');
+            cells.forEach(cell => {
+                doc.rect(cell.x, y, cell.width, rowHeight).stroke();
+                doc.fillColor('#222222');
+                cell.lines.forEach((line, index) => {
+                    doc.text(line, cell.x + padding, y + padding + index * lineHeight, {
+                        width: cell.width - padding * 2, align: 'right', lineBreak: false
+                    });
+                });
+            });
+
+            doc.x = left;
+            doc.y = y + rowHeight;
+        };
+
+        drawRow(TABLE_COLUMNS.map(column => column.header), true);
+        requirements.forEach(req => drawRow(TABLE_COLUMNS.map(column => String(column.value(req))), false));
+        doc.moveDown(0.5);
+    }
+
+    /**
+     * Write the metadata footer and page numbers on every page
+     * @param {PDFDocument} doc - PDF document with buffered pages
+     * @param {Object} record - Stored report
+     */
+    pdfFooters(doc, record) {
+        const footer = this.getFooterText(record);
+        const { start, count } = doc.bufferedPageRange();
+
+        for (let page = start; page < start + count; page++) {
+            doc.switchToPage(page);
+            const bottomMargin = doc.page.margins.bottom;
+            doc.page.margins.bottom = 0; // Writing inside the margin must not add a page
+
+            const left = doc.page.margins.left;
+            const width = doc.page.width - left - doc.page.margins.right;
+            doc.font('regular').fontSize(8).fillColor('#666666');
+            const lines = this.layoutLines(doc, `${footer} | עמוד ${page - start + 1} מתוך ${count}`, width);
+            lines.forEach((line, index) => {
+                doc.text(line, left, doc.page.height - 40 + index * 10, { width, align: 'center', lineBreak: false });
+            });
+
+            doc.page.margins.bottom = bottomMargin;
+        }
+    }
+
+    /**
+     * Break a paragraph into lines that fit a width and convert each line to visual order
+     * Lines are broken in logical order and reordered one by one with the Unicode bidi algorithm.
+     * fontkit (used by pdfkit) reverses every space-separated word whose script is right-to-left,
+     * so those words are reversed here once more to end up in visual order.
+     * @param {PDFDocument} doc - PDF document with the font already set
+     * @param {string} text - Text in logical order
+     * @param {number} width - Available width
+     * @returns {Array<string>} Lines ready to be drawn left to right
+     */
+    layoutLines(doc, text, width) {
+        const words = String(text || '').split(/\s+/).filter(Boolean);
+        const lines = [];
+        let current = '';
+
+        words.forEach(word => {
+            const candidate = current ? `${current} ${word}` : word;
+            if (current && doc.widthOfString(candidate) > width) {
+                lines.push(current);
+                current = word;
+            } else {
+                current = candidate;
+            }
+        });
+        if (current || lines.length === 0) {
+            lines.push(current);
+        }
+
+        return lines.map(line => {
+            const levels = this.bidi.getEmbeddingLevels(line, 'rtl');
+            const visual = this.bidi.getReorderedString(line, levels);
+            return visual.split(' ').map(word => (this.isShapedRightToLeft(word) ? Array.from(word).reverse().join('') : word)).join(' ');
+        });
+    }
+
+    /**
+     * Whether fontkit will lay out a word right to left (its first script-specific character is Hebrew)
+     * @param {string} word - Word without spaces
+     * @returns {boolean} True if fontkit reverses the word
+     */
+    isShapedRightToLeft(word) {
+        const first = Array.from(word).find(char => !NEUTRAL_SCRIPT_PATTERN.test(char));
+        return Boolean(first && HEBREW_SCRIPT_PATTERN.test(first));
+    }
+
+    /**
+     * Split the Markdown used in section content into typed lines with bold segments
+     * @param {string} content - Section content
+     * @returns {Array<Object>} Lines as { type: heading|bullet|text, segments: [{ text, bold }] }
+     */
+    parseMarkdownLines(content) {
+        return String(content || '').split('\n')
+            .map(line => line.trim())
+            .filter(Boolean)
+            .map(line => {
+                let type = 'text';
+                let text = line;
+                if (/^#{1,6}\s/.test(line)) {
+                    type = 'heading';
+                    text = line.replace(/^#{1,6}\s+/, '');
+                } else if (/^([-*•]|\d+\.)\s/.test(line)) {
+                    type = 'bullet';
+                    text = line.replace(/^([-*•]|\d+\.)\s+/, '');
+                }
+
+                const segments = text.split(/(\*\*[^*]+\*\*)/)
+                    .filter(Boolean)
+                    .map(part => (part.startsWith('**') && part.endsWith('**')
+                        ? { text: part.slice(2, -2), bold: true }
+                        : { text: part, bold: false }));
+
+                return { type, segments };
+            });
+    }
+
+    /**
+     * Cost and timeframe lines shown under the summary
+     * @param {Object} report - Report
+     * @returns {Array<Array<string>>} [label, value] pairs
+     */
+    getMetaItems(report) {
+        return [
+            ['עלות צפויה', report.totalEstimatedCost],
+            ['זמן עבודה', report.estimatedTimeframe]
+        ].filter(([, value]) => value);
+    }
+
+    /**
+     * Metadata footer: report ID, creation date, generator and requirement coverage
+     * @param {Object} record - Stored report
+     * @returns {string} Footer text
+     */
+    getFooterText(record) {
+        const metadata = record.report.metadata || {};
+        const parts = [
+            `דוח ${record.reportId}`,
+            `נוצר ${new Date(metadata.generatedAt || record.createdAt).toLocaleDateString('he-IL')}`
+        ];
+        if (metadata.generatedBy) {
+            parts.push(`הופק על ידי ${metadata.generatedBy}`);
+        }
+        if (typeof metadata.coverage === 'number') {
+            parts.push(`כיסוי דרישות ${Math.round(metadata.coverage * 100)}%`);
+        }
+        return parts.join(' | ');
+    }
+
+    /**
+     * Matched requirements of a stored report
+     * @param {Object} record - Stored report
+     * @returns {Array<Object>} Requirements
+     */
+    getRequirements(record) {
+        return Object.values(record.rawRequirements?.requirements || {}).flat();
+    }
+}
+
+module.exports = ReportExporter;
@@ -0,0 +1,67 @@
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+
+/**
+ * Report Store
+ * Keeps every generated report with its input profile and raw requirements in data/reports/,
+ * one JSON file per report ID, so reports can be reopened and shared by link
+ */
+
+class ReportStore {
+    /**
+     * @param {string} [reportsDir] - Directory holding stored reports
+     */
+    constructor(reportsDir) {
+        this.reportsDir = reportsDir || path.join(__dirname, '../data/reports');
+    }
+
+    /**
+     * Store a generated report
+     * @param {Object} record
+     * @param {Object} record.report - Generated report
+     * @param {Object} record.businessProfile - Validated business profile
+     * @param {Object} record.rawRequirements - Requirements data from the matching engine
+     * @returns {Object} Stored record with reportId and createdAt
+     */
+    save({ report, businessProfile, rawRequirements }) {
+        if (!fs.existsSync(this.reportsDir)) {
+            fs.mkdirSync(this.reportsDir, { recursive: true });
+        }
+
+        const record = {
+            reportId: crypto.randomUUID(),
+            createdAt: new Date().toISOString(),
+            businessProfile,
+            report,
+            rawRequirements
+        };
+
+        fs.writeFileSync(this.getReportPath(record.reportId), JSON.stringify(record, null, 2), 'utf8');
+        return record;
+    }
+
+    /**
+     * Load a stored report
+     * @param {string} reportId - Report ID
+     * @returns {Object} Stored record
+     */
+    get(reportId) {
+        const reportPath = this.getReportPath(reportId);
+        if (!fs.existsSync(reportPath)) {
+            throw new Error(`Report not found: ${reportId}`);
+        }
+        return JSON.parse(fs.readFileSync(reportPath, 'utf8'));
+    }
+
+    /**
+     * Path of a stored report
+     * @param {string} reportId - Report ID
+     * @returns {string} File path
+     */
+    getReportPath(reportId) {
+        return path.join(this.reportsDir, `${reportId}.json`);
+    }
+}
+
+module.exports = ReportStore;
@@ -0,0 +1,103 @@
+/**
+ * Report Stream Parser
+ * Picks complete section objects out of a report JSON that is still being streamed by the LLM,
+ * so each section can be shown as soon as its closing brace arrives
+ */
+
+// Start of the sections array in the report JSON: "sections": [
+const SECTIONS_START_PATTERN = /"sections"\s*:\s*\[/;
+
+class ReportStreamParser {
+    constructor() {
+        this.text = '';
+        this.position = -1; // Scan position inside the sections array, -1 until it is found
+        this.depth = 0;
+        this.inString = false;
+        this.escaped = false;
+        this.objectStart = -1;
+        this.finished = false;
+        this.sectionCount = 0;
+    }
+
+    /**
+     * Add streamed text
+     * @param {string} chunk - Text delta from the LLM
+     * @returns {Array<Object>} Sections completed by this chunk as { index, section }
+     */
+    push(chunk) {
+        this.text += chunk;
+
+        if (this.position === -1) {
+            const match = this.text.match(SECTIONS_START_PATTERN);
+            if (!match) {
+                return [];
+            }
+            this.position = match.index + match[0].length;
+        }
+
+        const completed = [];
+
+        while (!this.finished && this.position < this.text.length) {
+            const char = this.text[this.position];
+
+            if (this.inString) {
+                if (this.escaped) {
+                    this.escaped = false;
+                } else if (char === '\\') {
+                    this.escaped = true;
+                } else if (char === '"') {
+                    this.inString = false;
+                }
+            } else if (char === '"') {
+                this.inString = true;
+            } else if (char === '{' || char === '[') {
+                if (this.depth === 0) {
+                    this.objectStart = this.position;
+                }
+                this.depth++;
+            } else if (char === '}' || char === ']') {
+                if (this.depth === 0) {
+                    this.finished = true; // Closing bracket of the sections array
+                } else {
+                    this.depth--;
+                    if (this.depth === 0 && char === '}') {
+                        const section = this.parseSection(this.text.slice(this.objectStart, this.position + 1));
+                        if (section) {
+                            completed.push({ index: this.sectionCount++, section });
+                        }
+                    }
+                }
+            }
+
+            this.position++;
+        }
+
+        return completed;
+    }
+
+    /**
+     * Parse one section object, ignoring fragments that are not valid sections
+     * @param {string} json - Section JSON text
+     * @returns {Object|null} Section or null
+     */
+    parseSection(json) {
+        try {
+            const section = JSON.parse(json);
+            return section && typeof section.title === 'string' && typeof section.content === 'string'
+                ? section
+                : null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Full text received so far
+     * @returns {string} Streamed text
+     */
+    getText() {
+        return this.text;
+    }
+}
+
+module.exports = ReportStreamParser;
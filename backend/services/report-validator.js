@@ -0,0 +1,102 @@
+const path = require('path');
+const SchemaValidator = require('./schema-validator');
+
+/**
+ * LLM Report Validator
+ * Parses the model's report JSON and validates it against schema/report-schema.json
+ * Error paths and messages come from the shared schema validator, as for the dataset
+ */
+
+class ReportValidator {
+    /**
+     * @param {string} [schemaPath] - JSON schema file
+     */
+    constructor(schemaPath) {
+        this.schemaValidator = new SchemaValidator(schemaPath || path.join(__dirname, '../schema/report-schema.json'));
+        this.schema = this.schemaValidator.schema;
+    }
+
+    /**
+     * Validate a parsed report against the report schema
+     * @param {Object} report - Parsed report
+     * @returns {Object} { valid, errors: [{ path, message }] }
+     */
+    validate(report) {
+        return this.schemaValidator.validate(report);
+    }
+
+    /**
+     * Parse and validate a raw model response
+     * Accepts the JSON wrapped in a ```json fence or surrounded by text
+     * @param {string} text - Raw model response
+     * @returns {Object} { report, valid, errors: [{ path, message }] } - report is null if no JSON object was found
+     */
+    parse(text) {
+        const json = this.extractJson(text || '');
+        if (json === null) {
+            return {
+                report: null,
+                valid: false,
+                errors: [{ path: '(root)', message: 'response does not contain a JSON object' }]
+            };
+        }
+
+        let report;
+        try {
+            report = JSON.parse(json);
+        } catch (error) {
+            return {
+                report: null,
+                valid: false,
+                errors: [{ path: '(root)', message: `invalid JSON: ${error.message}` }]
+            };
+        }
+
+        return { report, ...this.validate(report) };
+    }
+
+    /**
+     * Cut the outermost JSON object out of a model response
+     * @param {string} text - Raw model response
+     * @returns {string|null} JSON text or null
+     */
+    extractJson(text) {
+        const fenced = text.match(/```(?:json)?\s*([\s\S]*?)```/);
+        const body = fenced ? fenced[1] : text;
+        const start = body.indexOf('{');
+        const end = body.lastIndexOf('}');
+        return start === -1 || end < start ? null : body.slice(start, end + 1);
+    }
+
+    /**
+     * Top-level fields defined by the report schema
+     * @returns {Array<string>} Field names
+     */
+    getFields() {
+        return Object.keys(this.schema.properties);
+    }
+
+    /**
+     * Top-level report fields that have validation errors
+     * "sections[2].priority" -> "sections"
+     * @param {Array<Object>} errors - Errors from validate()
+     * @returns {Set<string>} Field names
+     */
+    getInvalidFields(errors) {
+        return new Set(errors.map(error => error.path.split(/[.[]/)[0]));
+    }
+
+    /**
+     * Indexes of sections that have validation errors
+     * @param {Array<Object>} errors - Errors from validate()
+     * @returns {Set<number>} Section indexes
+     */
+    getInvalidSectionIndexes(errors) {
+        return new Set(errors
+            .map(error => error.path.match(/^sections\[(\d+)\]/))
+            .filter(Boolean)
+            .map(match => Number(match[1])));
+    }
+}
+
+module.exports = ReportValidator;
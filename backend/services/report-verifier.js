@@ -0,0 +1,139 @@
+/**
+ * Report Verifier
+ * Checks a generated report against the requirements the matching engine actually found:
+ * every mandatory requirement must be cited, every section must cite the requirements it is
+ * based on, and no requirement ID outside the match may appear in the report
+ */
+
+// Requirement IDs mentioned in free text, e.g. "POL-002"
+const REQUIREMENT_ID_PATTERN = /\b[A-Z]+-\d{3}\b/g;
+
+// Report fields holding plain text lists that may mention requirement IDs
+const TEXT_LIST_FIELDS = ['recommendations', 'personalizedInsights', 'criticalDeadlines'];
+
+class ReportVerifier {
+    /**
+     * Verify a report
+     * @param {Object} report - Generated report (sections and actions carry requirementIds)
+     * @param {Object} requirementsData - Requirements data from the matching engine
+     * @returns {Object} Verification result with coverage score and findings
+     */
+    verify(report, requirementsData) {
+        const matched = this.flattenRequirements(requirementsData);
+        const matchedIds = new Set(matched.map(req => req.requirementId));
+
+        // Requirements named in threshold alerts may be discussed even though they do not apply yet
+        const knownIds = new Set(matchedIds);
+        (requirementsData.thresholdAlerts || []).forEach(alert => {
+            [...alert.addedRequirements, ...alert.removedRequirements]
+                .forEach(req => knownIds.add(req.requirementId));
+        });
+
+        const citedIds = new Set();
+        const uncitedClaims = [];
+        const references = [];
+
+        const citingItems = [
+            ...(report.sections || []).map((section, index) => ({ location: `sections[${index}]`, item: section })),
+            ...(report.actions || []).map((action, index) => ({ location: `actions[${index}]`, item: action }))
+        ];
+
+        citingItems.forEach(({ location, item }) => {
+            const requirementIds = Array.isArray(item.requirementIds) ? item.requirementIds : [];
+            if (requirementIds.length === 0) {
+                uncitedClaims.push({ location, title: item.title });
+            }
+            requirementIds.forEach(requirementId => {
+                if (matchedIds.has(requirementId)) {
+                    citedIds.add(requirementId);
+                }
+                references.push({ requirementId, location });
+            });
+
+            [item.title, item.content, item.description].forEach(text => {
+                this.findMentionedIds(text).forEach(requirementId => references.push({ requirementId, location }));
+            });
+        });
+
+        this.findMentionedIds(report.summary).forEach(requirementId =>
+            references.push({ requirementId, location: 'summary' }));
+        TEXT_LIST_FIELDS.forEach(field => {
+            (report[field] || []).forEach((text, index) => {
+                this.findMentionedIds(text).forEach(requirementId =>
+                    references.push({ requirementId, location: `${field}[${index}]` }));
+            });
+        });
+
+        const unknownRequirementIds = references
+            .filter(ref => !knownIds.has(ref.requirementId))
+            .filter((ref, index, all) => all.findIndex(other =>
+                other.requirementId === ref.requirementId && other.location === ref.location) === index);
+
+        const mandatory = matched.filter(req => req.mandatory);
+        const missingMandatoryRequirements = mandatory
+            .filter(req => !citedIds.has(req.requirementId))
+            .map(req => this.summarizeRequirement(req));
+        const missingRequirements = matched
+            .filter(req => !req.mandatory && !citedIds.has(req.requirementId))
+            .map(req => this.summarizeRequirement(req));
+
+        return {
+            passed: missingMandatoryRequirements.length === 0
+                && unknownRequirementIds.length === 0
+                && uncitedClaims.length === 0,
+            coverage: this.ratio(citedIds.size, matched.length),
+            mandatoryCoverage: this.ratio(mandatory.length - missingMandatoryRequirements.length, mandatory.length),
+            citedRequirementIds: matched.map(req => req.requirementId).filter(id => citedIds.has(id)),
+            missingMandatoryRequirements,
+            missingRequirements,
+            unknownRequirementIds,
+            uncitedClaims
+        };
+    }
+
+    /**
+     * Find requirement IDs mentioned in a text
+     * @param {string} text - Free text
+     * @returns {Array<string>} Unique IDs
+     */
+    findMentionedIds(text) {
+        if (typeof text !== 'string') {
+            return [];
+        }
+        return [...new Set(text.match(REQUIREMENT_ID_PATTERN) || [])];
+    }
+
+    /**
+     * Flatten requirements grouped by authority
+     * @param {Object} requirementsData - Requirements data
+     * @returns {Array<Object>} Requirements
+     */
+    flattenRequirements(requirementsData) {
+        return Object.values(requirementsData.requirements || {}).flat();
+    }
+
+    /**
+     * Short requirement description for findings
+     * @param {Object} requirement - Requirement
+     * @returns {Object} ID, title and authority
+     */
+    summarizeRequirement(requirement) {
+        return {
+            requirementId: requirement.requirementId,
+            title: requirement.title,
+            authority: requirement.authority
+        };
+    }
+
+    /**
+     * Share of a total, rounded to two decimals (1 when there is nothing to cover)
+     * @param {number} part - Covered count
+     * @param {number} total - Total count
+     * @returns {number} Ratio between 0 and 1
+     */
+    ratio(part, total) {
+        return total === 0 ? 1 : Math.round((part / total) * 100) / 100;
+    }
+}
+
+module.exports = ReportVerifier;
@@ -0,0 +1,86 @@
+const fs = require('fs');
+const Ajv = require('ajv');
+
+/**
+ * JSON Schema Validator
+ * Compiles a JSON schema with Ajv and reports errors as { path, message } with readable paths,
+ * e.g. "regulatoryRequirements.policeRequirements[1].mandatory: is required"
+ * Shared by the dataset validator and the report validator
+ */
+
+class SchemaValidator {
+    /**
+     * @param {string} schemaPath - JSON schema file
+     */
+    constructor(schemaPath) {
+        this.schemaPath = schemaPath;
+
+        this.schema = JSON.parse(fs.readFileSync(this.schemaPath, 'utf8'));
+        const ajv = new Ajv({ allErrors: true, strict: false });
+        this.validateSchema = ajv.compile(this.schema);
+    }
+
+    /**
+     * Validate data against the schema
+     * @param {*} data - Parsed JSON
+     * @returns {Object} { valid, errors: [{ path, message }] }
+     */
+    validate(data) {
+        const errors = this.validateSchema(data)
+            ? []
+            : this.validateSchema.errors.map(error => ({
+                path: this.formatPath(error.instancePath, error.params.missingProperty || error.params.additionalProperty),
+                message: this.formatMessage(error)
+            }));
+
+        return {
+            valid: errors.length === 0,
+            errors
+        };
+    }
+
+    /**
+     * Convert a JSON pointer into a readable path
+     * "/regulatoryRequirements/policeRequirements/1/mandatory" -> "regulatoryRequirements.policeRequirements[1].mandatory"
+     * @param {string} pointer - JSON pointer from Ajv
+     * @param {string} [property] - Missing or unexpected property name
+     * @returns {string} Readable path
+     */
+    formatPath(pointer, property) {
+        const segments = pointer.split('/').slice(1).map(segment => segment.replace(/~1/g, '/').replace(/~0/g, '~'));
+        if (property) {
+            segments.push(property);
+        }
+
+        const formatted = segments.reduce((result, segment) => {
+            if (/^\d+$/.test(segment)) {
+                return `${result}[${segment}]`;
+            }
+            return result ? `${result}.${segment}` : segment;
+        }, '');
+
+        return formatted || '(root)';
+    }
+
+    /**
+     * Build a readable message for an Ajv error
+     * @param {Object} error - Ajv error object
+     * @returns {string} Message
+     */
+    formatMessage(error) {
+        switch (error.keyword) {
+            case 'required':
+                return 'is required';
+            case 'additionalProperties':
+                return 'is not an allowed property';
+            case 'dependencies':
+                return `is required together with "${error.params.property}"`;
+            case 'enum':
+                return `must be one of: ${error.params.allowedValues.map(v => JSON.stringify(v)).join(', ')}`;
+            default:
+                return error.message;
+        }
+    }
+}
+
+module.exports = SchemaValidator;
@@ -1,8 +1,10 @@
 import { BrowserRouter as Router, Routes, Route } from 'react-router-dom'
 import QuestionnairePage from './components/QuestionnairePage'
 import ReportPage from './components/ReportPage'
+import CasePage from './components/CasePage'
 import './components/BusinessQuestionnaire.css'
 import './components/Report.css'
+import './components/CasePage.css'
 import './App.css'
 
 function App() {
@@ -11,6 +13,8 @@ function App() {
       <Routes>
         <Route path="/" element={<QuestionnairePage />} />
         <Route path="/report" element={<ReportPage />} />
+        <Route path="/report/:reportId" element={<ReportPage />} />
+        <Route path="/cases/:caseId" element={<CasePage />} />
       </Routes>
     </Router>
   )
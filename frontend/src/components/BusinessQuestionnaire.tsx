@@ -1,160 +1,339 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import spinnerGif from '../assets/spinner.gif';
+import type { BusinessProfile, Question, Questionnaire } from '../services/api';
+import apiService from '../services/api';
 
-export interface BusinessData {
-  businessSize: number | '';
-  seatingCapacity: number | '';
-  additionalCharacteristics: string[];
-  customCharacteristic?: string;
-}
+type Answer = string | number | boolean | string[];
+type Answers = Record<string, Answer>;
 
 interface BusinessQuestionnaireProps {
-  onSubmit: (data: BusinessData) => void;
+  onSubmit: (profile: BusinessProfile) => void;
   isLoading?: boolean;
 }
 
-const ADDITIONAL_CHARACTERISTICS = [
-  { value: 'gas_usage', label: 'שימוש בגז' },
-  { value: 'meat_sales', label: 'מכירת בשר' },
-  { value: 'alcohol_service', label: 'הגשת אלכוהול' },
-  { value: 'delivery_service', label: 'שירות משלוח' },
-  { value: 'outdoor_seating', label: 'ישיבה בחוץ' },
-  { value: 'live_music', label: 'מוסיקה חיה/בידור' },
-  { value: 'catering', label: 'שירותי קייטרינג' },
-  { value: 'late_hours', label: 'פעילות לאחר 23:00' },
-  { value: 'food_truck', label: 'מזון נייד' },
-  { value: 'kosher', label: 'אישור כשרות' }
-];
+// Follow-up questions are asked only after a yes
+const visibleQuestions = (questions: Question[], answers: Answers): Question[] =>
+  questions.flatMap(question => [
+    question,
+    ...(question.followUps && answers[question.questionId] === true
+      ? visibleQuestions(question.followUps, answers)
+      : [])
+  ]);
 
-export default function BusinessQuestionnaire({ onSubmit, isLoading = false }: BusinessQuestionnaireProps) {
-  const [formData, setFormData] = useState<BusinessData>({
-    businessSize: '',
-    seatingCapacity: '',
-    additionalCharacteristics: [],
-    customCharacteristic: ''
-  });
-
-  const [errors, setErrors] = useState<Partial<Record<keyof BusinessData, string>>>({});
-
-  const handleNumberInput = (field: 'businessSize' | 'seatingCapacity') => (
-    e: React.ChangeEvent<HTMLInputElement>
-  ) => {
-    const value = e.target.value;
-    setFormData(prev => ({
-      ...prev,
-      [field]: value === '' ? '' : Number(value)
-    }));
-    
-    if (errors[field]) {
-      setErrors(prev => ({ ...prev, [field]: undefined }));
-    }
-  };
+const allQuestions = (questions: Question[]): Question[] =>
+  questions.flatMap(question => [question, ...allQuestions(question.followUps ?? [])]);
+
+// Yes/no questions start as no, so every boolean profile field is sent
+const initialAnswers = (questionnaire: Questionnaire): Answers =>
+  Object.fromEntries(
+    allQuestions(questionnaire.steps.flatMap(step => step.questions))
+      .filter(question => question.type === 'boolean')
+      .map(question => [question.questionId, false])
+  );
+
+const isEmpty = (answer: Answer | undefined) =>
+  answer === undefined || answer === '' || (Array.isArray(answer) && answer.length === 0);
+
+// Each answer is stored in the profile field its question names, e.g. "services.alcoholService"
+const answersToProfile = (questionnaire: Questionnaire, answers: Answers): BusinessProfile => {
+  const profile: Record<string, unknown> = {};
 
-  const handleCharacteristicsChange = (characteristic: string) => {
-    setFormData(prev => {
-      const newCharacteristics = prev.additionalCharacteristics.includes(characteristic)
-        ? prev.additionalCharacteristics.filter(c => c !== characteristic)
-        : [...prev.additionalCharacteristics, characteristic];
-      
-      return {
-        ...prev,
-        additionalCharacteristics: newCharacteristics
-      };
+  questionnaire.steps
+    .flatMap(step => visibleQuestions(step.questions, answers))
+    .forEach(question => {
+      let answer = answers[question.questionId];
+      const excluded = question.excludeAnswerOf ? answers[question.excludeAnswerOf] : undefined;
+      if (Array.isArray(answer)) {
+        answer = answer.filter(value => value !== excluded);
+      }
+      if (isEmpty(answer)) {
+        return;
+      }
+
+      const keys = question.field.split('.');
+      const section = keys.slice(0, -1).reduce<Record<string, unknown>>((parent, key) => {
+        parent[key] = parent[key] ?? {};
+        return parent[key] as Record<string, unknown>;
+      }, profile);
+      section[keys[keys.length - 1]] = answer;
     });
-  };
 
-  const validateForm = (): boolean => {
-    const newErrors: Partial<Record<keyof BusinessData, string>> = {};
+  return profile as unknown as BusinessProfile;
+};
 
-    if (!formData.businessSize || formData.businessSize <= 0) {
-      newErrors.businessSize = 'אנא הכנס גודל עסק תקין במטרים רבועים';
-    }
+// Typical ranges come from the API as "min-max"
+const isOutsideRange = (value: Answer | undefined, range: string) => {
+  if (typeof value !== 'number') {
+    return false;
+  }
+  const [min, max] = range.split('-').map(Number);
+  return value < min || value > max;
+};
+
+export default function BusinessQuestionnaire({ onSubmit, isLoading = false }: BusinessQuestionnaireProps) {
+  const [questionnaire, setQuestionnaire] = useState<Questionnaire | null>(null);
+  const [loadError, setLoadError] = useState<string | null>(null);
+  const [stepIndex, setStepIndex] = useState(0);
+  const [answers, setAnswers] = useState<Answers>({});
+  const [errors, setErrors] = useState<Record<string, string>>({});
+
+  useEffect(() => {
+    let cancelled = false;
+    apiService.getQuestionnaire()
+      .then(response => {
+        if (!cancelled) {
+          setQuestionnaire(response.data);
+          setAnswers(initialAnswers(response.data));
+        }
+      })
+      .catch(err => {
+        if (!cancelled) {
+          console.error('Error loading questionnaire:', err);
+          setLoadError(err instanceof Error ? err.message : 'שגיאה בטעינת השאלון');
+        }
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  if (!questionnaire) {
+    return (
+      <div className="questionnaire-container">
+        <div className="questionnaire-header">
+          <h1>שאלון רישוי עסקים</h1>
+          {loadError
+            ? <span className="error-message">{loadError}</span>
+            : <p>טוען שאלון...</p>}
+        </div>
+      </div>
+    );
+  }
+
+  const steps = questionnaire.steps;
+  const step = steps[stepIndex];
+  const isLastStep = stepIndex === steps.length - 1;
+  const questionsById = Object.fromEntries(
+    allQuestions(steps.flatMap(s => s.questions)).map(question => [question.questionId, question])
+  );
 
-    if (!formData.seatingCapacity || formData.seatingCapacity <= 0) {
-      newErrors.seatingCapacity = 'אנא הכנס מספר מקומות ישיבה/תפוסה תקין';
+  const setAnswer = (questionId: string, answer: Answer) => {
+    setAnswers(prev => ({ ...prev, [questionId]: answer }));
+
+    if (errors[questionId]) {
+      setErrors(prev => ({ ...prev, [questionId]: '' }));
     }
+  };
 
+  const validateStep = (): boolean => {
+    const newErrors: Record<string, string> = {};
+
+    visibleQuestions(step.questions, answers).forEach(question => {
+      const answer = answers[question.questionId];
+      if (question.required && isEmpty(answer)) {
+        newErrors[question.questionId] = question.type === 'number' ? 'אנא הכנס ערך' : 'אנא בחר תשובה';
+      } else if (typeof answer === 'number' &&
+          ((question.min !== undefined && answer < question.min) || (question.max !== undefined && answer > question.max))) {
+        newErrors[question.questionId] = `אנא הכנס ערך בין ${question.min ?? 0} ל-${question.max ?? '∞'}`;
+      }
+    });
 
     setErrors(newErrors);
     return Object.keys(newErrors).length === 0;
   };
 
+  const handleNext = () => {
+    if (validateStep()) {
+      setStepIndex(index => index + 1);
+    }
+  };
+
   const handleSubmit = (e: React.FormEvent) => {
     e.preventDefault();
-    
-    if (validateForm()) {
-      onSubmit(formData);
+
+    if (isLoading) {
+      return;
+    }
+    if (!isLastStep) {
+      handleNext();
+      return;
+    }
+    if (validateStep()) {
+      onSubmit(answersToProfile(questionnaire, answers));
     }
   };
 
+  // Sizes far from the selected option's typical range are allowed, but are often a typo or the wrong type
+  const renderRangeWarning = (question: Question) => {
+    if (!question.typicalRange) {
+      return null;
+    }
+    const source = questionsById[question.typicalRange.question];
+    const option = source?.options?.find(o => o.value === answers[source.questionId]);
+    const range = option?.ranges?.[question.typicalRange.range];
+    if (!option || !range || !isOutsideRange(answers[question.questionId], range)) {
+      return null;
+    }
+    return (
+      <span className="field-warning">
+        הערך ({answers[question.questionId]}) מחוץ לטווח המקובל ל{option.label} ({range}). אנא ודא שהנתון נכון.
+      </span>
+    );
+  };
 
-  return (
-    <div className="questionnaire-container">
-      <div className="questionnaire-header">
-        <h1>שאלון רישוי עסקים</h1>
-        <p>אנא ספק מידע על העסק שלך כדי לקבל דוח מותאם אישית לדרישות הרישוי.</p>
-      </div>
-
-      <form onSubmit={handleSubmit} className="questionnaire-form">
-        <div className="form-section">
-          <h2>מידע בסיסי</h2>
-          
-          <div className="form-group">
-            <label htmlFor="businessSize">
-              גודל העסק (מטרים רבועים) <span className="required">*</span>
-            </label>
-            <input
-              type="number"
-              id="businessSize"
-              min="1"
-              step="0.1"
-              value={formData.businessSize}
-              onChange={handleNumberInput('businessSize')}
-              className={errors.businessSize ? 'error' : ''}
-              placeholder="הכנס גודל במטרים רבועים"
-            />
-            {errors.businessSize && <span className="error-message">{errors.businessSize}</span>}
-          </div>
+  const renderInput = (question: Question) => {
+    const answer = answers[question.questionId];
+    const hasError = Boolean(errors[question.questionId]);
 
-          <div className="form-group">
-            <label htmlFor="seatingCapacity">
-              מספר מקומות ישיבה/תפוסה <span className="required">*</span>
-            </label>
-            <input
-              type="number"
-              id="seatingCapacity"
-              min="1"
-              value={formData.seatingCapacity}
-              onChange={handleNumberInput('seatingCapacity')}
-              className={errors.seatingCapacity ? 'error' : ''}
-              placeholder="הכנס תפוסה מקסימלית"
-            />
-            {errors.seatingCapacity && <span className="error-message">{errors.seatingCapacity}</span>}
+    switch (question.type) {
+      case 'choice':
+        return (
+          <div className="options-grid">
+            {question.options?.map(option => (
+              <label
+                key={option.value}
+                className={`option-card ${answer === option.value ? 'selected' : ''}`}
+              >
+                <input
+                  type="radio"
+                  name={question.questionId}
+                  value={option.value}
+                  checked={answer === option.value}
+                  onChange={() => setAnswer(question.questionId, option.value)}
+                />
+                <span className="option-label">{option.label}</span>
+                {option.description && <span className="option-description">{option.description}</span>}
+                {option.hint && <span className="option-hint">{option.hint}</span>}
+              </label>
+            ))}
           </div>
-        </div>
+        );
 
-        <div className="form-section">
-          <h2>מאפיינים נוספים</h2>
-          <p className="section-description">
-            בחר את כל המאפיינים הרלוונטיים לעסק שלך:
-          </p>
-          
+      case 'multiChoice': {
+        const selected = Array.isArray(answer) ? answer : [];
+        const excluded = question.excludeAnswerOf ? answers[question.excludeAnswerOf] : undefined;
+        return (
           <div className="characteristics-grid">
-            {ADDITIONAL_CHARACTERISTICS.map(characteristic => (
-              <label key={characteristic.value} className="checkbox-label">
+            {question.options?.filter(option => option.value !== excluded).map(option => (
+              <label key={option.value} className="checkbox-label">
                 <input
                   type="checkbox"
-                  checked={formData.additionalCharacteristics.includes(characteristic.value)}
-                  onChange={() => handleCharacteristicsChange(characteristic.value)}
+                  checked={selected.includes(option.value)}
+                  onChange={() => setAnswer(
+                    question.questionId,
+                    selected.includes(option.value)
+                      ? selected.filter(value => value !== option.value)
+                      : [...selected, option.value]
+                  )}
                 />
-                <span className="checkbox-text">{characteristic.label}</span>
+                <span className="checkbox-text">{option.label}</span>
               </label>
             ))}
           </div>
+        );
+      }
+
+      case 'number':
+        return (
+          <input
+            type="number"
+            id={question.questionId}
+            min={question.min}
+            max={question.max}
+            step={question.step}
+            value={typeof answer === 'number' ? answer : ''}
+            onChange={(e) => setAnswer(question.questionId, e.target.value === '' ? '' : Number(e.target.value))}
+            className={hasError ? 'error' : ''}
+            placeholder={question.placeholder}
+          />
+        );
+
+      case 'select':
+        return (
+          <select
+            id={question.questionId}
+            value={typeof answer === 'string' ? answer : ''}
+            onChange={(e) => setAnswer(question.questionId, e.target.value)}
+          >
+            <option value="">{question.emptyOptionLabel ?? 'בחר'}</option>
+            {question.options?.map(option => (
+              <option key={option.value} value={option.value}>{option.label}</option>
+            ))}
+          </select>
+        );
+
+      case 'boolean':
+        return (
+          <label className="checkbox-label">
+            <input
+              type="checkbox"
+              checked={answer === true}
+              onChange={() => setAnswer(question.questionId, answer !== true)}
+            />
+            <span className="checkbox-text">{question.label}</span>
+          </label>
+        );
+    }
+  };
+
+  const renderQuestion = (question: Question) => (
+    <div key={question.questionId} className="form-group">
+      {question.type !== 'boolean' && (
+        <label htmlFor={question.questionId}>
+          {question.label} {question.required && <span className="required">*</span>}
+        </label>
+      )}
+      {renderInput(question)}
+      {question.hint && <span className="field-hint">{question.hint}</span>}
+      {errors[question.questionId] && <span className="error-message">{errors[question.questionId]}</span>}
+      {renderRangeWarning(question)}
+
+      {question.followUps && answers[question.questionId] === true && (
+        <div className="follow-up-questions">
+          {question.followUps.map(renderQuestion)}
+        </div>
+      )}
+    </div>
+  );
+
+  return (
+    <div className="questionnaire-container">
+      <div className="questionnaire-header">
+        <h1>שאלון רישוי עסקים</h1>
+        <p>אנא ספק מידע על העסק שלך כדי לקבל דוח מותאם אישית לדרישות הרישוי.</p>
+      </div>
+
+      <ol className="wizard-steps">
+        {steps.map((s, index) => (
+          <li
+            key={s.stepId}
+            className={index === stepIndex ? 'active' : index < stepIndex ? 'done' : ''}
+          >
+            {s.title}
+          </li>
+        ))}
+      </ol>
 
+      <form onSubmit={handleSubmit} className="questionnaire-form">
+        <div className="form-section">
+          <h2>{step.title}</h2>
+          {step.description && <p className="section-description">{step.description}</p>}
+
+          {step.questions.map(renderQuestion)}
         </div>
 
         <div className="form-actions">
+          {stepIndex > 0 && (
+            <button
+              type="button"
+              onClick={() => setStepIndex(index => index - 1)}
+              disabled={isLoading}
+              className="back-button"
+            >
+              הקודם
+            </button>
+          )}
           <button
             type="submit"
             disabled={isLoading}
@@ -166,11 +345,11 @@ export default function BusinessQuestionnaire({ onSubmit, isLoading = false }: B
                 <img src={spinnerGif} alt="Loading..." className="spinner" />
               </span>
             ) : (
-              'יצירת דוח'
+              isLastStep ? 'יצירת דוח' : 'הבא'
             )}
           </button>
         </div>
       </form>
     </div>
   );
-}
\ No newline at end of file
+}
@@ -0,0 +1,253 @@
+import { useLocation, useNavigate, useParams } from 'react-router-dom'
+import { useEffect, useState } from 'react'
+import type { CaseItem, CaseItemStatus, CaseItemUpdate, LicensingCase } from '../services/api'
+import apiService from '../services/api'
+
+interface CasePageState {
+  licensingCase?: LicensingCase
+}
+
+const STATUS_LABELS: Record<CaseItemStatus, string> = {
+  not_started: 'טרם התחיל',
+  in_progress: 'בטיפול',
+  submitted: 'הוגש',
+  approved: 'אושר',
+  rejected: 'נדחה'
+}
+
+const STATUSES = Object.keys(STATUS_LABELS) as CaseItemStatus[]
+
+// Date inputs work with YYYY-MM-DD, the API with ISO timestamps
+const toDateInput = (value: string | null) => value ? value.slice(0, 10) : ''
+const formatDate = (value: string | null) => value ? new Date(value).toLocaleDateString('he-IL') : null
+
+const CasePage = () => {
+  const location = useLocation()
+  const navigate = useNavigate()
+  const { caseId } = useParams()
+
+  const state = location.state as CasePageState | null
+
+  const [licensingCase, setLicensingCase] = useState<LicensingCase | null>(
+    state?.licensingCase && state.licensingCase.caseId === caseId ? state.licensingCase : null
+  )
+  const [savingItem, setSavingItem] = useState<string | null>(null)
+  const [error, setError] = useState<string | null>(null)
+
+  useEffect(() => {
+    if (!caseId || licensingCase?.caseId === caseId) {
+      return
+    }
+
+    let cancelled = false
+    apiService.getCase(caseId)
+      .then(response => {
+        if (!cancelled) {
+          setLicensingCase(response.data)
+        }
+      })
+      .catch(err => {
+        if (!cancelled) {
+          console.error('Error loading case:', err)
+          setError(err instanceof Error ? err.message : 'שגיאה בטעינת תיק הרישוי')
+        }
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [caseId, licensingCase])
+
+  const updateItem = async (item: CaseItem, changes: CaseItemUpdate) => {
+    if (!caseId) {
+      return
+    }
+
+    setSavingItem(item.requirementId)
+    setError(null)
+    try {
+      const response = await apiService.updateCaseItem(caseId, item.requirementId, changes)
+      setLicensingCase(response.data)
+    } catch (err) {
+      console.error('Error updating case item:', err)
+      setError(err instanceof Error ? err.message : 'שגיאה בעדכון הדרישה')
+    } finally {
+      setSavingItem(null)
+    }
+  }
+
+  // Text fields are saved when they lose focus, and only if they changed
+  const handleTextBlur = (item: CaseItem, field: 'notes' | 'assignee', value: string) => {
+    const current = item[field] ?? ''
+    if (value.trim() !== current) {
+      updateItem(item, { [field]: field === 'assignee' && !value.trim() ? null : value.trim() })
+    }
+  }
+
+  if (error && !licensingCase) {
+    return (
+      <div className="app">
+        <div className="error-container">
+          <h1>שגיאה בטעינת תיק הרישוי</h1>
+          <p className="error-message">{error}</p>
+          <button onClick={() => navigate('/', { replace: true })} className="start-over-button">
+            חזרה לשאלון
+          </button>
+        </div>
+      </div>
+    )
+  }
+
+  if (!licensingCase) {
+    return (
+      <div className="app">
+        <div className="case-container">
+          <div className="streaming-indicator">
+            <span className="streaming-dot" />
+            טוען תיק רישוי...
+          </div>
+        </div>
+      </div>
+    )
+  }
+
+  const { progress } = licensingCase
+
+  const renderProgressBar = (completion: number) => (
+    <div className="case-progress-bar">
+      <div className="case-progress-fill" style={{ width: `${Math.round(completion * 100)}%` }} />
+    </div>
+  )
+
+  const renderStatusCounts = (byStatus: Record<CaseItemStatus, number>) => (
+    <div className="case-status-counts">
+      {STATUSES.filter(status => byStatus[status] > 0).map(status => (
+        <span key={status} className={`case-status-badge status-${status}`}>
+          {STATUS_LABELS[status]}: {byStatus[status]}
+        </span>
+      ))}
+    </div>
+  )
+
+  const renderItem = (item: CaseItem) => {
+    const dates = [
+      ['התחלה', formatDate(item.startedAt)],
+      ['הגשה', formatDate(item.submittedAt)],
+      ['החלטה', formatDate(item.decidedAt)]
+    ].filter(([, date]) => date)
+
+    return (
+      <div
+        key={item.requirementId}
+        className={`case-item status-${item.status} ${savingItem === item.requirementId ? 'saving' : ''}`}
+      >
+        <div className="case-item-header">
+          <div>
+            <span className="requirement-id">{item.requirementId}</span>
+            <h4>{item.title}</h4>
+            {item.mandatory && <span className="case-mandatory">חובה</span>}
+          </div>
+          <select
+            value={item.status}
+            onChange={(e) => updateItem(item, { status: e.target.value as CaseItemStatus })}
+            className={`case-status-select status-${item.status}`}
+          >
+            {STATUSES.map(status => (
+              <option key={status} value={status}>{STATUS_LABELS[status]}</option>
+            ))}
+          </select>
+        </div>
+
+        <p className="case-item-description">{item.description}</p>
+
+        <div className="case-item-fields">
+          <label>
+            אחראי
+            <input
+              type="text"
+              defaultValue={item.assignee ?? ''}
+              onBlur={(e) => handleTextBlur(item, 'assignee', e.target.value)}
+              placeholder="שם האחראי"
+            />
+          </label>
+          <label>
+            תאריך יעד
+            <input
+              type="date"
+              value={toDateInput(item.dueDate)}
+              onChange={(e) => updateItem(item, { dueDate: e.target.value || null })}
+            />
+          </label>
+          <label className="case-item-notes">
+            הערות
+            <textarea
+              defaultValue={item.notes}
+              onBlur={(e) => handleTextBlur(item, 'notes', e.target.value)}
+              rows={2}
+            />
+          </label>
+        </div>
+
+        {dates.length > 0 && (
+          <div className="case-item-dates">
+            {dates.map(([label, date]) => (
+              <span key={label}>{label}: {date}</span>
+            ))}
+          </div>
+        )}
+      </div>
+    )
+  }
+
+  return (
+    <div className="app">
+      <div className="case-container">
+        <div className="case-header">
+          <h1>{licensingCase.name}</h1>
+          <p className="case-meta">
+            נפתח ב-{formatDate(licensingCase.createdAt)} · {progress.total} דרישות · {Math.round(progress.completion * 100)}% אושרו
+          </p>
+          {renderProgressBar(progress.completion)}
+          {renderStatusCounts(progress.byStatus)}
+        </div>
+
+        {error && <p className="error-message">{error}</p>}
+
+        {progress.authorities.map(authority => (
+          <div key={authority.authorityKey} className="case-authority">
+            <div className="case-authority-header">
+              <h2>{authority.authority}</h2>
+              <span className="case-authority-completion">
+                {authority.byStatus.approved}/{authority.total} אושרו
+              </span>
+            </div>
+            {renderProgressBar(authority.completion)}
+            {renderStatusCounts(authority.byStatus)}
+
+            <div className="case-items">
+              {licensingCase.items
+                .filter(item => item.authorityKey === authority.authorityKey)
+                .map(renderItem)}
+            </div>
+          </div>
+        ))}
+
+        <div className="report-actions">
+          {licensingCase.reportId && (
+            <button
+              onClick={() => navigate(`/report/${licensingCase.reportId}`)}
+              className="print-button"
+            >
+              חזרה לדוח
+            </button>
+          )}
+          <button onClick={() => navigate('/', { replace: true })} className="start-over-button">
+            התחל מחדש
+          </button>
+        </div>
+      </div>
+    </div>
+  )
+}
+
+export default CasePage
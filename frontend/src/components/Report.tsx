@@ -1,11 +1,27 @@
 import type { GeneratedReport } from '../services/api';
+import apiService from '../services/api';
 
 interface ReportProps {
   report: GeneratedReport;
   onStartOver: () => void;
+  isStreaming?: boolean;
+  reportId?: string;
+  onOpenCase?: () => void;
+  isOpeningCase?: boolean;
+  openCaseError?: string | null;
+  streamError?: string | null;
 }
 
-export default function Report({ report, onStartOver }: ReportProps) {
+export default function Report({
+  report,
+  onStartOver,
+  isStreaming = false,
+  reportId,
+  onOpenCase,
+  isOpeningCase = false,
+  openCaseError = null,
+  streamError = null
+}: ReportProps) {
 
   const renderMarkdownContent = (content: string) => {
     // Simple markdown rendering for basic elements
@@ -19,6 +35,21 @@ export default function Report({ report, onStartOver }: ReportProps) {
       .join('');
   };
 
+  const verification = report.metadata.verification;
+
+  const renderRequirementIds = (requirementIds?: string[]) => {
+    if (!requirementIds || requirementIds.length === 0) {
+      return null;
+    }
+    return (
+      <div className="requirement-ids">
+        {requirementIds.map(requirementId => (
+          <span key={requirementId} className="requirement-id">{requirementId}</span>
+        ))}
+      </div>
+    );
+  };
+
   const getPriorityIcon = (priority: 'high' | 'medium' | 'low') => {
     switch (priority) {
       case 'high': return '🔴';
@@ -51,6 +82,35 @@ export default function Report({ report, onStartOver }: ReportProps) {
       </div>
 
       <div className="report-content">
+        {verification && !verification.passed && (
+          <div className="verification-notice">
+            <strong>בדיקת כיסוי הדרישות: {Math.round(verification.coverage * 100)}%</strong>
+            {verification.supplementedRequirementIds.length > 0 && (
+              <p>דרישות חובה שלא פורטו בדוח נוספו בסעיף נפרד: {verification.supplementedRequirementIds.join(', ')}</p>
+            )}
+            {verification.unknownRequirementIds.length > 0 && (
+              <p>הדוח מזכיר דרישות שאינן חלות על העסק: {[...new Set(verification.unknownRequirementIds.map(ref => ref.requirementId))].join(', ')}</p>
+            )}
+            {verification.uncitedClaims.length > 0 && (
+              <p>סעיפים ללא הפניה לדרישה: {verification.uncitedClaims.map(claim => claim.title).join(', ')}</p>
+            )}
+          </div>
+        )}
+
+        {isStreaming && (
+          <div className="streaming-indicator">
+            <span className="streaming-dot" />
+            הדוח המפורט בהכנה - הסעיפים יתעדכנו עם סיום יצירתם
+          </div>
+        )}
+
+        {streamError && (
+          <div className="error-message">
+            <p>יצירת הדוח המפורט נכשלה: {streamError}</p>
+            <p>הדוח המוצג חלקי ואינו סופי - נסה ליצור אותו שוב.</p>
+          </div>
+        )}
+
         {report.sections.map((section, index) => (
           <div key={index} className={`report-section priority-${section.priority}`}>
             <h2 className="section-title">
@@ -60,9 +120,25 @@ export default function Report({ report, onStartOver }: ReportProps) {
               className="section-content"
               dangerouslySetInnerHTML={{ __html: renderMarkdownContent(section.content) }}
             />
+            {renderRequirementIds(section.requirementIds)}
           </div>
         ))}
 
+        {report.actions && report.actions.length > 0 && (
+          <div className="report-section actions-section">
+            <h2 className="section-title">✅ פעולות לביצוע</h2>
+            <ul className="actions-list">
+              {report.actions.map((action, index) => (
+                <li key={index} className={`action-item priority-${action.priority}`}>
+                  <span className="action-title">{getPriorityIcon(action.priority)} {action.title}</span>
+                  {action.description && <span className="action-description">{action.description}</span>}
+                  {renderRequirementIds(action.requirementIds)}
+                </li>
+              ))}
+            </ul>
+          </div>
+        )}
+
         {report.recommendations && report.recommendations.length > 0 && (
           <div className="recommendations-section">
             <h2>💡 המלצות חשובות</h2>
@@ -88,8 +164,30 @@ export default function Report({ report, onStartOver }: ReportProps) {
         >
           הדפס דוח
         </button>
+
+        {reportId && (
+          <>
+            <a href={apiService.getReportExportUrl(reportId, 'pdf')} className="export-button">
+              הורד PDF
+            </a>
+            <a href={apiService.getReportExportUrl(reportId, 'docx')} className="export-button">
+              הורד Word
+            </a>
+            <a href={apiService.getReportExportUrl(reportId, 'md')} className="export-button">
+              הורד Markdown
+            </a>
+          </>
+        )}
+
+        {onOpenCase && !isStreaming && (
+          <button onClick={onOpenCase} className="open-case-button" disabled={isOpeningCase}>
+            {isOpeningCase ? 'פותח תיק...' : 'פתח תיק רישוי'}
+          </button>
+        )}
       </div>
 
+      {openCaseError && <p className="error-message">{openCaseError}</p>}
+
     </div>
   );
 }
\ No newline at end of file
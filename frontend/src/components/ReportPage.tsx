@@ -1,41 +1,190 @@
-import { useLocation, useNavigate } from 'react-router-dom'
-import { useEffect } from 'react'
+import { useLocation, useNavigate, useParams } from 'react-router-dom'
+import { useEffect, useState } from 'react'
 import Report from './Report'
-import type { GeneratedReport } from '../services/api'
+import type { BusinessProfile, GeneratedReport, ReportSection } from '../services/api'
+import apiService from '../services/api'
 
 interface ReportPageState {
-  report: GeneratedReport
+  report?: GeneratedReport
+  businessProfile?: BusinessProfile
 }
 
 const ReportPage = () => {
   const location = useLocation()
   const navigate = useNavigate()
-  
+  const { reportId } = useParams()
+
   const state = location.state as ReportPageState | null
 
+  const [report, setReport] = useState<GeneratedReport | null>(state?.report ?? null)
+  const [streamedSections, setStreamedSections] = useState<ReportSection[]>([])
+  const [isStreaming, setIsStreaming] = useState(false)
+  const [error, setError] = useState<string | null>(null)
+  const [isOpeningCase, setIsOpeningCase] = useState(false)
+  const [openCaseError, setOpenCaseError] = useState<string | null>(null)
+
   useEffect(() => {
     // If no report data, redirect to home
-    if (!state?.report) {
+    if (!state?.report && !state?.businessProfile && !reportId) {
       navigate('/', { replace: true })
     }
-  }, [state, navigate])
+  }, [state, reportId, navigate])
+
+  useEffect(() => {
+    // Stored report opened by link or after a page refresh
+    if (!reportId || state?.report) {
+      return
+    }
+
+    let cancelled = false
+    apiService.getReport(reportId)
+      .then(response => {
+        if (!cancelled) {
+          setReport(response.data.report)
+        }
+      })
+      .catch(err => {
+        if (!cancelled) {
+          console.error('Error loading report:', err)
+          setError(err instanceof Error ? err.message : 'שגיאה בטעינת הדוח')
+        }
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [reportId, state])
+
+  useEffect(() => {
+    const businessProfile = state?.businessProfile
+    if (!businessProfile || state?.report || reportId) {
+      return
+    }
+
+    const abortController = new AbortController()
+    let completed = false
+    setIsStreaming(true)
+    setStreamedSections([])
+    setError(null)
+
+    apiService.streamReport(businessProfile, {
+      // Deterministic report shown while the AI report is generated
+      onPlaceholder: (placeholder) => setReport(placeholder),
+      onSection: (index, section) => setStreamedSections(sections => {
+        const next = [...sections]
+        next[index] = section
+        return next
+      }),
+      onComplete: (data) => {
+        completed = true
+        setReport(data.report)
+        setStreamedSections([])
+        setIsStreaming(false)
+
+        // Give the report its own URL so it survives a refresh and can be shared
+        if (data.reportId) {
+          navigate(`/report/${data.reportId}`, { replace: true, state: { report: data.report } })
+        }
+      }
+    }, abortController.signal)
+      .then(() => {
+        // The server closed the stream before sending the final report
+        if (!completed) {
+          setError('החיבור לשרת נסגר לפני שהדוח הושלם')
+        }
+      })
+      .catch(err => {
+        if (abortController.signal.aborted) {
+          return
+        }
+        console.error('Error generating report:', err)
+        setError(err instanceof Error ? err.message : 'שגיאה ביצירת הדוח')
+      })
+      .finally(() => {
+        if (!abortController.signal.aborted) {
+          setIsStreaming(false)
+        }
+      })
+
+    return () => abortController.abort()
+  }, [state, reportId, navigate])
 
   const handleStartOver = () => {
     navigate('/', { replace: true })
   }
 
-  if (!state?.report) {
-    return null // Will redirect to home
+  // Turn the report into a licensing case whose checklist tracks every requirement
+  const handleOpenCase = async () => {
+    if (!report) {
+      return
+    }
+
+    setIsOpeningCase(true)
+    setOpenCaseError(null)
+    try {
+      const response = await apiService.createCase(report.metadata.businessProfile, {
+        reportId: reportId ?? undefined
+      })
+      navigate(`/cases/${response.data.caseId}`, { state: { licensingCase: response.data } })
+    } catch (err) {
+      console.error('Error opening case:', err)
+      setOpenCaseError(err instanceof Error ? err.message : 'שגיאה בפתיחת תיק הרישוי')
+      setIsOpeningCase(false)
+    }
+  }
+
+  if (error && !report) {
+    return (
+      <div className="app">
+        <div className="error-container">
+          <h1>שגיאה ביצירת הדוח</h1>
+          <p className="error-message">{error}</p>
+          <div className="error-details">
+            <p>ודא שהשרת מופעל ומחובר לאינטרנט.</p>
+          </div>
+          <button onClick={handleStartOver} className="start-over-button">
+            נסה שוב
+          </button>
+        </div>
+      </div>
+    )
+  }
+
+  if (!report) {
+    if (reportId) {
+      return (
+        <div className="app">
+          <div className="report-container">
+            <div className="streaming-indicator">
+              <span className="streaming-dot" />
+              טוען דוח...
+            </div>
+          </div>
+        </div>
+      )
+    }
+    return null // Will redirect to home, or waiting for the placeholder report
   }
 
+  // Sections generated so far replace the placeholder sections; after a stream error they are all there is
+  const displayedReport = streamedSections.length > 0
+    ? { ...report, sections: streamedSections.filter(Boolean) }
+    : report
+
   return (
     <div className="app">
-      <Report 
-        report={state.report}
+      <Report
+        report={displayedReport}
         onStartOver={handleStartOver}
+        isStreaming={isStreaming}
+        reportId={reportId}
+        onOpenCase={handleOpenCase}
+        isOpeningCase={isOpeningCase}
+        openCaseError={openCaseError}
+        streamError={error}
       />
     </div>
   )
 }
 
-export default ReportPage
\ No newline at end of file
+export default ReportPage
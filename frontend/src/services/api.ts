@@ -3,20 +3,29 @@ const API_BASE_URL = 'http://localhost:3001';
 
 export interface BusinessProfile {
   businessType: string;
+  secondaryActivities?: string[];
   floorArea: number;
   seatingCapacity: number;
+  municipality?: string;
   services: {
     alcoholService: boolean;
     deliveryService: boolean;
+    takeaway?: boolean;
     liveMusic: boolean;
     outdoorSeating: boolean;
+    alcoholServiceMode?: 'on_premise' | 'takeaway';
+    liveMusicLocation?: 'indoor' | 'outdoor';
   };
   kitchenFeatures: {
     gasUsage: boolean;
+    smokingArea?: boolean;
     meatHandling: boolean;
+    dairyProducts?: boolean;
+    gasType?: 'lpg' | 'natural_gas';
   };
   operationalHours: {
     lateNightOperation: boolean;
+    twentyFourSeven?: boolean;
   };
 }
 
@@ -27,6 +36,15 @@ export interface RequirementSummary {
   authoritiesCovered: string[];
 }
 
+export interface RequirementSource {
+  document: string;
+  page: number | null;
+  chapter: number;
+  chapterTitle?: string;
+  clause: string;
+  excerpt: string;
+}
+
 export interface Requirement {
   requirementId: string;
   title: string;
@@ -36,15 +54,170 @@ export interface Requirement {
   mandatory: boolean;
   conditions: string[];
   applicabilityReason: string;
+  prerequisites?: string[];
+  activity?: string;
+  activities?: string[];
+  municipality?: string | null;
+  conditionOverride?: { municipality: string; note: string | null } | null;
+  localFees?: LocalFee[];
+  sources?: RequirementSource[];
+}
+
+export interface LocalFee {
+  description: string;
+  feeILS: { min: number; max: number };
+  municipality: string;
+}
+
+export interface Municipality {
+  municipalityId: string;
+  name: string;
+  localRequirements: Pick<Requirement, 'requirementId' | 'title' | 'authority'>[];
+  conditionOverrides: number;
+  localFees: number;
+}
+
+export type QuestionType = 'choice' | 'multiChoice' | 'number' | 'select' | 'boolean';
+
+export interface QuestionOption {
+  value: string;
+  label: string;
+  description?: string;
+  hint?: string;
+  ranges?: Record<string, string>;
+}
+
+export interface Question {
+  questionId: string;
+  // Profile field the answer is stored in, e.g. "services.alcoholService"
+  field: string;
+  type: QuestionType;
+  label: string;
+  hint?: string;
+  placeholder?: string;
+  required?: boolean;
+  min?: number;
+  max?: number;
+  step?: number;
+  options?: QuestionOption[];
+  emptyOptionLabel?: string;
+  // Options equal to the answer of this question are hidden (e.g. the business type among secondary activities)
+  excludeAnswerOf?: string;
+  // Typical range ("min-max") taken from the selected option of another question
+  typicalRange?: { question: string; range: string };
+  // Asked only when a yes/no question is answered yes
+  followUps?: Question[];
+}
+
+export interface QuestionnaireStep {
+  stepId: string;
+  title: string;
+  description?: string;
+  questions: Question[];
+}
+
+export interface Questionnaire {
+  version: string;
+  steps: QuestionnaireStep[];
+}
+
+export interface BusinessActivity {
+  businessType: string;
+  primary: boolean;
+  requirementIds: string[];
+  sharedRequirementIds: string[];
+}
+
+export interface Authority {
+  authorityId: string;
+  name: { he: string; en: string };
+  contact: {
+    office: string;
+    phone?: string;
+    email?: string;
+    website?: string;
+  };
+  submission: {
+    channel: 'online' | 'in_person' | 'via_municipality' | 'email' | 'mail';
+    description: string;
+    url?: string;
+  };
+  tips: string[];
+  reportFocus: string | null;
+  requirementIds: string[];
+}
+
+export interface ActionPlanStep {
+  step: number;
+  parallel: boolean;
+  requirements: (Pick<Requirement, 'requirementId' | 'title' | 'authority' | 'mandatory'> & {
+    prerequisites: string[];
+  })[];
+}
+
+export interface ActionPlan {
+  totalSteps: number;
+  steps: ActionPlanStep[];
+}
+
+export interface EstimateRange {
+  min: number;
+  max: number;
+}
+
+export interface RequirementEstimate {
+  requirementId: string;
+  title: string;
+  authority: string;
+  authorityKey: string;
+  estimated: boolean;
+  durationDays: EstimateRange | null;
+  feeILS: EstimateRange | null;
+  prerequisites: string[];
+  startDay: EstimateRange;
+  endDay: EstimateRange;
+  critical: boolean;
+}
+
+export interface Estimates {
+  currency: 'ILS';
+  timeline: {
+    minDays: number;
+    maxDays: number;
+    criticalPath: string[];
+  };
+  costs: EstimateRange & {
+    byAuthority: (EstimateRange & { authorityKey: string; authority: string; requirementIds: string[] })[];
+  };
+  requirements: RequirementEstimate[];
+  unestimatedRequirementIds: string[];
+}
+
+export interface ThresholdAlert {
+  field: 'seatingCapacity' | 'floorArea';
+  direction: 'increase' | 'decrease';
+  currentValue: number;
+  thresholdValue: number;
+  change: number;
+  addedRequirements: Pick<Requirement, 'requirementId' | 'title' | 'authority'>[];
+  removedRequirements: Pick<Requirement, 'requirementId' | 'title' | 'authority'>[];
+  nearMiss: boolean;
+  message: string;
 }
 
 export interface RequirementsResponse {
   success: boolean;
   data: {
     businessMatch: boolean;
+    municipality?: Pick<Municipality, 'municipalityId' | 'name'> | null;
+    authorities?: Authority[];
+    activities?: BusinessActivity[];
     summary: RequirementSummary;
     applicableRequirements: Requirement[];
     recommendations: string[];
+    thresholdAlerts?: ThresholdAlert[];
+    actionPlan?: ActionPlan;
+    estimates?: Estimates;
   };
   timestamp: string;
 }
@@ -53,12 +226,44 @@ export interface ReportSection {
   title: string;
   content: string;
   priority: 'high' | 'medium' | 'low';
+  requirementIds?: string[];
+}
+
+export interface ReportAction {
+  title: string;
+  description?: string;
+  priority: 'high' | 'medium' | 'low';
+  requirementIds: string[];
+}
+
+export interface ReportVerification {
+  passed: boolean;
+  coverage: number;
+  mandatoryCoverage: number;
+  citedRequirementIds: string[];
+  missingMandatoryRequirements: Pick<Requirement, 'requirementId' | 'title' | 'authority'>[];
+  missingRequirements: Pick<Requirement, 'requirementId' | 'title' | 'authority'>[];
+  unknownRequirementIds: { requirementId: string; location: string }[];
+  uncitedClaims: { location: string; title: string }[];
+  supplementedRequirementIds: string[];
+}
+
+export interface ReportValidation {
+  valid: boolean;
+  repaired: boolean;
+  errors: { path: string; message: string }[];
+  remainingErrors: { path: string; message: string }[];
+  fallbackFields: string[];
 }
 
 export interface GeneratedReport {
   title: string;
   summary: string;
   sections: ReportSection[];
+  actions?: ReportAction[];
+  authorities?: Authority[];
+  actionPlan?: ActionPlan;
+  estimates?: Estimates;
   recommendations: string[];
   totalEstimatedCost: string;
   estimatedTimeframe: string;
@@ -67,18 +272,97 @@ export interface GeneratedReport {
     businessProfile: BusinessProfile;
     requirementsSummary: RequirementSummary;
     generatedBy: string;
+    model?: string;
+    validation?: ReportValidation;
+    coverage?: number;
+    verification?: ReportVerification;
+    cache?: 'hit' | 'miss';
   };
 }
 
 export interface ReportResponse {
   success: boolean;
   data: {
+    reportId: string | null;
     report: GeneratedReport;
     rawRequirements: RequirementsResponse['data'];
   };
   timestamp: string;
 }
 
+export type ReportExportFormat = 'pdf' | 'docx' | 'md';
+
+export interface StoredReport {
+  reportId: string;
+  createdAt: string;
+  businessProfile: BusinessProfile;
+  report: GeneratedReport;
+  rawRequirements: RequirementsResponse['data'];
+}
+
+export interface StoredReportResponse {
+  success: boolean;
+  data: StoredReport;
+  timestamp: string;
+}
+
+export type CaseItemStatus = 'not_started' | 'in_progress' | 'submitted' | 'approved' | 'rejected';
+
+export interface CaseItem {
+  requirementId: string;
+  title: string;
+  description: string;
+  authority: string;
+  authorityKey: string;
+  mandatory: boolean;
+  status: CaseItemStatus;
+  notes: string;
+  assignee: string | null;
+  dueDate: string | null;
+  startedAt: string | null;
+  submittedAt: string | null;
+  decidedAt: string | null;
+  updatedAt: string;
+}
+
+export interface CaseStatusCounts {
+  total: number;
+  completion: number;
+  byStatus: Record<CaseItemStatus, number>;
+}
+
+export interface CaseProgress extends CaseStatusCounts {
+  authorities: (CaseStatusCounts & { authorityKey: string; authority: string })[];
+}
+
+export interface LicensingCase {
+  caseId: string;
+  name: string;
+  createdAt: string;
+  updatedAt: string;
+  reportId: string | null;
+  datasetVersion: string | null;
+  businessProfile: BusinessProfile;
+  items: CaseItem[];
+  progress: CaseProgress;
+}
+
+export type CaseItemUpdate = Partial<Pick<CaseItem,
+  'status' | 'notes' | 'assignee' | 'dueDate' | 'startedAt' | 'submittedAt' | 'decidedAt'>>;
+
+export interface LicensingCaseResponse {
+  success: boolean;
+  data: LicensingCase;
+  timestamp: string;
+}
+
+export interface ReportStreamHandlers {
+  onPlaceholder?: (report: GeneratedReport) => void;
+  onToken?: (text: string) => void;
+  onSection?: (index: number, section: ReportSection) => void;
+  onComplete?: (data: ReportResponse['data']) => void;
+}
+
 class ApiService {
   private baseUrl: string;
 
@@ -103,6 +387,164 @@ class ApiService {
     return response.json();
   }
 
+  // Streams report generation over Server-Sent Events; resolves when the stream ends
+  async streamReport(
+    businessProfile: BusinessProfile,
+    handlers: ReportStreamHandlers,
+    signal?: AbortSignal
+  ): Promise<void> {
+    const response = await fetch(`${this.baseUrl}/api/generate-report/stream`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+        'Accept': 'text/event-stream',
+      },
+      body: JSON.stringify(businessProfile),
+      signal,
+    });
+
+    if (!response.ok || !response.body) {
+      const error = await response.json().catch(() => ({}));
+      throw new Error(error.error || 'Failed to generate report');
+    }
+
+    const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+    let buffer = '';
+
+    try {
+      while (true) {
+        const { done, value } = await reader.read();
+        if (done) {
+          break;
+        }
+
+        buffer += value;
+        const events = buffer.split('\n\n');
+        buffer = events.pop() ?? '';
+        for (const event of events) {
+          const error = this.dispatchStreamEvent(event, handlers);
+          if (error) {
+            throw error;
+          }
+        }
+      }
+    } catch (err) {
+      // Stop the response so the server stops streaming a report nobody reads
+      await reader.cancel().catch(() => undefined);
+      throw err;
+    }
+  }
+
+  // Passes one server-sent event to its handler; returns the error of an "error" event and skips malformed events
+  private dispatchStreamEvent(rawEvent: string, handlers: ReportStreamHandlers): Error | null {
+    let event = 'message';
+    let data = '';
+
+    rawEvent.split('\n').forEach(line => {
+      if (line.startsWith('event:')) {
+        event = line.slice(6).trim();
+      } else if (line.startsWith('data:')) {
+        data += line.slice(5).trim();
+      }
+    });
+
+    if (!data) {
+      return null;
+    }
+
+    let payload;
+    try {
+      payload = JSON.parse(data);
+    } catch {
+      console.warn('Skipping malformed report stream event:', event);
+      return null;
+    }
+
+    switch (event) {
+      case 'placeholder':
+        handlers.onPlaceholder?.(payload.report);
+        break;
+      case 'token':
+        handlers.onToken?.(payload.text);
+        break;
+      case 'section':
+        handlers.onSection?.(payload.index, payload.section);
+        break;
+      case 'complete':
+        handlers.onComplete?.(payload);
+        break;
+      case 'error':
+        return new Error(payload.error || 'Failed to generate report');
+    }
+    return null;
+  }
+
+  async getReport(reportId: string): Promise<StoredReportResponse> {
+    const response = await fetch(`${this.baseUrl}/api/reports/${encodeURIComponent(reportId)}`);
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to fetch report');
+    }
+
+    return response.json();
+  }
+
+  getReportExportUrl(reportId: string, format: ReportExportFormat): string {
+    return `${this.baseUrl}/api/reports/${encodeURIComponent(reportId)}/export?format=${format}`;
+  }
+
+  async createCase(
+    businessProfile: BusinessProfile,
+    options: { name?: string; reportId?: string } = {}
+  ): Promise<LicensingCaseResponse> {
+    const response = await fetch(`${this.baseUrl}/api/cases`, {
+      method: 'POST',
+      headers: {
+        'Content-Type': 'application/json',
+      },
+      body: JSON.stringify({ businessProfile, ...options }),
+    });
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to create case');
+    }
+
+    return response.json();
+  }
+
+  async getCase(caseId: string): Promise<LicensingCaseResponse> {
+    const response = await fetch(`${this.baseUrl}/api/cases/${encodeURIComponent(caseId)}`);
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to fetch case');
+    }
+
+    return response.json();
+  }
+
+  async updateCaseItem(caseId: string, requirementId: string, changes: CaseItemUpdate): Promise<LicensingCaseResponse> {
+    const response = await fetch(
+      `${this.baseUrl}/api/cases/${encodeURIComponent(caseId)}/items/${encodeURIComponent(requirementId)}`,
+      {
+        method: 'PATCH',
+        headers: {
+          'Content-Type': 'application/json',
+        },
+        body: JSON.stringify(changes),
+      }
+    );
+
+    if (!response.ok) {
+      const error = await response.json();
+      throw new Error(error.error || 'Failed to update case item');
+    }
+
+    return response.json();
+  }
+
   async getRequirements(businessProfile: BusinessProfile): Promise<RequirementsResponse> {
     const response = await fetch(`${this.baseUrl}/api/requirements/match`, {
       method: 'POST',
@@ -120,12 +562,12 @@ class ApiService {
     return response.json();
   }
 
-  async getBusinessTypes() {
-    const response = await fetch(`${this.baseUrl}/api/business-types`);
-    
+  async getQuestionnaire(): Promise<{ success: boolean; data: Questionnaire }> {
+    const response = await fetch(`${this.baseUrl}/api/questionnaire`);
+
     if (!response.ok) {
       const error = await response.json();
-      throw new Error(error.error || 'Failed to fetch business types');
+      throw new Error(error.error || 'Failed to fetch questionnaire');
     }
 
     return response.json();